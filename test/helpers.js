@@ -0,0 +1,23 @@
+/* jshint node:true */
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+
+/**
+ * @param {string} filepath - A path relative to the test directory.
+ * @returns {string} The absolute path.
+ */
+exports.getTestPath = function(filepath) {
+  return path.resolve(__dirname, filepath);
+};
+
+/**
+ * @param {string} filepath - A path relative to the test directory, e.g.
+ *    'testdata/zip-all.zip'.
+ * @returns {Uint8Array} The content of the file.
+ */
+exports.readFileAsUint8Array = function(filepath) {
+  var nodeBuffer = fs.readFileSync(exports.getTestPath(filepath));
+  return new Uint8Array(nodeBuffer);
+};
@@ -0,0 +1,150 @@
+/* jshint node:true */
+'use strict';
+
+var crypto = require('crypto');
+var http = require('http');
+
+/**
+ * @param {Uint8Array} data
+ * @returns {string} The ETag of a file served by the test server.
+ */
+exports.getEtag = function(data) {
+  return '"' + crypto.createHash('md5').update(data).digest('hex') + '"';
+};
+
+/**
+ * Starts a local HTTP server for testing transports.
+ *
+ * @param {object} files - Maps paths (e.g. '/file.zip') to a Uint8Array.
+ * @param {object} [options]
+ * - supportsRange (boolean) - whether to respond to Range requests with 206.
+ *   Defaults to true.
+ * - advertiseRanges (boolean) - whether to send "Accept-Ranges: bytes".
+ *   Defaults to the value of supportsRange.
+ * - misbehave (string) - how to respond incorrectly to Range requests:
+ *   - 'status416' - respond with 416 Range Not Satisfiable.
+ *   - 'wrongRange' - respond with the range that starts one byte later.
+ *   - 'shortRead' - respond with the first half of the requested range (with
+ *     the requested range in the Content-Range header).
+ *   - 'ignoreIfRange' - ignore the If-Range request header.
+ * - lastModified (string) - the value of the Last-Modified response header.
+ *   Without this option, the response has no Last-Modified header.
+ * - etag (boolean) - whether to send the ETag header. Defaults to true.
+ * The response has an ETag header (the MD5 hash of the file), and the Range
+ * header is ignored if the If-Range request header does not match the ETag (or
+ * the lastModified option, if the etag option is false).
+ * The response is 304 (Not Modified) if the If-None-Match request header
+ * matches the ETag, or if there is no If-None-Match request header and the
+ * If-Modified-Since request header matches the lastModified option.
+ * @param {function} callback - Called with the server. server.baseUrl is the
+ *   URL of the server (without trailing slash), and server.requests is a list
+ *   of the received requests (objects with url and range properties, and the
+ *   ifRange, ifNoneMatch, ifModifiedSince and authorization properties if the
+ *   If-Range, If-None-Match, If-Modified-Since and Authorization request
+ *   headers were set).
+ *   Requests for /redirect/<path> are redirected to /<path>, and requests for
+ *   /redirect-to/<URL-encoded URL> are redirected to the URL.
+ *   Use server.stop(callback) to stop the server.
+ */
+exports.createServer = function(files, options, callback) {
+  options = options || {};
+  var supportsRange = options.supportsRange !== false;
+  var advertiseRanges = 'advertiseRanges' in options ?
+    options.advertiseRanges : supportsRange;
+  var server = http.createServer(function(req, res) {
+    var request = {url: req.url, range: req.headers.range};
+    if (req.headers['if-range']) {
+      request.ifRange = req.headers['if-range'];
+    }
+    if (req.headers['if-none-match']) {
+      request.ifNoneMatch = req.headers['if-none-match'];
+    }
+    if (req.headers['if-modified-since']) {
+      request.ifModifiedSince = req.headers['if-modified-since'];
+    }
+    if (req.headers.authorization) {
+      request.authorization = req.headers.authorization;
+    }
+    server.requests.push(request);
+    var redirect = /^\/redirect(\/.*)$/.exec(req.url);
+    var redirectTo = /^\/redirect-to\/(.*)$/.exec(req.url);
+    if (redirect || redirectTo) {
+      res.writeHead(302, {
+        Location: redirect ? redirect[1] : decodeURIComponent(redirectTo[1]),
+      });
+      res.end();
+      return;
+    }
+    var data = files[req.url];
+    if (!data) {
+      res.writeHead(404, {'Content-Type': 'text/plain'});
+      res.end('Not found');
+      return;
+    }
+    var etag = options.etag === false ? null : exports.getEtag(data);
+    var headers = {'Content-Type': 'application/zip'};
+    if (etag) {
+      headers.ETag = etag;
+    }
+    if (options.lastModified) {
+      headers['Last-Modified'] = options.lastModified;
+    }
+    if (advertiseRanges) {
+      headers['Accept-Ranges'] = 'bytes';
+    }
+    if (req.headers['if-none-match'] ?
+        req.headers['if-none-match'] === etag :
+        req.headers['if-modified-since'] &&
+        req.headers['if-modified-since'] === options.lastModified) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+    var range = /^bytes=(\d+)-(\d*)/.exec(req.headers.range);
+    if (req.headers['if-range'] &&
+        req.headers['if-range'] !== (etag || options.lastModified) &&
+        options.misbehave !== 'ignoreIfRange') {
+      range = null;
+    }
+    if (range && supportsRange) {
+      var start = parseInt(range[1], 10);
+      var end = range[2] ? parseInt(range[2], 10) : data.length - 1;
+      if (options.misbehave === 'status416') {
+        res.writeHead(416, {'Content-Range': 'bytes */' + data.length});
+        res.end();
+        return;
+      }
+      if (options.misbehave === 'wrongRange') {
+        ++start;
+      }
+      headers['Content-Range'] =
+        'bytes ' + start + '-' + end + '/' + data.length;
+      if (options.misbehave === 'shortRead') {
+        end = start + Math.floor((end - start) / 2);
+      }
+      headers['Content-Length'] = end - start + 1;
+      res.writeHead(206, headers);
+      res.end(new Buffer(data.subarray(start, end + 1)));
+      return;
+    }
+    headers['Content-Length'] = data.length;
+    res.writeHead(200, headers);
+    res.end(new Buffer(data));
+  });
+  server.requests = [];
+  // Closes the server, including open (e.g. aborted or keep-alive) connections.
+  var sockets = [];
+  server.on('connection', function(socket) {
+    sockets.push(socket);
+  });
+  server.stop = function(callback) {
+    server.close(callback);
+    sockets.forEach(function(socket) {
+      socket.destroy();
+    });
+  };
+  server.listen(0, '127.0.0.1', function() {
+    server.baseUrl = 'http://127.0.0.1:' + server.address().port;
+    callback(server);
+  });
+};
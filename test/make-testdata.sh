@@ -33,5 +33,26 @@ ALLTMPFILES=('empty file with spaces' \
 ( cd "$TMPDIR" && 7z a "$OUTDIR/7z-utf8.zip" "$UTF8NAME" -mcu=on )
 ( cd "$TMPDIR" && zip "$OUTDIR/zip-utf8.zip" "$UTF8NAME" )
 
+# -fz forces the use of ZIP64 records.
+( cd "$TMPDIR" && zip -fz "$OUTDIR/zip64.zip" 100.dat more.than.FFFF )
+
+# zip uses data descriptors if the output is not seekable.
+( cd "$TMPDIR" && zip - 100.dat more.than.FFFF | cat > "$OUTDIR/zip-stream.zip" )
+
+# -c and -z read the file comments and the archive comment from stdin.
+( cd "$TMPDIR" && echo 'Comment of 100.dat' | zip -c "$OUTDIR/comments.zip" 100.dat )
+( cd "$TMPDIR" && echo 'Built by release-tool 1.2.3' | zip -z "$OUTDIR/comments.zip" )
+
+# Archives in archives: libs/inner.jar (stored) contains deep.zip (stored),
+# and packed.zip is deflated.
+mkdir -p "$TMPDIR/inner/META-INF" "$TMPDIR/nested/libs"
+echo 'Manifest-Version: 1.0' > "$TMPDIR/inner/META-INF/MANIFEST.MF"
+( cd "$TMPDIR" && zip -0 inner/deep.zip 100.dat )
+( cd "$TMPDIR/inner" && zip -0 -r ../nested/libs/inner.jar META-INF deep.zip )
+( cd "$TMPDIR" && zip -0 nested/packed.zip 100.dat )
+( cd "$TMPDIR/nested" && zip -0 "$OUTDIR/nested.zip" libs/inner.jar )
+( cd "$TMPDIR/nested" && zip -9 "$OUTDIR/nested.zip" packed.zip )
+
 # Clean up.
 rm -f "${ALLTMPFILES[@]}" "$UTF8NAME"
+rm -rf "$TMPDIR/inner" "$TMPDIR/nested"
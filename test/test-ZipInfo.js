@@ -1,17 +1,16 @@
 /* jshint node:true,mocha:true */
+/* globals Promise, AbortController, Blob, Symbol */
 'use strict';
 
 var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_writer.js');
+var helpers = require('./helpers.js');
 
 var assert = require('assert');
 var fs = require('fs');
-var path = require('path');
+var zlib = require('zlib');
 
-function readFileAsUint8Array(filepath) {
-  filepath = path.resolve(__dirname, filepath);
-  var nodeBuffer = fs.readFileSync(filepath);
-  return new Uint8Array(nodeBuffer);
-}
+var readFileAsUint8Array = helpers.readFileAsUint8Array;
 
 function assertEntriesEq(actualEntries, expectedEntries) {
   /* // Uncomment to easily generate a list of test expectations
@@ -25,8 +24,28 @@ function assertEntriesEq(actualEntries, expectedEntries) {
   assert.deepEqual(actualEntries, expectedEntries, 'entries should match');
 }
 
+// Creates a zip file with one entry in the central directory (and no data).
+function createZipWithEntry(filename, bitFlag, extraField) {
+  extraField = extraField || new Uint8Array(0);
+  var cdSize = 46 + filename.length + extraField.length;
+  var data = new Uint8Array(cdSize + 22);
+  var view = new DataView(data.buffer);
+  view.setUint32(0, 0x02014b50, true);
+  view.setUint16(8, bitFlag, true);
+  view.setUint16(28, filename.length, true);
+  view.setUint16(30, extraField.length, true);
+  data.set(filename, 46);
+  data.set(extraField, 46 + filename.length);
+  view.setUint32(cdSize, 0x06054b50, true);
+  view.setUint16(cdSize + 8, 1, true);
+  view.setUint16(cdSize + 10, 1, true);
+  view.setUint32(cdSize + 12, cdSize, true);
+  return data;
+}
+
 function simulateTextDecoder(callback) {
   var callCount = 0;
+  var originalTextDecoder = global.TextDecoder;
   global.TextDecoder = function TextDecoder(utfLabel) {
     assert(utfLabel === 'utf-8' || utfLabel === 'ascii');
     assert(this instanceof TextDecoder);
@@ -41,7 +60,11 @@ function simulateTextDecoder(callback) {
   try {
     callback();
   } finally {
-    delete global.TextDecoder;
+    if (originalTextDecoder) {
+      global.TextDecoder = originalTextDecoder;
+    } else {
+      delete global.TextDecoder;
+    }
   }
   return callCount;
 }
@@ -140,12 +163,12 @@ describe('ZipInfo.getEntries', function() {
       centralDirectoryStart: 62,
     }, {
       directory: false,
-      // TODO: This should be the unicode character, but the zip tool on OS X
-      // does not set the 11th general purpose bit, so strictly speaking the
-      // file is not UTF-8.
+      // The zip tool on OS X does not set the 11th general purpose bit, so
+      // strictly speaking the file name is not UTF-8 but CP437.
       // For now I blindly rely on this bit to detect unicode. For alternatives,
       // see https://github.com/gildas-lormeau/zip.js/issues/131
-      filename: 'p\u001f\u0012)',
+      // Callers can override the encoding with the "encoding" option.
+      filename: '\u2261\u0192\u00c6\u2310',
       // filename: '\ud83d\udca9',
       uncompressedSize: 0,
     }];
@@ -162,6 +185,8 @@ describe('ZipInfo.getEntries', function() {
     } finally {
       ZipInfo._decodeFilename = _decodeFilename;
     }
+
+    assertEntriesEq(ZipInfo.getEntries(data, 0, {encoding: 'utf-8'}), expected);
   });
 
   it('entries for zips with utf8 names (from 7z)', function() {
@@ -226,6 +251,615 @@ describe('ZipInfo.getEntries', function() {
     assertEntriesEq(ZipInfo.getEntries(data), expected);
   });
 
+  it('entries for zips with ZIP64 records (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip64.zip');
+    var expected = [{
+      directory: true,
+      filename: '/',
+      uncompressedSize: 0,
+      centralDirectoryStart: 268,
+    }, {
+      directory: false,
+      filename: '100.dat',
+      uncompressedSize: 100,
+    }, {
+      directory: false,
+      filename: 'more.than.FFFF',
+      uncompressedSize: 70000,
+    }];
+    assertEntriesEq(ZipInfo.getEntries(data), expected);
+  });
+
+  it('ZIP64 EOCD record before the data', function() {
+    var data = readFileAsUint8Array('testdata/zip64.zip');
+    // 20 = size of ZIP64 EOCD locator, 22 = size of EOCD record.
+    var dataStartOffset = data.length - 20 - 22;
+    data = new Uint8Array(data.buffer, dataStartOffset);
+    var expected = [{
+      directory: true,
+      filename: '/',
+      uncompressedSize: 0,
+      // Offset of the ZIP64 EOCD record, as specified by the locator.
+      centralDirectoryStart: 453,
+    }];
+    assertEntriesEq(ZipInfo.getEntries(data, dataStartOffset), expected);
+
+    // The ZIP64 EOCD locator is also missing.
+    dataStartOffset += 20;
+    data = new Uint8Array(data.buffer, dataStartOffset);
+    // 76 = size of ZIP64 EOCD locator + size of ZIP64 EOCD record.
+    expected[0].centralDirectoryStart = dataStartOffset - 76;
+    assertEntriesEq(ZipInfo.getEntries(data, dataStartOffset), expected);
+  });
+
+  it('verbose entries for zips (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries.length, 7);
+    assertEntriesEq(entries[0], {
+      directory: true,
+      filename: '/',
+      uncompressedSize: 0,
+      centralDirectoryStart: 518,
+      comment: '',
+      diskNumber: 0,
+      centralDirectoryDisk: 0,
+      entriesOnDisk: 6,
+      entryCount: 6,
+      centralDirectorySize: 499,
+      encryptedEntryCount: 0,
+      centralDirectoryEncrypted: false,
+      encryptionSchemes: [],
+    });
+    assertEntriesEq(entries[2], {
+      directory: false,
+      filename: '100.dat',
+      uncompressedSize: 100,
+      compressedSize: 6,
+      compressionMethod: 8,
+      compressionMethodName: 'Deflated',
+      crc32: 0x9988c6ca,
+      lastModified: new Date(2016, 10, 30, 0, 28, 54),
+      localHeaderOffset: 80,
+      versionMadeBy: 0x31E,
+      hostOS: 'UNIX',
+      versionNeeded: 20,
+      flags: 0,
+      internalAttributes: 0,
+      // -rw-rw---- (0100660) in the upper 16 bits.
+      externalAttributes: 0x81B00000,
+      diskNumberStart: 0,
+      comment: '',
+      encrypted: false,
+      encryption: null,
+    });
+    assert.strictEqual(entries[1].compressionMethodName, 'Stored');
+    // drwxrwx--- (040770) for the emptydir/ directory.
+    assert.strictEqual(entries[4].externalAttributes >>> 16, 0x41F8);
+  });
+
+  it('verbose entries for zips with ZIP64 records (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip64.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries.length, 3);
+    assert.strictEqual(entries[1].compressedSize, 6);
+    assert.strictEqual(entries[1].localHeaderOffset, 0);
+    assert.strictEqual(entries[2].compressedSize, 85);
+    assert.strictEqual(entries[2].localHeaderOffset, 91);
+    assert.strictEqual(entries[2].versionNeeded, 45);
+  });
+
+  it('verbose entries with a disk number in the ZIP64 extra field',
+      function() {
+    var data = createZipWithEntry(new Uint8Array([0x61]), 0, new Uint8Array([
+      0x01, 0, 4, 0,  // Header ID and size.
+      0x34, 0x12, 1, 0,  // Disk number.
+    ]));
+    new DataView(data.buffer).setUint16(34, 0xFFFF, true);
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries[1].diskNumberStart, 0x11234);
+
+    data = createZipWithEntry(new Uint8Array([0x61]));
+    new DataView(data.buffer).setUint16(34, 3, true);
+    entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries[1].diskNumberStart, 3);
+  });
+
+  it('verbose entries with comments (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/comments.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries.length, 2);
+    assertEntriesEq(entries[0], {
+      directory: true,
+      filename: '/',
+      uncompressedSize: 0,
+      centralDirectoryStart: 71,
+      comment: 'Built by release-tool 1.2.3',
+      diskNumber: 0,
+      centralDirectoryDisk: 0,
+      entriesOnDisk: 1,
+      entryCount: 1,
+      centralDirectorySize: 95,
+      encryptedEntryCount: 0,
+      centralDirectoryEncrypted: false,
+      encryptionSchemes: [],
+    });
+    assert.strictEqual(entries[1].filename, '100.dat');
+    assert.strictEqual(entries[1].comment, 'Comment of 100.dat');
+
+    // Comments are not included without the verbose option.
+    entries = ZipInfo.getEntries(data);
+    assert.strictEqual(entries[0].comment, undefined);
+    assert.strictEqual(entries[1].comment, undefined);
+  });
+
+  it('verbose entries for zips with ZIP64 records (EOCD summary)', function() {
+    var data = readFileAsUint8Array('testdata/zip64.zip');
+    var view = new DataView(data.buffer);
+    // Values that do not fit in the EOCD record are only in the ZIP64 EOCD
+    // record.
+    view.setUint16(data.length - 22 + 10, 0xFFFF, true);
+    view.setUint32(data.length - 22 + 12, 0xFFFFFFFF, true);
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries[0].entryCount, 2);
+    assert.strictEqual(entries[0].centralDirectorySize, 185);
+  });
+
+  it('central directory without EOCD', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    // Remove the EOCD, and some data before the central directory.
+    var entries = ZipInfo.getEntries(data.subarray(500, data.length - 22), 500);
+    assert.deepEqual(entries.map(function(entry) {
+      return entry.filename;
+    }), [
+      '/',
+      'empty file with spaces',
+      '100.dat',
+      'more.than.FFFF',
+      'emptydir/',
+      'otherdir/',
+      'otherdir/empty.dat',
+    ]);
+  });
+
+  it('recover entries of truncated zips (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    // Without central directory, and only 100 bytes of more.than.FFFF.
+    data = data.subarray(0, 151 + 30 + 14 + 28 + 10);
+    assert.strictEqual(ZipInfo.getEntries(data).length, 1);
+    var entries = ZipInfo.getEntries(data, 0, {recover: true, verbose: true});
+    assert.strictEqual(entries.length, 4);
+    assertEntriesEq(entries[0], {
+      directory: true,
+      filename: '/',
+      uncompressedSize: 0,
+      centralDirectoryStart: 0,
+      encryptedEntryCount: 0,
+      centralDirectoryEncrypted: false,
+      encryptionSchemes: [],
+    });
+    assertEntriesEq(entries[2], {
+      directory: false,
+      filename: '100.dat',
+      uncompressedSize: 100,
+      recovered: true,
+      confidence: 'high',
+      recoveryNote: 'Sizes from the local file header',
+      compressedSize: 6,
+      compressionMethod: 8,
+      compressionMethodName: 'Deflated',
+      crc32: 0x9988c6ca,
+      lastModified: new Date(2016, 10, 30, 0, 28, 54),
+      localHeaderOffset: 80,
+      versionNeeded: 20,
+      flags: 0,
+      encrypted: false,
+      encryption: null,
+    });
+    assertEntriesEq(entries[3], {
+      directory: false,
+      filename: 'more.than.FFFF',
+      uncompressedSize: 70000,
+      recovered: true,
+      confidence: 'medium',
+      recoveryNote: 'The data is truncated (10 of 85 bytes available)',
+      compressedSize: 85,
+      compressionMethod: 8,
+      compressionMethodName: 'Deflated',
+      crc32: 0xa6a9c8dc,
+      lastModified: new Date(2016, 10, 30, 0, 28, 54),
+      localHeaderOffset: 151,
+      versionNeeded: 20,
+      flags: 0,
+      encrypted: false,
+      encryption: null,
+    });
+  });
+
+  it('recover entries of zips with a wrong entry count', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    // Declare one entry, while there are six.
+    data[data.length - 22 + 8] = data[data.length - 22 + 10] = 1;
+    var entries = ZipInfo.getEntries(data, 0, {recover: true});
+    assert.deepEqual(entries.map(function(entry) {
+      return entry.filename + ' ' + entry.recovered + ' ' + entry.confidence;
+    }), [
+      '/ undefined undefined',
+      'empty file with spaces true high',
+      '100.dat true high',
+      'more.than.FFFF true high',
+      'emptydir/ true high',
+      'otherdir/ true high',
+      'otherdir/empty.dat true high',
+    ]);
+
+    // The central directory is used if it matches the EOCD.
+    data = readFileAsUint8Array('testdata/zip-all.zip');
+    entries = ZipInfo.getEntries(data, 0, {recover: true});
+    assert.strictEqual(entries.length, 7);
+    assert.strictEqual(entries[1].recovered, undefined);
+  });
+
+  it('recover entries with data descriptors (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip-stream.zip');
+    var centralDirectoryStart = ZipInfo.getEntries(data)[0]
+      .centralDirectoryStart;
+    var entries = ZipInfo.getEntries(data.subarray(0, centralDirectoryStart),
+        0, {recover: true, verbose: true});
+    assert.deepEqual(entries.slice(1).map(function(entry) {
+      return [entry.filename, entry.flags, entry.compressedSize,
+        entry.uncompressedSize, entry.crc32, entry.confidence,
+        entry.recoveryNote];
+    }), [
+      ['100.dat', 8, 6, 100, 0x9988c6ca, 'high',
+        'Sizes from the data descriptor'],
+      ['more.than.FFFF', 8, 85, 70000, 0xa6a9c8dc, 'high',
+        'Sizes from the data descriptor'],
+    ]);
+
+    // Truncated in the data descriptor of the last entry.
+    entries = ZipInfo.getEntries(data.subarray(0, centralDirectoryStart - 10),
+        0, {recover: true, verbose: true});
+    assert.deepEqual(entries.slice(1).map(function(entry) {
+      return [entry.filename, entry.compressedSize, entry.uncompressedSize,
+        entry.confidence, entry.recoveryNote];
+    }), [
+      ['100.dat', 6, 100, 'high', 'Sizes from the data descriptor'],
+      ['more.than.FFFF', 91, 0, 'low',
+        'Data descriptor not found, the sizes are estimated'],
+    ]);
+  });
+
+  it('encrypted entries', function() {
+    function getEntry(bitFlag, compressionMethod, extraField) {
+      var data = createZipWithEntry(new Uint8Array([0x61]), bitFlag,
+          extraField && new Uint8Array(extraField));
+      data[10] = compressionMethod;
+      return ZipInfo.getEntries(data, 0, {verbose: true})[1];
+    }
+    var entry = getEntry(0, 8);
+    assert.strictEqual(entry.encrypted, false);
+    assert.strictEqual(entry.encryption, null);
+
+    entry = getEntry(1, 8);
+    assert.strictEqual(entry.encrypted, true);
+    assertEntriesEq(entry.encryption, {
+      scheme: 'traditional',
+      name: 'Traditional PKWARE encryption',
+      maskedLocalHeader: false,
+    });
+
+    // WinZip AES extra field: AE-2, 256-bit, deflate.
+    entry = getEntry(1, 99, [
+      0x01, 0x99, 7, 0, 2, 0, 0x41, 0x45, 3, 8, 0,
+    ]);
+    assert.strictEqual(entry.compressionMethodName, 'AE-x encryption');
+    assertEntriesEq(entry.encryption, {
+      scheme: 'aes',
+      name: 'AES-256',
+      keyStrength: 256,
+      compressionMethod: 8,
+      compressionMethodName: 'Deflated',
+      maskedLocalHeader: false,
+    });
+
+    // Strong encryption header extra field: AES-192 (0x660F), 192 bits.
+    entry = getEntry(0x41, 8, [
+      0x17, 0, 8, 0, 2, 0, 0x0F, 0x66, 0xC0, 0, 1, 0,
+    ]);
+    assertEntriesEq(entry.encryption, {
+      scheme: 'strong',
+      name: 'Strong encryption (AES-192)',
+      keyStrength: 192,
+      algorithmId: 0x660F,
+      maskedLocalHeader: false,
+    });
+    entry = getEntry(0x41 | 0x2000, 8);
+    assertEntriesEq(entry.encryption, {
+      scheme: 'strong',
+      name: 'Strong encryption',
+      maskedLocalHeader: true,
+    });
+  });
+
+  it('encrypted entries without registered parsers', function() {
+    var data = createZipWithEntry(new Uint8Array([0x61]), 1, new Uint8Array([
+      0x01, 0x99, 7, 0, 2, 0, 0x41, 0x45, 3, 8, 0,
+    ]));
+    data[10] = 99;
+    var parseAes = ZipInfo.extraFieldParsers[0x9901];
+    var entries;
+    try {
+      ZipInfo.registerExtraFieldParser(0x9901, null);
+      entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      assert.strictEqual(entries[1].encryption.name, 'AES-256');
+      ZipInfo.registerExtraFieldParser(0x9901, function() {
+        throw new Error('Custom parser failed');
+      });
+      entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      assert.strictEqual(entries[1].encryption.name, 'AES-256');
+    } finally {
+      ZipInfo.registerExtraFieldParser(0x9901, parseAes);
+    }
+  });
+
+  it('encryption summary', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    // Encrypt 100.dat and more.than.FFFF (bit 0 of the general purpose flag).
+    data[610 + 8] = data[687 + 8] = 1;
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries[0].encryptedEntryCount, 2);
+    assert.deepEqual(entries[0].encryptionSchemes, [
+      'Traditional PKWARE encryption',
+    ]);
+    assert.strictEqual(entries[0].centralDirectoryEncrypted, false);
+
+    // Not included without the verbose option.
+    entries = ZipInfo.getEntries(data);
+    assert.strictEqual(entries[0].encryptedEntryCount, undefined);
+    assert.strictEqual(entries[2].encrypted, undefined);
+  });
+
+  it('encrypted central directory', function() {
+    // Version 2 of the ZIP64 EOCD record (84 bytes), the ZIP64 EOCD locator
+    // (20 bytes) and the EOCD record (22 bytes).
+    var data = new Uint8Array(84 + 20 + 22);
+    var view = new DataView(data.buffer);
+    view.setUint32(0, 0x06064b50, true);
+    view.setUint32(4, 84 - 12, true);
+    view.setUint16(74, 0x6610, true);  // AES-256.
+    view.setUint16(76, 256, true);
+    view.setUint32(84, 0x07064b50, true);
+    view.setUint32(84 + 16, 1, true);
+    view.setUint32(104, 0x06054b50, true);
+    view.setUint16(104 + 8, 0xFFFF, true);
+    view.setUint16(104 + 10, 0xFFFF, true);
+    view.setUint32(104 + 12, 0xFFFFFFFF, true);
+    view.setUint32(104 + 16, 0xFFFFFFFF, true);
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries.length, 1);
+    assert.strictEqual(entries[0].centralDirectoryEncrypted, true);
+  });
+
+  it('zips with a prefix', function() {
+    var zip = readFileAsUint8Array('testdata/zip-all.zip');
+    [
+      ['#!/bin/sh\nexec java -jar "$0" "$@"\n', 'script'],
+      ['MZ\x90\x00 (self-extracting executable)', 'executable'],
+      ['\x7fELF (self-extracting executable)', 'executable'],
+      ['Other data', 'unknown'],
+    ].forEach(function(prefixAndType) {
+      var prefix = Buffer.from(prefixAndType[0], 'latin1');
+      var data = new Uint8Array(prefix.length + zip.length);
+      data.set(prefix);
+      data.set(zip, prefix.length);
+      var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      assert.strictEqual(entries.length, 7);
+      assert.strictEqual(entries[0].centralDirectoryStart, prefix.length + 518);
+      assert.strictEqual(entries[0].prefixLength, prefix.length);
+      assert.strictEqual(entries[0].prefixType, prefixAndType[1]);
+      assert.strictEqual(entries[0].crx, undefined);
+      assert.strictEqual(entries[2].filename, '100.dat');
+      assert.strictEqual(entries[2].localHeaderOffset, prefix.length + 80);
+
+      // Only the end of the data.
+      entries = ZipInfo.getEntries(data.subarray(500), 500);
+      assert.strictEqual(entries.length, 7);
+      assert.strictEqual(entries[0].prefixLength, prefix.length);
+      assert.strictEqual(entries[0].prefixType, undefined);
+    });
+  });
+
+  it('zips with a prefix and ZIP64 records', function() {
+    var zip = readFileAsUint8Array('testdata/zip64.zip');
+    var data = new Uint8Array(100 + zip.length);
+    data.set(zip, 100);
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries.length, 3);
+    assert.strictEqual(entries[0].prefixLength, 100);
+    assert.strictEqual(entries[2].uncompressedSize, 70000);
+    assert.strictEqual(entries[2].localHeaderOffset, 100 + 91);
+  });
+
+  it('zips with a prefix can be read', function() {
+    var zip = readFileAsUint8Array('testdata/zip-all.zip');
+    var data = new Uint8Array(100 + zip.length);
+    data.set(zip, 100);
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    return ZipInfo.readEntryData(entries[2], data).then(function(content) {
+      assert.deepEqual(content, new Uint8Array(100));
+    });
+  });
+
+  it('extra fields for zips (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {extraFields: true});
+    assert.strictEqual(entries[0].extraFields, undefined);
+    assertEntriesEq(entries[2], {
+      directory: false,
+      filename: '100.dat',
+      uncompressedSize: 100,
+      extraFields: [{
+        headerId: 0x5455,
+        modified: new Date(Date.UTC(2016, 10, 29, 23, 28, 53)),
+      }, {
+        headerId: 0x7875,
+        version: 1,
+        uid: 501,
+        gid: 20,
+      }],
+    });
+  });
+
+  it('extra fields for zips (from 7z)', function() {
+    var data = readFileAsUint8Array('testdata/7z-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {extraFields: true});
+    var time = new Date(Date.UTC(2016, 10, 29, 23, 28, 53));
+    assertEntriesEq(entries[1].extraFields, [{
+      headerId: 0x000a,
+      modified: time,
+      accessed: time,
+      created: time,
+    }]);
+  });
+
+  it('extra fields for zips with ZIP64 records (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip64.zip');
+    var entries = ZipInfo.getEntries(data, 0, {extraFields: true});
+    assertEntriesEq(entries[2].extraFields[2], {
+      headerId: 0x0001,
+      uncompressedSize: 70000,
+    });
+  });
+
+  it('custom and unknown extra fields', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var parseTimestamp = ZipInfo.extraFieldParsers[0x5455];
+    var parseUnix = ZipInfo.extraFieldParsers[0x7875];
+    ZipInfo.registerExtraFieldParser(0x7875, null);
+    ZipInfo.registerExtraFieldParser(0x5455, function(data, record) {
+      assert.ok(data instanceof Uint8Array);
+      assert.strictEqual(record.uncompressedSize, 100);
+      assert.strictEqual(
+        new Buffer(record.filename).toString('ascii'), '100.dat');
+      return {custom: data.length};
+    });
+    var entries;
+    try {
+      entries = ZipInfo.getEntries(data, 0, {extraFields: true});
+    } finally {
+      ZipInfo.registerExtraFieldParser(0x5455, parseTimestamp);
+      ZipInfo.registerExtraFieldParser(0x7875, parseUnix);
+    }
+    assertEntriesEq(entries[2].extraFields, [{
+      headerId: 0x5455,
+      custom: 5,
+    }, {
+      headerId: 0x7875,
+      data: new Uint8Array([1, 4, 0xF5, 1, 0, 0, 4, 0x14, 0, 0, 0]),
+    }]);
+  });
+
+  it('extra field parsers without test data', function() {
+    var parsers = ZipInfo.extraFieldParsers;
+    // Info-ZIP Unicode Path extra field for "\ud83d\udca9".
+    assertEntriesEq(parsers[0x7075](new Uint8Array([
+      1, 0x78, 0x56, 0x34, 0x12, 0xF0, 0x9F, 0x92, 0xA9,
+    ])), {
+      version: 1,
+      nameCrc32: 0x12345678,
+      unicodeName: '\ud83d\udca9',
+    });
+    assert.strictEqual(parsers[0x7075](new Uint8Array([2, 0, 0, 0, 0])),
+      undefined, 'Unsupported version');
+    // WinZip AES extra field, AE-2, 256-bit, deflate.
+    assertEntriesEq(parsers[0x9901](new Uint8Array([
+      2, 0, 0x41, 0x45, 3, 8, 0,
+    ])), {
+      vendorVersion: 2,
+      vendorId: 'AE',
+      keyStrength: 256,
+      compressionMethod: 8,
+    });
+    assert.strictEqual(parsers[0x9901](new Uint8Array(6)), undefined,
+      'Too short');
+    // Info-ZIP UNIX extra field, UID 501 and GID 20.
+    assertEntriesEq(parsers[0x7875](new Uint8Array([1, 2, 0xF5, 1, 1, 20])), {
+      version: 1,
+      uid: 501,
+      gid: 20,
+    });
+    assert.strictEqual(parsers[0x7875](new Uint8Array([1, 2, 0xF5, 1])),
+      undefined, 'Truncated before the GID size');
+    assert.strictEqual(parsers[0x7875](new Uint8Array([1, 2, 0xF5, 1, 2, 20])),
+      undefined, 'Truncated GID');
+  });
+
+  it('file names in CP437', function() {
+    var data = createZipWithEntry(new Uint8Array([0x80, 0x81, 0x41, 0xFF]), 0);
+    var entries = ZipInfo.getEntries(data);
+    assert.strictEqual(entries[1].filename, '\u00c7\u00fcA\u00a0');
+    // CP437 does not depend on TextDecoder or Buffer.
+    var callCount = simulateTextDecoder(function() {
+      entries = ZipInfo.getEntries(data);
+    });
+    assert.strictEqual(callCount, 0);
+    assert.strictEqual(entries[1].filename, '\u00c7\u00fcA\u00a0');
+  });
+
+  it('file names in a custom encoding', function() {
+    // "\u65e5\u672c" in Shift_JIS.
+    var data = createZipWithEntry(new Uint8Array([0x93, 0xFA, 0x96, 0x7B]), 0);
+    var entries = ZipInfo.getEntries(data, 0, {encoding: 'shift_jis'});
+    assert.strictEqual(entries[1].filename, '\u65e5\u672c');
+
+    // The encoding option is ignored if the file name is flagged as UTF-8.
+    data = createZipWithEntry(new Uint8Array([0xC3, 0xA9]), 0x800);
+    entries = ZipInfo.getEntries(data, 0, {encoding: 'shift_jis'});
+    assert.strictEqual(entries[1].filename, '\u00e9');
+  });
+
+  it('file names from the Info-ZIP Unicode Path extra field', function() {
+    var filename = new Uint8Array([0x3F]);  // "?"
+    var extraField = new Uint8Array([
+      0x75, 0x70, 9, 0,  // Header ID and size.
+      1,  // Version.
+      0xB0, 0xC2, 0x64, 0x64,  // CRC-32 of "?".
+      0xF0, 0x9F, 0x92, 0xA9,  // "\ud83d\udca9" in UTF-8.
+    ]);
+    var data = createZipWithEntry(filename, 0, extraField);
+    var entries = ZipInfo.getEntries(data);
+    assert.strictEqual(entries[1].filename, '?');
+    entries = ZipInfo.getEntries(data, 0, {preferUnicodePath: true});
+    assert.strictEqual(entries[1].filename, '\ud83d\udca9');
+
+    // The Unicode Path is ignored if the CRC-32 does not match the file name.
+    data = createZipWithEntry(new Uint8Array([0x21]), 0, extraField);
+    entries = ZipInfo.getEntries(data, 0, {preferUnicodePath: true});
+    assert.strictEqual(entries[1].filename, '!');
+  });
+
+  it('file names from the Unicode Path without registered parser', function() {
+    var extraField = new Uint8Array([
+      0x75, 0x70, 9, 0, 1, 0xB0, 0xC2, 0x64, 0x64, 0xF0, 0x9F, 0x92, 0xA9,
+    ]);
+    var data = createZipWithEntry(new Uint8Array([0x3F]), 0, extraField);
+    var parseUnicodePath = ZipInfo.extraFieldParsers[0x7075];
+    var entries;
+    try {
+      ZipInfo.registerExtraFieldParser(0x7075, null);
+      entries = ZipInfo.getEntries(data, 0, {preferUnicodePath: true});
+      assert.strictEqual(entries[1].filename, '\ud83d\udca9');
+      ZipInfo.registerExtraFieldParser(0x7075, function() {
+        throw new Error('Custom parser failed');
+      });
+      entries = ZipInfo.getEntries(data, 0, {preferUnicodePath: true});
+      assert.strictEqual(entries[1].filename, '\ud83d\udca9');
+    } finally {
+      ZipInfo.registerExtraFieldParser(0x7075, parseUnicodePath);
+    }
+  });
+
   it('TextDecoder should be used if available', function() {
     var callCount = simulateTextDecoder(function() {
       var data = readFileAsUint8Array('testdata/7z-utf8.zip');
@@ -245,6 +879,555 @@ describe('ZipInfo.getEntries', function() {
   });
 });
 
+describe('ZipInfo.parseCrxHeader', function() {
+  // Encodes a length-delimited protocol buffer field.
+  function protobufField(fieldNumber, bytes) {
+    var result = [];
+    [fieldNumber * 8 + 2, bytes.length].forEach(function(varint) {
+      for (; varint >= 0x80; varint >>>= 7) {
+        result.push((varint & 0x7F) | 0x80);
+      }
+      result.push(varint);
+    });
+    return result.concat(Array.from(bytes));
+  }
+
+  function createCrx(header) {
+    var zip = readFileAsUint8Array('testdata/zip-all.zip');
+    var data = new Uint8Array(header.length + zip.length);
+    data.set(header);
+    data.set(zip, header.length);
+    return data;
+  }
+
+  it('should parse CRX3 headers', function() {
+    var header = [].concat(
+      protobufField(2, protobufField(1, [1, 2, 3]).concat(
+        protobufField(2, [4, 5]))),
+      protobufField(3, protobufField(1, [6]).concat(protobufField(2, [7]))),
+      protobufField(10000, protobufField(1, [
+        0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef,
+        0xfe, 0xdc, 0xba, 0x98, 0x76, 0x54, 0x32, 0x10,
+      ])));
+    var data = createCrx([0x43, 0x72, 0x32, 0x34, 3, 0, 0, 0,
+      header.length, 0, 0, 0].concat(header));
+    var crx = {
+      version: 3,
+      zipOffset: 12 + header.length,
+      publicKey: new Uint8Array([1, 2, 3]),
+      signatures: [{
+        algorithm: 'sha256_with_rsa',
+        publicKey: new Uint8Array([1, 2, 3]),
+        signature: new Uint8Array([4, 5]),
+      }, {
+        algorithm: 'sha256_with_ecdsa',
+        publicKey: new Uint8Array([6]),
+        signature: new Uint8Array([7]),
+      }],
+      extensionId: 'abcdefghijklmnopponmlkjihgfedcba',
+    };
+    assertEntriesEq(ZipInfo.parseCrxHeader(data), crx);
+
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries.length, 7);
+    assert.strictEqual(entries[0].prefixLength, crx.zipOffset);
+    assert.strictEqual(entries[0].prefixType, 'crx');
+    assertEntriesEq(entries[0].crx, crx);
+    assert.strictEqual(entries[2].localHeaderOffset, crx.zipOffset + 80);
+  });
+
+  it('should parse CRX2 headers', function() {
+    var data = createCrx([0x43, 0x72, 0x32, 0x34, 2, 0, 0, 0,
+      3, 0, 0, 0, 2, 0, 0, 0, 1, 2, 3, 4, 5]);
+    assertEntriesEq(ZipInfo.parseCrxHeader(data), {
+      version: 2,
+      zipOffset: 21,
+      publicKey: new Uint8Array([1, 2, 3]),
+      signatures: [{
+        algorithm: 'sha1_with_rsa',
+        publicKey: new Uint8Array([1, 2, 3]),
+        signature: new Uint8Array([4, 5]),
+      }],
+    });
+    assert.strictEqual(ZipInfo.getEntries(data)[0].prefixLength, 21);
+  });
+
+  it('should reject invalid CRX headers', function() {
+    [
+      [],
+      [0x50, 0x4b, 3, 4, 0, 0, 0, 0, 0, 0, 0, 0],
+      // Unsupported version.
+      [0x43, 0x72, 0x32, 0x34, 4, 0, 0, 0, 0, 0, 0, 0],
+      // Header size larger than the data.
+      [0x43, 0x72, 0x32, 0x34, 3, 0, 0, 0, 9, 0, 0, 0, 0],
+      // Invalid protocol buffer (truncated field).
+      [0x43, 0x72, 0x32, 0x34, 3, 0, 0, 0, 2, 0, 0, 0, 0x12, 5],
+    ].forEach(function(bytes) {
+      assert.strictEqual(ZipInfo.parseCrxHeader(new Uint8Array(bytes)), null);
+    });
+  });
+});
+
+describe('ZipInfo.getEntriesFromReader', function() {
+  function createLoggingReader(data, reads) {
+    return {
+      size: data.length,
+      read: function(offset, length) {
+        reads.push([offset, length]);
+        return data.slice(offset, offset + length);
+      },
+    };
+  }
+
+  it('should read the end of small zip files', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var reads = [];
+    var reader = createLoggingReader(data, reads);
+    return ZipInfo.getEntriesFromReader(reader).then(function(entries) {
+      assertEntriesEq(entries, ZipInfo.getEntries(data));
+      assert.deepEqual(reads, [[0, data.length]]);
+    });
+  });
+
+  it('should read the central directory of large zip files', function() {
+    var data = new Uint8Array(1e6);
+    var zip = readFileAsUint8Array('testdata/zip-all.zip');
+    // Insert zeroes before the EOCD record (22 bytes, without comment).
+    data.set(zip.subarray(0, zip.length - 22), 0);
+    data.set(zip.subarray(zip.length - 22), data.length - 22);
+    var reads = [];
+    var reader = createLoggingReader(data, reads);
+    return ZipInfo.getEntriesFromReader(reader, {
+      verbose: true,
+    }).then(function(entries) {
+      assert.strictEqual(entries.length, 7);
+      assert.strictEqual(entries[0].centralDirectoryStart, 518);
+      assert.strictEqual(entries[1].compressionMethodName, 'Stored');
+      var tailStart = 1e6 - 0xFFFF - 22;
+      assert.deepEqual(reads, [
+        [tailStart, 0xFFFF + 22],
+        [518, tailStart - 518],
+      ]);
+    });
+  });
+
+  it('should read ZIP64 records before the end of the file', function() {
+    var zip = readFileAsUint8Array('testdata/zip64.zip');
+    // Append an archive comment with the maximum size, so that the ZIP64
+    // records are not part of the first read.
+    var commentLength = 0xFFFF;
+    var data = new Uint8Array(zip.length + commentLength);
+    data.set(zip, 0);
+    new DataView(data.buffer).setUint16(zip.length - 2, commentLength, true);
+    var reads = [];
+    var reader = createLoggingReader(data, reads);
+    return ZipInfo.getEntriesFromReader(reader).then(function(entries) {
+      assert.deepEqual(entries.map(function(entry) {
+        return entry.filename;
+      }), ['/', '100.dat', 'more.than.FFFF']);
+      var eocdStart = zip.length - 22;
+      assert.deepEqual(reads, [
+        [eocdStart, 0xFFFF + 22],
+        // 76 = size of ZIP64 EOCD locator + record.
+        [eocdStart - 76, 76],
+        // 268 = centralDirectoryStart.
+        [268, eocdStart - 76 - 268],
+      ]);
+    });
+  });
+
+  it('should reject invalid data', function() {
+    var reader = createLoggingReader(new Uint8Array(100), []);
+    return ZipInfo.getEntriesFromReader(reader).then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof ZipInfo.InvalidZipError);
+      assert.strictEqual(error.entries.length, 1);
+    });
+  });
+
+  it('should reject short reads', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var reader = {
+      size: data.length + 1,
+      read: function(offset, length) {
+        return Promise.resolve(data.subarray(offset, offset + length));
+      },
+    };
+    return ZipInfo.getEntriesFromReader(reader).then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.strictEqual(error.message, 'Unexpected end of data');
+    });
+  });
+
+  it('should stop reading when aborted', function() {
+    var controller = new AbortController();
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var reader = {
+      size: data.length,
+      read: function(offset, length) {
+        controller.abort();
+        return data.subarray(offset, offset + length);
+      },
+    };
+    return ZipInfo.getEntriesFromReader(reader, {
+      signal: controller.signal,
+    }).then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof ZipInfo.AbortError);
+    });
+  });
+
+  it('should work with ZipInfo.createBlobReader', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var reader = ZipInfo.createBlobReader(new Blob([data]));
+    assert.strictEqual(reader.size, data.length);
+    return ZipInfo.getEntriesFromReader(reader).then(function(entries) {
+      assertEntriesEq(entries, ZipInfo.getEntries(data));
+    });
+  });
+
+  it('should work with ZipInfo.createFileHandleReader', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var filepath = helpers.getTestPath('testdata/zip-all.zip');
+    return fs.promises.open(filepath, 'r').then(function(fileHandle) {
+      var reader = ZipInfo.createFileHandleReader(fileHandle);
+      return ZipInfo.getEntriesFromReader(reader, {
+        verbose: true,
+      }).then(function(entries) {
+        assertEntriesEq(entries, ZipInfo.getEntries(data, 0, {verbose: true}));
+        // The Promise of the reader can be passed directly.
+        return ZipInfo.readEntryData(
+          ZipInfo.getEntries(data, 0, {verbose: true})[2], reader);
+      }).then(function(content) {
+        assert.deepEqual(content, new Uint8Array(100));
+        return fileHandle.close();
+      }, function(error) {
+        return fileHandle.close().then(function() {
+          throw error;
+        });
+      });
+    });
+  });
+});
+
+describe('ZipInfo.iterateEntries', function() {
+  function collect(iterator) {
+    var entries = [];
+    for (var result = iterator.next(); !result.done; result = iterator.next()) {
+      entries.push(result.value);
+    }
+    return entries;
+  }
+
+  it('should return the same entries as ZipInfo.getEntries', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    // The encryption summary is only available after parsing all entries.
+    delete entries[0].encryptedEntryCount;
+    delete entries[0].centralDirectoryEncrypted;
+    delete entries[0].encryptionSchemes;
+    assertEntriesEq(
+      collect(ZipInfo.iterateEntries(data, 0, {verbose: true})), entries);
+  });
+
+  it('should stop after maxEntries', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var iterator = ZipInfo.iterateEntries(data, 0, {maxEntries: 2});
+    assert.deepEqual(collect(iterator).map(function(entry) {
+      return entry.filename;
+    }), ['/', 'empty file with spaces', '100.dat']);
+    assert.deepEqual(iterator.next(), {done: true, value: undefined});
+  });
+
+  it('should be iterable', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var iterator = ZipInfo.iterateEntries(data);
+    assert.strictEqual(iterator[Symbol.iterator](), iterator);
+    assert.strictEqual(Array.from(iterator).length, 7);
+  });
+});
+
+describe('ZipInfo.iterateEntriesFromReader', function() {
+  function createLoggingReader(data, reads) {
+    return {
+      size: data.length,
+      read: function(offset, length) {
+        reads.push([offset, length]);
+        return data.slice(offset, offset + length);
+      },
+    };
+  }
+
+  // Resolves with the filenames of the first `count` entries (or all).
+  function collectFilenames(iterator, count) {
+    var filenames = [];
+    function next() {
+      if (filenames.length === count) {
+        return iterator.return().then(function() {
+          return filenames;
+        });
+      }
+      return iterator.next().then(function(result) {
+        if (result.done) {
+          return filenames;
+        }
+        filenames.push(result.value.filename);
+        return next();
+      });
+    }
+    return next();
+  }
+
+  // A zip file with 2000 empty files, named file-00000.txt, file-00001.txt,
+  // etc. The central directory is larger than the chunks of the tests.
+  var manyEntriesZip;
+  var manyEntriesCentralDirectoryStart;
+
+  before(function() {
+    var files = [];
+    for (var i = 0; i < 2000; ++i) {
+      files.push({name: 'file-' + ('0000' + i).slice(-5) + '.txt'});
+    }
+    return ZipInfo.createZip(files).then(function(data) {
+      manyEntriesZip = data;
+      manyEntriesCentralDirectoryStart =
+        ZipInfo.getEntries(data)[0].centralDirectoryStart;
+    });
+  });
+
+  it('should read the end of small zip files', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var reads = [];
+    var iterator = ZipInfo.iterateEntriesFromReader(
+      createLoggingReader(data, reads));
+    assert.strictEqual(iterator[Symbol.asyncIterator](), iterator);
+    return collectFilenames(iterator).then(function(filenames) {
+      assert.deepEqual(filenames, ZipInfo.getEntries(data).map(function(e) {
+        return e.filename;
+      }));
+      assert.deepEqual(reads, [[0, data.length]]);
+    });
+  });
+
+  it('should read large central directories in chunks', function() {
+    var data = manyEntriesZip;
+    var reads = [];
+    var iterator = ZipInfo.iterateEntriesFromReader(
+      createLoggingReader(data, reads), {chunkSize: 0x8000});
+    return collectFilenames(iterator).then(function(filenames) {
+      assert.deepEqual(filenames, ZipInfo.getEntries(data).map(function(e) {
+        return e.filename;
+      }));
+      var tailStart = data.length - 0xFFFF - 22;
+      var cdStart = manyEntriesCentralDirectoryStart;
+      assert.deepEqual(reads, [
+        [tailStart, 0xFFFF + 22],
+        [cdStart, 0x8000],
+        [cdStart + 0x8000, tailStart - cdStart - 0x8000],
+        // The rest of the central directory is in the first read.
+      ]);
+    });
+  });
+
+  it('should only read the chunks of the requested entries', function() {
+    var data = manyEntriesZip;
+    var reads = [];
+    var iterator = ZipInfo.iterateEntriesFromReader(
+      createLoggingReader(data, reads), {chunkSize: 0x8000});
+    return collectFilenames(iterator, 3).then(function(filenames) {
+      assert.deepEqual(filenames,
+        ['/', 'file-00000.txt', 'file-00001.txt']);
+      assert.strictEqual(reads.length, 2);
+      return iterator.next();
+    }).then(function(result) {
+      assert.deepEqual(result, {done: true, value: undefined});
+    });
+  });
+
+  it('should stop after maxEntries', function() {
+    var data = manyEntriesZip;
+    var reads = [];
+    var iterator = ZipInfo.iterateEntriesFromReader(
+      createLoggingReader(data, reads), {chunkSize: 0x8000, maxEntries: 1000});
+    return collectFilenames(iterator).then(function(filenames) {
+      assert.strictEqual(filenames.length, 1001);
+      assert.strictEqual(filenames[1000], 'file-00999.txt');
+      // The 1000th entry is at the start of the first read (at the end).
+      assert.strictEqual(reads.length, 3);
+    });
+  });
+
+  it('should reject invalid data', function() {
+    var reader = createLoggingReader(new Uint8Array(100), []);
+    return ZipInfo.iterateEntriesFromReader(reader).next().then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof ZipInfo.InvalidZipError);
+    });
+  });
+});
+
+describe('ZipInfo.readEntryData', function() {
+  // Creates a local file header for a stored file, followed by the data.
+  function createLocalFile(filename, data) {
+    var result = new Uint8Array(30 + filename.length + data.length);
+    var view = new DataView(result.buffer);
+    view.setUint32(0, 0x04034b50, true);
+    view.setUint16(26, filename.length, true);
+    result.set(new Buffer(filename), 30);
+    result.set(data, 30 + filename.length);
+    return result;
+  }
+  function createStoredEntry(data) {
+    return {
+      filename: 'file.txt',
+      compressedSize: data.length,
+      uncompressedSize: data.length,
+      compressionMethod: 0,
+      compressionMethodName: 'Stored',
+      crc32: ZipInfo._crc32(data),
+      localHeaderOffset: 0,
+      flags: 0,
+    };
+  }
+  function assertRejects(promise, expectedMessage) {
+    return promise.then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof Error);
+      assert.ok(error.message.indexOf(expectedMessage) >= 0,
+        'Unexpected error message: ' + error.message);
+    });
+  }
+
+  it('should read stored entries', function() {
+    var content = new Buffer('Hello world');
+    var entry = createStoredEntry(content);
+    var data = createLocalFile('file.txt', content);
+    return ZipInfo.readEntryData(entry, data).then(function(result) {
+      assert.strictEqual(new Buffer(result).toString(), 'Hello world');
+    });
+  });
+
+  it('should read deflated entries (from zip)', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries[3].filename, 'more.than.FFFF');
+    assert.strictEqual(entries[3].compressionMethod, 8);
+    return Promise.all([
+      ZipInfo.readEntryData(entries[2], data),
+      ZipInfo.readEntryData(entries[3], data),
+    ]).then(function(results) {
+      assert.deepEqual(results[0], new Uint8Array(100));
+      assert.deepEqual(results[1], new Uint8Array(70000));
+    });
+  });
+
+  it('should inflate with DecompressionStream if zlib is unavailable',
+      function() {
+    var data = readFileAsUint8Array('testdata/7z-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    assert.strictEqual(entries[1].filename, '100.dat');
+    assert.strictEqual(entries[1].compressionMethod, 8);
+    var _getZlib = ZipInfo._getZlib;
+    var getZlibCallCount = 0;
+    ZipInfo._getZlib = function() {
+      ++getZlibCallCount;
+      return null;
+    };
+    return ZipInfo.readEntryData(entries[1], data).then(function(result) {
+      ZipInfo._getZlib = _getZlib;
+      assert.strictEqual(getZlibCallCount, 1);
+      assert.deepEqual(result, new Uint8Array(100));
+    }, function(error) {
+      ZipInfo._getZlib = _getZlib;
+      throw error;
+    });
+  });
+
+  it('should stop inflating at the declared size', function() {
+    // 10 MB of zeroes, declared as 100 bytes.
+    var compressed = zlib.deflateRawSync(new Buffer(1e7).fill(0));
+    var data = createLocalFile('file.txt', compressed);
+    var entry = createStoredEntry(compressed);
+    entry.compressionMethod = 8;
+    entry.uncompressedSize = 100;
+    var _getZlib = ZipInfo._getZlib;
+    return assertRejects(ZipInfo.readEntryData(entry, data),
+      'Inflated data exceeds 100 bytes').then(function() {
+      ZipInfo._getZlib = function() {
+        return null;
+      };
+      return assertRejects(ZipInfo.readEntryData(entry, data),
+        'Inflated data exceeds 100 bytes');
+    }).then(function() {
+      ZipInfo._getZlib = _getZlib;
+    }, function(error) {
+      ZipInfo._getZlib = _getZlib;
+      throw error;
+    });
+  });
+
+  it('should read data from a reader', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    var reads = [];
+    var reader = {
+      read: function(offset, length) {
+        reads.push([offset, length]);
+        return Promise.resolve(data.slice(offset, offset + length));
+      },
+    };
+    return ZipInfo.readEntryData(entries[2], reader).then(function(result) {
+      assert.deepEqual(result, new Uint8Array(100));
+      // 80 = local header offset, 30 = local file header size,
+      // 7 = "100.dat".length, 28 = extra field length, 6 = compressed size.
+      assert.deepEqual(reads, [[80, 30], [80 + 30 + 7 + 28, 6]]);
+    });
+  });
+
+  it('should reject unsupported entries', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var entries = ZipInfo.getEntries(data);
+    var entry = createStoredEntry(new Uint8Array(1));
+    entry.compressionMethod = 12;
+    entry.compressionMethodName = 'BZIP2';
+    var encryptedEntry = createStoredEntry(new Uint8Array(1));
+    encryptedEntry.flags = 1;
+    return Promise.all([
+      assertRejects(ZipInfo.readEntryData(entries[1], data),
+        'Use ZipInfo.getEntries with the verbose option'),
+      assertRejects(ZipInfo.readEntryData(entry, new Uint8Array(100)),
+        'Unsupported compression method: BZIP2 (12)'),
+      assertRejects(ZipInfo.readEntryData(encryptedEntry, new Uint8Array(100)),
+        'Entry is encrypted'),
+    ]);
+  });
+
+  it('should reject invalid data', function() {
+    var content = new Buffer('Hello world');
+    var entry = createStoredEntry(content);
+    var data = createLocalFile('file.txt', content);
+    var badCrcEntry = createStoredEntry(content);
+    badCrcEntry.crc32 ^= 1;
+    var deflatedEntry = createStoredEntry(content);
+    deflatedEntry.compressionMethod = 8;
+    return Promise.all([
+      assertRejects(ZipInfo.readEntryData(entry, new Uint8Array(100)),
+        'No local file header at offset 0'),
+      assertRejects(ZipInfo.readEntryData(entry, data.subarray(0, 40)),
+        'Unexpected end of data'),
+      assertRejects(ZipInfo.readEntryData(badCrcEntry, data),
+        'CRC-32 mismatch'),
+      assertRejects(ZipInfo.readEntryData(deflatedEntry, data),
+        'Invalid deflate data'),
+    ]);
+  });
+});
+
 describe('ZipInfo.runGetEntriesOverHttp', function() {
   // The minimum file size in order to switch to range requests.
   var MIN_SIZE_FOR_RANGE_REQUESTS = 100000;
@@ -272,6 +1455,31 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
     result.set(zipEnd, result.length - zipEnd.length);
     return result;
   }
+  // Creates a ZIP64 archive whose central directory and ZIP64 records are
+  // located before the last 0xFFFF + 23 bytes, by appending a comment.
+  function getTestZip64AsUint8Array(desiredFileSize) {
+    var data = readFileAsUint8Array('testdata/zip64.zip');
+    // These offsets depend on the content of testdata/zip64.zip.
+    var cdStart = 268;
+    var locatorStart = data.length - 22 - 20;
+    var commentLength = 0xFFFF;
+
+    var result = new Uint8Array(desiredFileSize);
+    var zipEnd = data.subarray(cdStart);
+    var newCdStart = result.length - commentLength - zipEnd.length;
+    result.set(data.subarray(0, cdStart), 0);
+    result.set(zipEnd, newCdStart);
+
+    var view = new DataView(result.buffer);
+    var shift = newCdStart - cdStart;
+    var newLocatorStart = locatorStart + shift;
+    var newZip64EocdStart = view.getUint32(newLocatorStart + 8, true) + shift;
+    assert.strictEqual(view.getUint32(newZip64EocdStart, true), 0x06064b50);
+    view.setUint32(newLocatorStart + 8, newZip64EocdStart, true);
+    view.setUint32(newZip64EocdStart + 48, newCdStart, true);
+    view.setUint16(newLocatorStart + 20 + 20, commentLength, true);
+    return result;
+  }
   function getExpectedEntries() {
     // Expectation for testdata/7z-utf8.zip.
     // The actual entries are not interesting, we are merely testing whether the
@@ -290,6 +1498,7 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
   function createFakeRequestHandler(handlers) {
     var abortCount = 0;
     var requestCount = 0;
+    var abortedRequests = [];
     return {
       sendRequest: function(params) {
         process.nextTick(function() {
@@ -300,12 +1509,17 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
         return {
           abort: function() {
             ++abortCount;
+            abortedRequests.push(params);
           },
         };
       },
       get abortCount() {
         return abortCount;
       },
+      // The parameters of the aborted requests.
+      get abortedRequests() {
+        return abortedRequests;
+      },
       get requestCount() {
         return requestCount;
       },
@@ -359,6 +1573,9 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
           if (headerName === 'Accept-Ranges') {
             return 'bytes';
           }
+          if (headerName === 'ETag' || headerName === 'Last-Modified') {
+            return null;
+          }
           assert.ok(false, 'Unexpected header: ' + headerName);
         });
         assert.strictEqual(requestHandlers.abortCount, 0,
@@ -393,6 +1610,9 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
           if (headerName === 'Accept-Ranges') {
             return 'bytes';
           }
+          if (headerName === 'ETag' || headerName === 'Last-Modified') {
+            return null;
+          }
           assert.ok(false, 'Unexpected header: ' + headerName);
         });
         assert.strictEqual(requestHandlers.abortCount, 0,
@@ -426,13 +1646,16 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
           if (headerName === 'Accept-Ranges') {
             return 'bytes';
           }
+          if (headerName === 'ETag' || headerName === 'Last-Modified') {
+            return null;
+          }
           assert.ok(false, 'Unexpected header: ' + headerName);
         });
         assert.strictEqual(requestHandlers.abortCount, 1,
           'Request should be aborted');
       },
       function requestWithRange(params) {
-        assert.equal(params.rangeHeader, 'bytes=34442-99999/100000',
+        assert.equal(params.rangeHeader, 'bytes=34442-99999',
           'Expected Range header');
         // This is not needed, but let's test for it in case the implementation
         // changes and we have to revisit the test to check if onHeadersReceived
@@ -468,6 +1691,9 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
           if (headerName === 'Accept-Ranges') {
             return 'bytes';
           }
+          if (headerName === 'ETag' || headerName === 'Last-Modified') {
+            return null;
+          }
           assert.ok(false, 'Unexpected header: ' + headerName);
         });
         assert.strictEqual(requestHandlers.abortCount, 1,
@@ -476,7 +1702,7 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
       function requestWithRange(params) {
         // Chosen by ZipInfo.getEntries.
         var rangeStart = 34442;
-        assert.equal(params.rangeHeader, 'bytes=' + rangeStart + '-99999/100000',
+        assert.equal(params.rangeHeader, 'bytes=' + rangeStart + '-99999',
           'Expected Range header');
         // This is not needed, but let's test for it in case the implementation
         // changes and we have to revisit the test to check if onHeadersReceived
@@ -491,7 +1717,7 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
         // Choosen by ZipInfo.getEntries, based on the zip file's content.
         var rangeStart = TEST_CD_START;
         assert.equal(params.rangeHeader,
-          'bytes=' + rangeStart + '-99999/100000', 'Expected Range header');
+          'bytes=' + rangeStart + '-99999', 'Expected Range header');
         assert.ok(!params.onHeadersReceived, 'Does not care about headers');
         params.onCompleted(
           getTestZipAsUint8Array(MIN_SIZE_FOR_RANGE_REQUESTS).subarray(
@@ -525,6 +1751,9 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
           if (headerName === 'Accept-Ranges') {
             return 'bytes';
           }
+          if (headerName === 'ETag' || headerName === 'Last-Modified') {
+            return null;
+          }
           assert.ok(false, 'Unexpected header: ' + headerName);
         });
         assert.strictEqual(requestHandlers.abortCount, 1,
@@ -553,4 +1782,249 @@ describe('ZipInfo.runGetEntriesOverHttp', function() {
       done();
     });
   });
+
+  it('should fetch ZIP64 records before the end of the file', function(done) {
+    var data = getTestZip64AsUint8Array(MIN_SIZE_FOR_RANGE_REQUESTS);
+    function respondWithRange(params) {
+      var start = /^bytes=(\d+)-99999$/.exec(params.rangeHeader)[1];
+      params.onCompleted(data.subarray(start));
+    }
+    var requestHandlers = createFakeRequestHandler([
+      function firstRequest(params) {
+        params.onHeadersReceived(function(headerName) {
+          if (headerName === 'Content-Length') {
+            return String(MIN_SIZE_FOR_RANGE_REQUESTS);
+          }
+          if (headerName === 'Accept-Ranges') {
+            return 'bytes';
+          }
+          if (headerName === 'ETag' || headerName === 'Last-Modified') {
+            return null;
+          }
+          assert.ok(false, 'Unexpected header: ' + headerName);
+        });
+      },
+      function requestWithRange(params) {
+        // The EOCD record is at the start of the response, because of the
+        // maximum comment length.
+        assert.equal(params.rangeHeader, 'bytes=34442-99999');
+        respondWithRange(params);
+      },
+      function requestForZip64Records(params) {
+        // 34443 (EOCD start) - 20 (locator size) - 56 (ZIP64 EOCD size).
+        assert.equal(params.rangeHeader, 'bytes=34367-99999');
+        respondWithRange(params);
+      },
+      function requestForCentralDirectory(params) {
+        // 34367 - 185 (size of central directory).
+        assert.equal(params.rangeHeader, 'bytes=34182-99999');
+        respondWithRange(params);
+      },
+      function lastRequest() {
+        assert.ok(false, 'No fifth request because the fourth response ' +
+          'contained the full central directory.');
+      },
+    ]);
+    ZipInfo.runGetEntriesOverHttp(function(params) {
+      return requestHandlers.sendRequest(params);
+    }, function(entries) {
+      assert.strictEqual(requestHandlers.abortCount, 1, 'abort count');
+      assert.strictEqual(requestHandlers.requestCount, 4, 'request count');
+      assertEntriesEq(entries, [{
+        directory: true,
+        filename: '/',
+        uncompressedSize: 0,
+        centralDirectoryStart: 34182,
+      }, {
+        directory: false,
+        filename: '100.dat',
+        uncompressedSize: 100,
+      }, {
+        directory: false,
+        filename: 'more.than.FFFF',
+        uncompressedSize: 70000,
+      }]);
+      done();
+    });
+  });
+
+  function onHeadersReceivedWithRangeSupport(params) {
+    params.onHeadersReceived(function(headerName) {
+      if (headerName === 'Content-Length') {
+        return String(MIN_SIZE_FOR_RANGE_REQUESTS);
+      }
+      if (headerName === 'Accept-Ranges') {
+        return 'bytes';
+      }
+      if (headerName === 'ETag' || headerName === 'Last-Modified') {
+        return null;
+      }
+      assert.ok(false, 'Unexpected header: ' + headerName);
+    });
+  }
+
+  function assertRejects(promise, ErrorType) {
+    return promise.then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof ErrorType, 'Unexpected error: ' + error);
+      assert.ok(error instanceof Error);
+      return error;
+    });
+  }
+
+  it('getEntriesOverHttp should resolve with entries', function() {
+    var requestHandlers = createFakeRequestHandler([
+      onHeadersReceivedWithRangeSupport,
+      function requestWithRange(params) {
+        assert.equal(params.rangeHeader, 'bytes=34442-99999');
+        params.onCompleted(getTestZipAsUint8Array(MIN_SIZE_FOR_RANGE_REQUESTS));
+      },
+    ]);
+    return ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest, {
+      verbose: true,
+    }).then(function(entries) {
+      assert.strictEqual(requestHandlers.requestCount, 2, 'request count');
+      assert.strictEqual(entries.length, 2);
+      assert.strictEqual(entries[1].filename, '\ud83d\udca9');
+      assert.strictEqual(entries[1].compressionMethodName, 'Stored');
+    });
+  });
+
+  it('getEntriesOverHttp should reject on request errors', function() {
+    var requestHandlers = createFakeRequestHandler([
+      function firstRequest(params) {
+        params.onCompleted(new Uint8Array(0),
+          new ZipInfo.RequestError('HTTP status 404', 404));
+      },
+    ]);
+    var promise = ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest);
+    return assertRejects(promise, ZipInfo.RequestError).then(function(error) {
+      assert.strictEqual(error.name, 'RequestError');
+      assert.strictEqual(error.message, 'HTTP status 404');
+      assert.strictEqual(error.status, 404);
+    });
+  });
+
+  it('getEntriesOverHttp should wrap other errors in RequestError', function() {
+    var requestHandlers = createFakeRequestHandler([
+      onHeadersReceivedWithRangeSupport,
+      function requestWithRange(params) {
+        params.onCompleted(new Uint8Array(0), new Error('Connection reset'));
+      },
+    ]);
+    var promise = ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest);
+    return assertRejects(promise, ZipInfo.RequestError).then(function(error) {
+      assert.strictEqual(error.message, 'Connection reset');
+      assert.strictEqual(error.status, 0);
+    });
+  });
+
+  it('getEntriesOverHttp should reject if the response is not a zip file',
+      function() {
+    var requestHandlers = createFakeRequestHandler([
+      function firstRequest(params) {
+        params.onCompleted(new Uint8Array(100));
+      },
+    ]);
+    var promise = ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest);
+    return assertRejects(promise, ZipInfo.InvalidZipError).then(
+      function(error) {
+        assert.strictEqual(error.name, 'InvalidZipError');
+        assert.strictEqual(error.entries.length, 1);
+      });
+  });
+
+  it('runGetEntriesOverHttp should not report errors', function(done) {
+    var requestHandlers = createFakeRequestHandler([
+      function firstRequest(params) {
+        params.onCompleted(new Uint8Array(0),
+          new ZipInfo.RequestError('Network error'));
+      },
+    ]);
+    ZipInfo.runGetEntriesOverHttp(requestHandlers.sendRequest,
+      function(entries) {
+        assertEntriesEq(entries, [{
+          directory: true,
+          filename: '/',
+          uncompressedSize: 0,
+          centralDirectoryStart: 0,
+        }]);
+        done();
+      });
+  });
+
+  it('getEntriesOverHttp with an aborted signal', function() {
+    var controller = new AbortController();
+    controller.abort();
+    var requestHandlers = createFakeRequestHandler([]);
+    var promise = ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest, {
+      signal: controller.signal,
+    });
+    return assertRejects(promise, ZipInfo.AbortError).then(function() {
+      assert.strictEqual(requestHandlers.requestCount, 0, 'request count');
+    });
+  });
+
+  it('getEntriesOverHttp should abort the initial request', function() {
+    var controller = new AbortController();
+    var requestHandlers = createFakeRequestHandler([
+      function firstRequest() {
+        controller.abort();
+      },
+    ]);
+    var promise = ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest, {
+      signal: controller.signal,
+    });
+    return assertRejects(promise, ZipInfo.AbortError).then(function() {
+      assert.strictEqual(requestHandlers.abortCount, 1, 'abort count');
+      assert.ok(!requestHandlers.abortedRequests[0].rangeHeader);
+    });
+  });
+
+  it('getEntriesOverHttp should abort the range request', function() {
+    var controller = new AbortController();
+    var requestHandlers = createFakeRequestHandler([
+      onHeadersReceivedWithRangeSupport,
+      function requestWithRange(params) {
+        controller.abort();
+        // Should be ignored.
+        params.onCompleted(getTestZipAsUint8Array(MIN_SIZE_FOR_RANGE_REQUESTS));
+      },
+    ]);
+    var promise = ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest, {
+      signal: controller.signal,
+    });
+    return assertRejects(promise, ZipInfo.AbortError).then(function() {
+      assert.strictEqual(requestHandlers.requestCount, 2, 'request count');
+      assert.strictEqual(requestHandlers.abortCount, 2, 'abort count');
+      assert.equal(requestHandlers.abortedRequests[1].rangeHeader,
+        'bytes=34442-99999');
+    });
+  });
+
+  it('getEntriesOverHttp should abort the central directory request',
+      function() {
+    var controller = new AbortController();
+    var requestHandlers = createFakeRequestHandler([
+      onHeadersReceivedWithRangeSupport,
+      function requestWithRange(params) {
+        params.onCompleted(
+          getTestZipAsUint8Array(MIN_SIZE_FOR_RANGE_REQUESTS).subarray(
+            34442 + TEST_CD_START + 1));
+      },
+      function requestForCentralDirectory() {
+        controller.abort();
+      },
+    ]);
+    var promise = ZipInfo.getEntriesOverHttp(requestHandlers.sendRequest, {
+      signal: controller.signal,
+    });
+    return assertRejects(promise, ZipInfo.AbortError).then(function() {
+      assert.strictEqual(requestHandlers.requestCount, 3, 'request count');
+      assert.strictEqual(requestHandlers.abortCount, 2, 'abort count');
+      assert.equal(requestHandlers.abortedRequests[1].rangeHeader,
+        'bytes=' + TEST_CD_START + '-99999');
+    });
+  });
 });
@@ -0,0 +1,197 @@
+/* jshint node:true,mocha:true */
+/* globals Promise */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_archive.js');
+require('../zipinfo_node.js');
+require('../zipinfo_writer.js');
+var httpServer = require('./http-server.js');
+
+var assert = require('assert');
+
+var mtime = new Date(2020, 0, 2, 3, 4, 6);
+
+function createTestZip() {
+  return ZipInfo.createZip([
+    {name: 'docs/', mtime: mtime, mode: 0x1ED},
+    {name: 'docs/index.html', data: '<p>Hello</p>', mtime: mtime},
+    {name: 'docs/img/logo.png', data: 'PNG', method: 0, mode: 0x1A4},
+    {name: 'README', data: 'Read me', externalAttributes: 1},
+  ]);
+}
+
+function assertPathError(code, callback) {
+  assert.throws(callback, function(error) {
+    return error instanceof ZipInfo.ArchivePathError && error.code === code;
+  });
+}
+
+describe('ZipInfo.normalizeArchivePath', function() {
+  it('should normalize paths', function() {
+    assert.strictEqual(ZipInfo.normalizeArchivePath('/'), '');
+    assert.strictEqual(ZipInfo.normalizeArchivePath(''), '');
+    assert.strictEqual(ZipInfo.normalizeArchivePath('/docs/'), 'docs');
+    assert.strictEqual(ZipInfo.normalizeArchivePath('docs\\img\\logo.png'),
+      'docs/img/logo.png');
+    assert.strictEqual(
+      ZipInfo.normalizeArchivePath('./docs//img/../index.html'),
+      'docs/index.html');
+    assert.strictEqual(ZipInfo.normalizeArchivePath('../../README'),
+      'README');
+  });
+});
+
+describe('ZipInfo.openArchive', function() {
+  it('should list directories', function() {
+    return createTestZip().then(function(data) {
+      return ZipInfo.openArchive(data);
+    }).then(function(archive) {
+      assert.strictEqual(archive.entries.length, 5);
+      assert.deepEqual(archive.readdir('/'), ['docs', 'README']);
+      assert.deepEqual(archive.readdir('docs'), ['img', 'index.html']);
+      assert.deepEqual(archive.readdir('docs/img/'), ['logo.png']);
+      assert.strictEqual(archive.exists('docs/img'), true);
+      assert.strictEqual(archive.exists('/docs/./index.html'), true);
+      assert.strictEqual(archive.exists('docs/missing'), false);
+      assertPathError('ENOENT', function() {
+        archive.readdir('missing');
+      });
+      assertPathError('ENOTDIR', function() {
+        archive.readdir('README');
+      });
+    });
+  });
+
+  it('should report the status of files', function() {
+    return createTestZip().then(function(data) {
+      return ZipInfo.openArchive(data);
+    }).then(function(archive) {
+      assert.deepEqual(archive.stat('/'), {
+        path: '',
+        size: 0,
+        compressedSize: 0,
+        mtime: null,
+        mode: 0x41ED,
+        isDirectory: true,
+      });
+      assert.deepEqual(archive.stat('docs/'), {
+        path: 'docs',
+        size: 0,
+        compressedSize: 0,
+        mtime: mtime,
+        mode: 0x41ED,
+        isDirectory: true,
+      });
+      // Implied by docs/img/logo.png.
+      assert.strictEqual(archive.stat('docs/img').mtime, null);
+      var stat = archive.stat('docs/index.html');
+      assert.strictEqual(stat.size, 12);
+      assert.ok(stat.compressedSize > 0);
+      assert.strictEqual(stat.mtime.getTime(), mtime.getTime());
+      assert.strictEqual(stat.mode, 0x81A4);
+      assert.strictEqual(stat.isDirectory, false);
+      assert.strictEqual(archive.stat('docs/img/logo.png').size, 3);
+      // Read-only on MS-DOS.
+      assert.strictEqual(archive.stat('README').mode, 0x8124);
+      assertPathError('ENOENT', function() {
+        archive.stat('docs/index.htm');
+      });
+    });
+  });
+
+  it('should not find names of Object.prototype', function() {
+    return createTestZip().then(function(data) {
+      return ZipInfo.openArchive(data);
+    }).then(function(archive) {
+      var paths = ['constructor', 'toString', 'docs/hasOwnProperty'];
+      paths.forEach(function(path) {
+        assert.strictEqual(archive.exists(path), false);
+        assertPathError('ENOENT', function() {
+          archive.stat(path);
+        });
+        assertPathError('ENOENT', function() {
+          archive.readdir(path);
+        });
+      });
+      return archive.readFile('toString').then(function() {
+        assert.ok(false, 'Expected promise to be rejected');
+      }, function(error) {
+        assert.ok(error instanceof ZipInfo.ArchivePathError);
+        assert.strictEqual(error.code, 'ENOENT');
+      });
+    });
+  });
+
+  it('should read files when asked', function() {
+    var reads = [];
+    return createTestZip().then(function(data) {
+      return ZipInfo.openArchive({
+        size: data.length,
+        read: function(offset, length) {
+          reads.push(offset);
+          return data.subarray(offset, offset + length);
+        },
+      });
+    }).then(function(archive) {
+      // The central directory is read at once, because the file is small.
+      assert.deepEqual(reads, [0]);
+      return Promise.all([
+        archive.readFile('docs/index.html', {encoding: 'utf-8'}),
+        archive.readFile('/docs/img/../img/logo.png'),
+        archive.readFile('docs').catch(function(error) {
+          return error;
+        }),
+      ]);
+    }).then(function(results) {
+      assert.strictEqual(results[0], '<p>Hello</p>');
+      assert.deepEqual(results[1], new Uint8Array([0x50, 0x4E, 0x47]));
+      assert.ok(results[2] instanceof ZipInfo.ArchivePathError);
+      assert.strictEqual(results[2].code, 'EISDIR');
+      assert.strictEqual(results[2].path, 'docs');
+      // The local file header and the data of both files.
+      assert.strictEqual(reads.length, 5);
+    });
+  });
+
+  describe('over HTTP', function() {
+    var server;
+    var data;
+
+    beforeEach(function() {
+      return createTestZip().then(function(result) {
+        data = result;
+        return new Promise(function(resolve) {
+          httpServer.createServer({'/test.zip': data}, null, function(s) {
+            server = s;
+            resolve();
+          });
+        });
+      });
+    });
+
+    afterEach(function(done) {
+      server.stop(done);
+    });
+
+    it('should read files with range requests', function() {
+      return ZipInfo.openArchive(server.baseUrl + '/test.zip')
+      .then(function(archive) {
+        assert.deepEqual(archive.readdir(''), ['docs', 'README']);
+        assert.strictEqual(server.requests.length, 2);
+        return archive.readFile('README', {encoding: 'utf-8'});
+      }).then(function(content) {
+        assert.strictEqual(content, 'Read me');
+        var etag = httpServer.getEtag(data);
+        assert.deepEqual(server.requests, [
+          {url: '/test.zip', range: undefined},
+          {url: '/test.zip', range: 'bytes=0-' + (data.length - 1),
+            ifRange: etag},
+          // The local file header and the deflated data of README.
+          {url: '/test.zip', range: 'bytes=144-173', ifRange: etag},
+          {url: '/test.zip', range: 'bytes=180-188', ifRange: etag},
+        ]);
+      });
+    });
+  });
+});
@@ -0,0 +1,376 @@
+/* jshint node:true,mocha:true */
+/* globals Promise, structuredClone */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_cache.js');
+require('../zipinfo_node.js');
+require('../zipinfo_writer.js');
+var httpServer = require('./http-server.js');
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+var LAST_MODIFIED = 'Wed, 21 Oct 2015 07:28:00 GMT';
+
+function createTestZip(content) {
+  return ZipInfo.createZip([
+    {name: 'file.txt', data: content, mtime: new Date(2020, 0, 1)},
+    {name: 'extra', extra: new Uint8Array([0x34, 0x12, 1, 0, 0xAB])},
+  ]);
+}
+
+describe('ZipInfo.createListingCache', function() {
+  var server;
+  var files;
+  var url;
+
+  function startServer(options) {
+    return createTestZip('Version 1').then(function(data) {
+      files = {'/test.zip': data};
+      return new Promise(function(resolve) {
+        httpServer.createServer(files, options, function(s) {
+          server = s;
+          url = server.baseUrl + '/test.zip';
+          resolve();
+        });
+      });
+    });
+  }
+
+  afterEach(function(done) {
+    server.stop(done);
+  });
+
+  it('should reuse the list if the zip file has not changed', function() {
+    var cache = ZipInfo.createListingCache();
+    var firstEntries;
+    return startServer().then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function(entries) {
+      firstEntries = entries;
+      assert.deepEqual(cache.stats, {
+        hits: 0,
+        misses: 1,
+        invalidations: 0,
+        bytesSaved: 0,
+      });
+      server.requests.length = 0;
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function(entries) {
+      assert.deepEqual(entries, firstEntries);
+      assert.notStrictEqual(entries, firstEntries);
+      assert.deepEqual(server.requests, [{
+        url: '/test.zip',
+        range: 'bytes=0-0',
+        ifNoneMatch: httpServer.getEtag(files['/test.zip']),
+      }]);
+      assert.deepEqual(cache.stats, {
+        hits: 1,
+        misses: 1,
+        invalidations: 0,
+        // The zip file is small, so it was listed with a single request.
+        bytesSaved: files['/test.zip'].length,
+      });
+    });
+  });
+
+  it('should list the zip file again if it has changed', function() {
+    var cache = ZipInfo.createListingCache();
+    return startServer().then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function(entries) {
+      assert.strictEqual(entries[1].uncompressedSize, 9);
+      return createTestZip('Version 2 is longer');
+    }).then(function(data) {
+      files['/test.zip'] = data;
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function(entries) {
+      assert.strictEqual(entries[1].uncompressedSize, 19);
+      assert.deepEqual(cache.stats, {
+        hits: 0,
+        misses: 2,
+        invalidations: 1,
+        bytesSaved: 0,
+      });
+      // The new list is stored.
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function(entries) {
+      assert.strictEqual(entries[1].uncompressedSize, 19);
+      assert.strictEqual(cache.stats.hits, 1);
+    });
+  });
+
+  it('should keep the list if the conditional request fails', function() {
+    var cache = ZipInfo.createListingCache();
+    var sendHttpRequest;
+    return startServer().then(function() {
+      var sendNodeRequest = ZipInfo.createNodeRequestSender(url);
+      sendHttpRequest = function(params) {
+        if (!params.ifNoneMatchHeader) {
+          return sendNodeRequest(params);
+        }
+        setTimeout(function() {
+          params.onCompleted(new Uint8Array(0),
+            new ZipInfo.RequestError('Network error'));
+        });
+        return {abort: function() {}};
+      };
+      return cache.getEntries(url, sendHttpRequest);
+    }).then(function() {
+      return cache.getEntries(url, sendHttpRequest);
+    }).then(function(entries) {
+      assert.strictEqual(entries[1].filename, 'file.txt');
+      assert.deepEqual(cache.stats, {
+        hits: 0,
+        misses: 2,
+        invalidations: 0,
+        bytesSaved: 0,
+      });
+      // The stored list is still used.
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function() {
+      assert.strictEqual(cache.stats.hits, 1);
+      assert.strictEqual(cache.stats.invalidations, 0);
+    });
+  });
+
+  it('should revalidate with Last-Modified', function() {
+    var cache = ZipInfo.createListingCache();
+    return startServer({etag: false, lastModified: LAST_MODIFIED})
+    .then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function() {
+      server.requests.length = 0;
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function() {
+      assert.deepEqual(server.requests, [{
+        url: '/test.zip',
+        range: 'bytes=0-0',
+        ifModifiedSince: LAST_MODIFIED,
+      }]);
+      assert.strictEqual(cache.stats.hits, 1);
+    });
+  });
+
+  it('should not store lists without validator', function() {
+    var cache = ZipInfo.createListingCache();
+    return startServer({etag: false}).then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function() {
+      assert.strictEqual(server.requests.length, 2);
+      assert.deepEqual(cache.stats, {
+        hits: 0,
+        misses: 2,
+        invalidations: 0,
+        bytesSaved: 0,
+      });
+    });
+  });
+
+  it('should store lists separately for different options', function() {
+    var cache = ZipInfo.createListingCache();
+    return startServer().then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache, verbose: true});
+    }).then(function(entries) {
+      assert.strictEqual(entries[1].compressionMethod, 8);
+      assert.strictEqual(cache.stats.misses, 2);
+      return cache.delete(url);
+    }).then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache, verbose: true});
+    }).then(function() {
+      assert.strictEqual(cache.stats.hits, 1);
+      return ZipInfo.getRemoteEntriesAsync(url, {cache: cache});
+    }).then(function() {
+      assert.strictEqual(cache.stats.misses, 3);
+    });
+  });
+
+  it('should store lists in files', function() {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zipinfo-cache-'));
+    var options = {
+      cache: ZipInfo.createListingCache(
+        ZipInfo.createFileListingStorage(path.join(directory, 'listings'))),
+      verbose: true,
+      extraFields: true,
+    };
+    var firstEntries;
+    return startServer().then(function() {
+      return ZipInfo.getRemoteEntriesAsync(url, options);
+    }).then(function(entries) {
+      firstEntries = entries;
+      assert.strictEqual(fs.readdirSync(path.join(directory, 'listings'))
+        .length, 1);
+      // A new cache with the same directory.
+      options.cache = ZipInfo.createListingCache(
+        ZipInfo.createFileListingStorage(path.join(directory, 'listings')));
+      return ZipInfo.getRemoteEntriesAsync(url, options);
+    }).then(function(entries) {
+      assert.strictEqual(options.cache.stats.hits, 1);
+      assert.deepEqual(entries, firstEntries);
+      assert.ok(entries[1].lastModified instanceof Date);
+      assert.ok(entries[2].extraFields[0].data instanceof Uint8Array);
+    }).then(function() {
+      fs.rmSync(directory, {recursive: true});
+    }, function(error) {
+      fs.rmSync(directory, {recursive: true});
+      throw error;
+    });
+  });
+});
+
+describe('ZipInfo.createFileListingStorage', function() {
+  it('should store the same list concurrently', function() {
+    var directory = fs.mkdtempSync(path.join(os.tmpdir(), 'zipinfo-cache-'));
+    var storage = ZipInfo.createFileListingStorage(directory);
+    var records = [1, 2, 3].map(function(size) {
+      return {url: 'http://example.com/test.zip', size: size, entries: []};
+    });
+    return Promise.all(records.map(function(record) {
+      return storage.set('key', record);
+    })).then(function() {
+      // No temporary files are left.
+      assert.strictEqual(fs.readdirSync(directory).length, 1);
+      return storage.get('key');
+    }).then(function(record) {
+      assert.ok(record.size >= 1 && record.size <= 3, record.size);
+    }).then(function() {
+      fs.rmSync(directory, {recursive: true});
+    }, function(error) {
+      fs.rmSync(directory, {recursive: true});
+      throw error;
+    });
+  });
+});
+
+// Creates a minimal IDBFactory with the parts that
+// ZipInfo.createIndexedDBListingStorage uses. The first failOpen open requests
+// fail.
+function createFakeIndexedDB(failOpen) {
+  var stores = null;
+  var factory = {
+    openCount: 0,
+    open: function() {
+      ++factory.openCount;
+      var request = {};
+      setTimeout(function() {
+        if (failOpen) {
+          --failOpen;
+          request.error = new Error('Cannot open the database');
+          request.onerror();
+          return;
+        }
+        request.result = {
+          createObjectStore: function(name) {
+            stores[name] = Object.create(null);
+          },
+          transaction: createTransaction,
+        };
+        if (!stores) {
+          stores = {};
+          request.onupgradeneeded();
+        }
+        request.onsuccess();
+      });
+      return request;
+    },
+  };
+
+  function createTransaction() {
+    var transaction = {
+      objectStore: function(name) {
+        var store = stores[name];
+        return {
+          get: function(key) {
+            return {result: structuredClone(store[key])};
+          },
+          put: function(value, key) {
+            store[key] = structuredClone(value);
+            return {result: key};
+          },
+          delete: function(key) {
+            delete store[key];
+            return {result: undefined};
+          },
+        };
+      },
+    };
+    setTimeout(function() {
+      transaction.oncomplete();
+    });
+    return transaction;
+  }
+
+  return factory;
+}
+
+describe('ZipInfo.createIndexedDBListingStorage', function() {
+  it('should store records', function() {
+    var factory = createFakeIndexedDB(1);
+    var storage = ZipInfo.createIndexedDBListingStorage({indexedDB: factory});
+    var record = {
+      url: 'http://example.com/test.zip',
+      etag: '"a"',
+      entries: [{filename: 'file.txt', lastModified: new Date(2020, 0, 1)}],
+    };
+    return storage.get('key').then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.strictEqual(error.message, 'Cannot open the database');
+      // The database is opened again after the error.
+      return storage.set('key', record);
+    }).then(function(result) {
+      assert.strictEqual(result, undefined);
+      assert.strictEqual(factory.openCount, 2);
+      return storage.get('key');
+    }).then(function(result) {
+      assert.deepEqual(result, record);
+      assert.notStrictEqual(result, record);
+      return storage.delete('key');
+    }).then(function() {
+      return storage.get('key');
+    }).then(function(result) {
+      assert.strictEqual(result, undefined);
+      assert.strictEqual(factory.openCount, 2);
+    });
+  });
+});
+
+describe('ZipInfo._isListingUnchanged', function() {
+  var record = {etag: '"a"', lastModified: LAST_MODIFIED, size: 100};
+
+  function createHeaderGetter(headers) {
+    return function(header) {
+      return headers[header] || null;
+    };
+  }
+
+  it('should compare the headers if the server ignored the conditions',
+      function() {
+    assert.strictEqual(ZipInfo._isListingUnchanged(record,
+      createHeaderGetter({}), 304), true);
+    assert.strictEqual(ZipInfo._isListingUnchanged(record, createHeaderGetter({
+      'ETag': '"a"',
+      'Content-Length': '1',
+      'Content-Range': 'bytes 0-0/100',
+    }), 206), true);
+    assert.strictEqual(ZipInfo._isListingUnchanged(record, createHeaderGetter({
+      'ETag': '"a"',
+      'Content-Length': '101',
+    }), 200), false);
+    assert.strictEqual(ZipInfo._isListingUnchanged(record, createHeaderGetter({
+      'ETag': '"b"',
+      'Content-Length': '100',
+    }), 200), false);
+    // An error status does not show whether the file has changed.
+    assert.strictEqual(ZipInfo._isListingUnchanged(record, createHeaderGetter({
+      'ETag': '"a"',
+    }), 500), null);
+  });
+});
@@ -0,0 +1,221 @@
+/* jshint node:true,mocha:true */
+/* globals Promise */
+'use strict';
+
+var cli = require('../bin/zipinfo-js');
+var httpServer = require('./http-server.js');
+var getTestPath = require('./helpers.js').getTestPath;
+
+var assert = require('assert');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+
+// Runs the command-line tool, and resolves with the exit code and output.
+function run(args) {
+  var result = {stdout: '', stderr: ''};
+  return cli.run(args, {
+    stdout: {
+      write: function(data) {
+        result.stdout += data;
+      },
+    },
+    stderr: {
+      write: function(data) {
+        result.stderr += data;
+      },
+    },
+  }).then(function(exitCode) {
+    result.exitCode = exitCode;
+    return result;
+  });
+}
+
+var EXPECTED_TABLE = [
+  '  Length      Date    Time    Name',
+  '---------  ---------- -----   ----',
+  '        0  2016-11-30 00:28   empty file with spaces',
+  '      100  2016-11-30 00:28   100.dat',
+  '    70000  2016-11-30 00:28   more.than.FFFF',
+  '        0  2016-11-30 00:28   emptydir/',
+  '        0  2016-11-30 00:28   otherdir/',
+  '        0  2016-11-30 00:28   otherdir/empty.dat',
+  '---------                     -------',
+  '    70100                     6 files',
+  '',
+].join('\n');
+
+describe('zipinfo-js', function() {
+  it('should list local files like unzip -l', function() {
+    return run([getTestPath('testdata/zip-all.zip')]).then(function(result) {
+      assert.strictEqual(result.stdout, EXPECTED_TABLE);
+      assert.strictEqual(result.stderr, '');
+      assert.strictEqual(result.exitCode, 0);
+    });
+  });
+
+  it('should list remote files', function() {
+    var server;
+    var malformed = fs.readFileSync(getTestPath('testdata/zip-all.zip'));
+    // Declare more entries than there are.
+    malformed[malformed.length - 22 + 8] = 7;
+    malformed[malformed.length - 22 + 10] = 7;
+    return new Promise(function(resolve) {
+      httpServer.createServer({
+        '/zip-all.zip': fs.readFileSync(getTestPath('testdata/zip-all.zip')),
+        '/malformed.zip': malformed,
+      }, {}, resolve);
+    }).then(function(s) {
+      server = s;
+      return run(['-l', server.baseUrl + '/zip-all.zip']);
+    }).then(function(result) {
+      assert.strictEqual(result.stdout, EXPECTED_TABLE);
+      assert.strictEqual(result.exitCode, 0);
+      return run([server.baseUrl + '/missing.zip']);
+    }).then(function(result) {
+      assert.strictEqual(result.stdout, '');
+      assert.strictEqual(result.exitCode, 1);
+      assert.ok(/404/.test(result.stderr), result.stderr);
+      return run([server.baseUrl + '/malformed.zip']);
+    }).then(function(result) {
+      assert.strictEqual(result.stdout, EXPECTED_TABLE);
+      assert.strictEqual(result.exitCode, 1);
+      assert.strictEqual(result.stderr, 'zipinfo-js: ' + server.baseUrl +
+        '/malformed.zip: the archive declares 7 entries, but 6 entries were ' +
+        'found\n');
+    }).then(function() {
+      return new Promise(function(resolve) {
+        server.stop(resolve);
+      });
+    }, function(error) {
+      return new Promise(function(resolve) {
+        server.stop(resolve);
+      }).then(function() {
+        throw error;
+      });
+    });
+  });
+
+  it('should show metadata like zipinfo -v', function() {
+    var args = ['-v', getTestPath('testdata/comments.zip')];
+    return run(args).then(function(result) {
+      assert.strictEqual(result.exitCode, 0);
+      var lines = result.stdout.split('\n');
+      assert.notStrictEqual(lines.indexOf('Built by release-tool 1.2.3'), -1);
+      assert.notStrictEqual(lines.indexOf('  100.dat'), -1);
+      [
+        '  total number of entries in the central directory:  1',
+        '  compression method:                                Deflated',
+        '  32-bit CRC value (hex):                            9988c6ca',
+        '  file comment:                                      ' +
+          'Comment of 100.dat',
+      ].forEach(function(line) {
+        assert.notStrictEqual(lines.indexOf(line), -1, line);
+      });
+    });
+  });
+
+  it('should output JSON, JSON Lines and CSV', function() {
+    var zipPath = getTestPath('testdata/zip-all.zip');
+    return run(['--format=json', zipPath]).then(function(result) {
+      var json = JSON.parse(result.stdout);
+      assert.strictEqual(json.archive.entryCount, 6);
+      assert.strictEqual(json.entries.length, 6);
+      assert.strictEqual(json.entries[1].filename, '100.dat');
+      assert.strictEqual(json.entries[1].crc32, 0x9988c6ca);
+      return run(['--format=jsonl', zipPath]);
+    }).then(function(result) {
+      var lines = result.stdout.trim().split('\n');
+      assert.strictEqual(lines.length, 6);
+      assert.strictEqual(JSON.parse(lines[2]).filename, 'more.than.FFFF');
+      return run(['--format=csv', zipPath, '100.dat', 'empty*']);
+    }).then(function(result) {
+      assert.strictEqual(result.stdout, [
+        'filename,directory,uncompressedSize,compressedSize,' +
+          'compressionMethodName,crc32,lastModified,encrypted,comment',
+        'empty file with spaces,false,0,0,Stored,0,' +
+          new Date(2016, 10, 30, 0, 28, 54).toISOString() + ',false,',
+        '100.dat,false,100,6,Deflated,2575877834,' +
+          new Date(2016, 10, 30, 0, 28, 54).toISOString() + ',false,',
+        '',
+      ].join('\r\n'));
+    });
+  });
+
+  it('should filter by glob patterns', function() {
+    var zipPath = getTestPath('testdata/zip-all.zip');
+    function getFilenames(args) {
+      return run(['--format=jsonl'].concat(args)).then(function(result) {
+        return result.stdout.trim().split('\n').filter(Boolean)
+        .map(function(line) {
+          return JSON.parse(line).filename;
+        });
+      });
+    }
+    return getFilenames([zipPath, '*.dat']).then(function(filenames) {
+      assert.deepEqual(filenames, ['100.dat']);
+      return getFilenames([zipPath, '**.dat']);
+    }).then(function(filenames) {
+      assert.deepEqual(filenames, ['100.dat', 'otherdir/empty.dat']);
+      return getFilenames([zipPath, '*dir/', '-x', 'other**']);
+    }).then(function(filenames) {
+      assert.deepEqual(filenames, ['emptydir/']);
+      return getFilenames([zipPath, '1?0.dat', 'more.than.FFF?']);
+    }).then(function(filenames) {
+      assert.deepEqual(filenames, ['100.dat', 'more.than.FFFF']);
+    });
+  });
+
+  it('should fail for malformed archives', function() {
+    var data = fs.readFileSync(getTestPath('testdata/zip-all.zip'));
+    // Declare more entries than there are.
+    data[data.length - 22 + 8] = data[data.length - 22 + 10] = 7;
+    var tmpPath = path.join(os.tmpdir(), 'zipinfo-js-test-' + process.pid +
+      '.zip');
+    fs.writeFileSync(tmpPath, data);
+    return run([tmpPath]).then(function(result) {
+      assert.strictEqual(result.exitCode, 1);
+      assert.strictEqual(result.stdout, EXPECTED_TABLE);
+      assert.strictEqual(result.stderr, 'zipinfo-js: ' + tmpPath + ': The ' +
+        'EOCD record declares 7 entries, but 6 entries were found\n');
+
+      // Restore the entry count, and change the name in the local file header
+      // of 100.dat (at offset 80).
+      data[data.length - 22 + 8] = data[data.length - 22 + 10] = 6;
+      data[80 + 30] = 0x32;
+      fs.writeFileSync(tmpPath, data);
+      return run([tmpPath]);
+    }).then(function(result) {
+      fs.unlinkSync(tmpPath);
+      assert.strictEqual(result.exitCode, 1);
+      assert.strictEqual(result.stdout, EXPECTED_TABLE);
+      assert.strictEqual(result.stderr, 'zipinfo-js: ' + tmpPath + ': ' +
+        '100.dat: The filename in the local file header (200.dat) differs ' +
+        'from the central directory (100.dat)\n');
+      return run([getTestPath('test-cli.js')]);
+    }).then(function(result) {
+      assert.strictEqual(result.exitCode, 1);
+      assert.strictEqual(result.stdout, '');
+      assert.ok(/not a zip file/.test(result.stderr), result.stderr);
+      return run([getTestPath('testdata/does-not-exist.zip')]);
+    }).then(function(result) {
+      assert.strictEqual(result.exitCode, 1);
+      assert.ok(/ENOENT/.test(result.stderr), result.stderr);
+    });
+  });
+
+  it('should report invalid usage', function() {
+    return run([]).then(function(result) {
+      assert.strictEqual(result.exitCode, 2);
+      assert.ok(/^zipinfo-js: Missing zip file\n\nUsage:/.test(result.stderr));
+      return run(['--format=xml', 'a.zip']);
+    }).then(function(result) {
+      assert.strictEqual(result.exitCode, 2);
+      assert.ok(/Unknown format: xml/.test(result.stderr));
+      return run(['--help']);
+    }).then(function(result) {
+      assert.strictEqual(result.exitCode, 0);
+      assert.ok(/^Usage: zipinfo-js/.test(result.stdout));
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/* jshint node:true,mocha:true */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_diff.js');
+var readFileAsUint8Array = require('./helpers.js').readFileAsUint8Array;
+
+var assert = require('assert');
+
+// Creates a verbose entry with a Unix mode of 0644, unless overridden.
+function createEntry(filename, properties) {
+  var entry = {
+    filename: filename,
+    directory: filename.slice(-1) === '/',
+    uncompressedSize: 100,
+    compressedSize: 50,
+    crc32: 0x12345678,
+    compressionMethod: 8,
+    lastModified: new Date(2020, 0, 1),
+    versionMadeBy: 0x031E,
+    externalAttributes: 0x81A40000,
+  };
+  Object.keys(properties || {}).forEach(function(key) {
+    entry[key] = properties[key];
+  });
+  return entry;
+}
+
+function createRootEntry() {
+  return {
+    filename: '/',
+    directory: true,
+    uncompressedSize: 0,
+    centralDirectoryStart: 0,
+  };
+}
+
+function getFilenames(entries) {
+  return entries.map(function(entry) {
+    return entry.filename;
+  });
+}
+
+describe('ZipInfo.diff', function() {
+  it('should find no differences between the same listings', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var a = ZipInfo.getEntries(data, 0, {verbose: true});
+    var b = ZipInfo.getEntries(data, 0, {verbose: true});
+    var result = ZipInfo.diff(a, b);
+    assert.strictEqual(result.identical, true);
+    assert.strictEqual(result.unchanged, a.length - 1);
+    assert.deepEqual(result.added, []);
+    assert.deepEqual(result.removed, []);
+    assert.deepEqual(result.modified, []);
+    assert.deepEqual(result.renamed, []);
+  });
+
+  it('should report added and removed entries', function() {
+    var result = ZipInfo.diff([
+      createRootEntry(),
+      createEntry('dir/'),
+      createEntry('old.txt', {crc32: 1}),
+      createEntry('same.txt'),
+    ], [
+      createRootEntry(),
+      createEntry('same.txt'),
+      createEntry('new.txt', {crc32: 2}),
+      createEntry('new/'),
+    ]);
+    assert.deepEqual(getFilenames(result.added), ['new.txt', 'new/']);
+    assert.deepEqual(getFilenames(result.removed), ['dir/', 'old.txt']);
+    assert.deepEqual(result.renamed, []);
+    assert.strictEqual(result.unchanged, 1);
+    assert.strictEqual(result.identical, false);
+  });
+
+  it('should compare names of Object.prototype', function() {
+    var result = ZipInfo.diff([
+      createEntry('hasOwnProperty'),
+      createEntry('__proto__'),
+    ], [
+      createEntry('hasOwnProperty'),
+      createEntry('constructor', {crc32: 1}),
+    ]);
+    assert.deepEqual(getFilenames(result.added), ['constructor']);
+    assert.deepEqual(getFilenames(result.removed), ['__proto__']);
+    assert.strictEqual(result.unchanged, 1);
+  });
+
+  it('should report modified entries', function() {
+    var a = [
+      createEntry('content'),
+      createEntry('method'),
+      createEntry('time'),
+      createEntry('mode'),
+    ];
+    var b = [
+      createEntry('content', {crc32: 1, uncompressedSize: 101}),
+      createEntry('method', {compressionMethod: 0, compressedSize: 100}),
+      createEntry('time', {lastModified: new Date(2021, 0, 1)}),
+      createEntry('mode', {externalAttributes: 0x81ED0000}),
+    ];
+    var result = ZipInfo.diff(a, b);
+    assert.deepEqual(result.modified.map(function(item) {
+      return [item.filename, item.changes.map(function(change) {
+        return change.property;
+      })];
+    }), [
+      ['content', ['uncompressedSize', 'crc32']],
+      ['method', ['compressedSize', 'compressionMethod']],
+      ['time', ['lastModified']],
+      ['mode', ['permissions']],
+    ]);
+    assert.strictEqual(result.modified[0].a, a[0]);
+    assert.strictEqual(result.modified[0].b, b[0]);
+    assert.deepEqual(result.modified[3].changes, [
+      {property: 'permissions', a: 0x1A4, b: 0x1ED},
+    ]);
+    assert.strictEqual(result.unchanged, 0);
+  });
+
+  it('should report renamed and moved entries', function() {
+    var result = ZipInfo.diff([
+      createEntry('a/README', {crc32: 1}),
+      createEntry('a/LICENSE', {crc32: 1}),
+      createEntry('old-name.txt', {crc32: 2}),
+      createEntry('empty-a', {uncompressedSize: 0, crc32: 0}),
+    ], [
+      createEntry('new-name.txt', {crc32: 2, compressionMethod: 0}),
+      createEntry('b/LICENSE', {crc32: 1}),
+      createEntry('empty-b', {uncompressedSize: 0, crc32: 0}),
+    ]);
+    assert.deepEqual(result.renamed.map(function(item) {
+      return [item.from, item.to, item.moved, item.changes.length];
+    }), [
+      ['old-name.txt', 'new-name.txt', false, 1],
+      ['a/LICENSE', 'b/LICENSE', true, 0],
+    ]);
+    assert.deepEqual(result.renamed[0].changes, [
+      {property: 'compressionMethod', a: 8, b: 0},
+    ]);
+    // Empty files are not matched, because they all have the same content.
+    assert.deepEqual(getFilenames(result.added), ['empty-b']);
+    assert.deepEqual(getFilenames(result.removed), ['a/README', 'empty-a']);
+  });
+
+  it('should match renamed entries with the same content', function() {
+    var result = ZipInfo.diff([
+      createEntry('a/1'),
+      createEntry('a/2'),
+      createEntry('a/3'),
+    ], [
+      createEntry('b/3'),
+      createEntry('b/x'),
+      createEntry('b/2'),
+      createEntry('b/y'),
+    ]);
+    assert.deepEqual(result.renamed.map(function(item) {
+      return item.from + ' ' + item.to;
+    }), ['a/3 b/3', 'a/1 b/x', 'a/2 b/2']);
+    assert.deepEqual(getFilenames(result.added), ['b/y']);
+    assert.deepEqual(result.removed, []);
+  });
+
+  it('should not compare ignored properties', function() {
+    var result = ZipInfo.diff([
+      createEntry('file'),
+    ], [
+      createEntry('file', {lastModified: new Date(2021, 0, 1)}),
+    ], {ignore: ['lastModified']});
+    assert.deepEqual(result.modified, []);
+    assert.strictEqual(result.identical, true);
+  });
+
+  it('should only compare available properties', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var a = ZipInfo.getEntries(data);
+    var b = ZipInfo.getEntries(data, 0, {verbose: true});
+    b[1].uncompressedSize += 1;
+    var result = ZipInfo.diff(a, b);
+    assert.deepEqual(result.modified.map(function(item) {
+      return item.changes;
+    }), [[{
+      property: 'uncompressedSize',
+      a: a[1].uncompressedSize,
+      b: a[1].uncompressedSize + 1,
+    }]]);
+  });
+
+  it('should report null permissions for non-Unix entries', function() {
+    var result = ZipInfo.diff([
+      createEntry('file'),
+    ], [
+      createEntry('file', {versionMadeBy: 0x0014, externalAttributes: 0x20}),
+    ]);
+    assert.deepEqual(result.modified[0].changes, [
+      {property: 'permissions', a: 0x1A4, b: null},
+    ]);
+  });
+});
@@ -0,0 +1,300 @@
+/* jshint node:true,mocha:true */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_identify.js');
+require('../zipinfo_writer.js');
+
+var assert = require('assert');
+
+// Creates a list of entries, as if returned by ZipInfo.getEntries (without
+// the verbose option). Each file is a name, or an object with entry properties.
+function createEntries(files) {
+  return [{
+    directory: true,
+    filename: '/',
+    uncompressedSize: 0,
+    centralDirectoryStart: 0,
+  }].concat(files.map(function(file) {
+    var entry = typeof file === 'string' ? {filename: file} : file;
+    return Object.assign({
+      directory: entry.filename.slice(-1) === '/',
+      uncompressedSize: 0,
+    }, entry);
+  }));
+}
+
+// Creates a zip file with stored entries, and identifies it. files is a list
+// of [name, content].
+function identifyZip(files) {
+  return ZipInfo.createZip(files.map(function(file) {
+    return {name: file[0], data: file[1], method: 0};
+  })).then(function(data) {
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    return ZipInfo.identify(entries, data);
+  });
+}
+
+describe('ZipInfo.identify', function() {
+  it('unknown format', function() {
+    return ZipInfo.identify(createEntries(['a.txt', 'b/'])).then(function(r) {
+      assert.deepEqual(r, {
+        format: 'zip',
+        name: 'Zip archive',
+        extension: 'zip',
+        mimeType: 'application/zip',
+        evidence: [],
+        problems: [],
+      });
+    });
+  });
+
+  it('names of Object.prototype', function() {
+    return ZipInfo.identify(createEntries([
+      'hasOwnProperty',
+      '__proto__',
+      'constructor/',
+    ])).then(function(r) {
+      assert.equal(r.format, 'zip');
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('EPUB', function() {
+    return identifyZip([
+      ['mimetype', 'application/epub+zip'],
+      ['META-INF/container.xml', '<container/>'],
+      ['OEBPS/content.opf', '<package/>'],
+    ]).then(function(r) {
+      assert.equal(r.format, 'epub');
+      assert.equal(r.mimeType, 'application/epub+zip');
+      assert.deepEqual(r.evidence,
+        ['mimetype file with content application/epub+zip']);
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('EPUB with mimetype not first and missing container.xml', function() {
+    return identifyZip([
+      ['OEBPS/content.opf', '<package/>'],
+      ['mimetype', 'application/epub+zip'],
+    ]).then(function(r) {
+      assert.equal(r.format, 'epub');
+      assert.deepEqual(r.problems, [
+        'META-INF/container.xml is missing',
+        'The mimetype file is not the first entry',
+      ]);
+    });
+  });
+
+  it('EPUB with compressed mimetype (without reader)', function() {
+    return ZipInfo.identify(createEntries([
+      {filename: 'mimetype', compressionMethod: 8},
+      'META-INF/container.xml',
+    ])).then(function(r) {
+      assert.equal(r.format, 'epub');
+      assert.deepEqual(r.evidence, ['mimetype file']);
+      assert.deepEqual(r.problems, ['The mimetype file is compressed']);
+    });
+  });
+
+  it('ODF', function() {
+    return identifyZip([
+      ['mimetype', 'application/vnd.oasis.opendocument.spreadsheet'],
+      ['content.xml', '<office:document-content/>'],
+      ['META-INF/manifest.xml', '<manifest:manifest/>'],
+    ]).then(function(r) {
+      assert.equal(r.format, 'odf');
+      assert.equal(r.extension, 'ods');
+      assert.equal(r.mimeType,
+        'application/vnd.oasis.opendocument.spreadsheet');
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('unknown mimetype is not EPUB or ODF', function() {
+    return identifyZip([
+      ['mimetype', 'image/openraster'],
+      ['META-INF/manifest.xml', '<manifest:manifest/>'],
+    ]).then(function(r) {
+      assert.equal(r.format, 'zip');
+    });
+  });
+
+  it('OOXML', function() {
+    return ZipInfo.identify(createEntries([
+      '[Content_Types].xml',
+      '_rels/.rels',
+      'word/document.xml',
+    ])).then(function(r) {
+      assert.equal(r.format, 'ooxml');
+      assert.equal(r.extension, 'docx');
+      assert.equal(r.mimeType, 'application/vnd.openxmlformats-' +
+        'officedocument.wordprocessingml.document');
+      assert.deepEqual(r.evidence,
+        ['[Content_Types].xml', 'word/document.xml']);
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('OOXML without relationships', function() {
+    return ZipInfo.identify(createEntries([
+      '[Content_Types].xml',
+      'xl/workbook.xml',
+    ])).then(function(r) {
+      assert.equal(r.extension, 'xlsx');
+      assert.deepEqual(r.problems, ['_rels/.rels is missing']);
+    });
+  });
+
+  it('APK', function() {
+    return ZipInfo.identify(createEntries([
+      'META-INF/MANIFEST.MF',
+      'AndroidManifest.xml',
+      'classes.dex',
+      {filename: 'resources.arsc', compressionMethod: 8},
+    ])).then(function(r) {
+      assert.equal(r.format, 'apk');
+      assert.deepEqual(r.evidence,
+        ['AndroidManifest.xml', 'classes.dex', 'resources.arsc']);
+      assert.deepEqual(r.problems, ['resources.arsc is compressed']);
+    });
+  });
+
+  it('WebExtension', function() {
+    return identifyZip([
+      ['manifest.json', '{"manifest_version": 2, "name": "x"}'],
+      ['META-INF/MANIFEST.MF', 'Manifest-Version: 1.0\n'],
+      ['META-INF/mozilla.rsa', ''],
+    ]).then(function(r) {
+      assert.equal(r.format, 'xpi');
+      assert.deepEqual(r.evidence, [
+        'manifest.json',
+        'META-INF/mozilla.rsa (signed by Mozilla)',
+        'manifest_version 2',
+      ]);
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('WebExtension with Firefox-specific settings', function() {
+    return identifyZip([
+      ['manifest.json', '{"manifest_version": 3, "browser_specific_settings":' +
+        ' {"gecko": {"id": "x@example.com"}}}'],
+    ]).then(function(r) {
+      assert.equal(r.format, 'xpi');
+      assert.deepEqual(r.evidence, [
+        'manifest.json',
+        'browser_specific_settings.gecko',
+        'manifest_version 3',
+      ]);
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('WebExtension with invalid manifest.json', function() {
+    return identifyZip([
+      ['manifest.json', '{"name": "x",}'],
+      ['META-INF/manifest.mf', 'Manifest-Version: 1.0\n'],
+    ]).then(function(r) {
+      assert.equal(r.format, 'xpi');
+      assert.deepEqual(r.evidence, [
+        'manifest.json',
+        'META-INF/manifest.mf (signed by Mozilla)',
+      ]);
+      assert.deepEqual(r.problems, ['manifest.json is not valid JSON']);
+    });
+  });
+
+  it('manifest.json of other browsers', function() {
+    return identifyZip([
+      ['manifest.json', '{"manifest_version": 3, "name": "x"}'],
+    ]).then(function(r) {
+      assert.equal(r.format, 'zip');
+      return identifyZip([['manifest.json', '{"name": "x",}']]);
+    }).then(function(r) {
+      assert.equal(r.format, 'zip');
+      // The manifest cannot be read without the zip file.
+      return ZipInfo.identify(createEntries(['manifest.json']));
+    }).then(function(r) {
+      assert.equal(r.format, 'zip');
+    });
+  });
+
+  it('legacy XPI', function() {
+    return ZipInfo.identify(createEntries(['install.rdf', 'chrome.manifest']))
+    .then(function(r) {
+      assert.equal(r.format, 'xpi');
+      assert.deepEqual(r.evidence, ['install.rdf']);
+    });
+  });
+
+  it('Python wheel', function() {
+    return ZipInfo.identify(createEntries([
+      'pkg/__init__.py',
+      'pkg-1.0.dist-info/METADATA',
+      'pkg-1.0.dist-info/WHEEL',
+      'pkg-1.0.dist-info/RECORD',
+    ])).then(function(r) {
+      assert.equal(r.format, 'wheel');
+      assert.equal(r.extension, 'whl');
+      assert.deepEqual(r.evidence, [
+        'pkg-1.0.dist-info/',
+        'pkg-1.0.dist-info/WHEEL',
+        'pkg-1.0.dist-info/METADATA',
+        'pkg-1.0.dist-info/RECORD',
+      ]);
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('Python wheel with missing metadata', function() {
+    return ZipInfo.identify(createEntries([
+      'a-1.0.dist-info/WHEEL',
+      'b-1.0.dist-info/METADATA',
+    ])).then(function(r) {
+      assert.equal(r.format, 'wheel');
+      assert.deepEqual(r.problems, [
+        'There are multiple .dist-info directories',
+        'a-1.0.dist-info/METADATA is missing',
+        'a-1.0.dist-info/RECORD is missing',
+      ]);
+    });
+  });
+
+  it('JAR', function() {
+    return ZipInfo.identify(createEntries([
+      'META-INF/',
+      'META-INF/MANIFEST.MF',
+      'com/example/Main.class',
+    ])).then(function(r) {
+      assert.equal(r.format, 'jar');
+      assert.equal(r.mimeType, 'application/java-archive');
+      assert.deepEqual(r.evidence, ['META-INF/MANIFEST.MF']);
+      assert.deepEqual(r.problems, []);
+    });
+  });
+
+  it('JAR with manifest not at the start', function() {
+    return ZipInfo.identify(createEntries([
+      'com/example/Main.class',
+      'META-INF/MANIFEST.MF',
+    ])).then(function(r) {
+      assert.equal(r.format, 'jar');
+      assert.deepEqual(r.problems,
+        ['META-INF/MANIFEST.MF is not at the start']);
+    });
+  });
+
+  it('WAR', function() {
+    return ZipInfo.identify(createEntries([
+      'META-INF/MANIFEST.MF',
+      'WEB-INF/web.xml',
+      'index.jsp',
+    ])).then(function(r) {
+      assert.equal(r.format, 'war');
+      assert.deepEqual(r.evidence,
+        ['META-INF/MANIFEST.MF', 'WEB-INF/web.xml']);
+    });
+  });
+});
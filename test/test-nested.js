@@ -0,0 +1,219 @@
+/* jshint node:true,mocha:true */
+/* globals Promise */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_nested.js');
+require('../zipinfo_node.js');
+require('../zipinfo_writer.js');
+var httpServer = require('./http-server.js');
+var readFileAsUint8Array = require('./helpers.js').readFileAsUint8Array;
+
+var assert = require('assert');
+
+// testdata/nested.zip contains libs/inner.jar (stored), which contains
+// deep.zip (stored), and packed.zip (deflated).
+function getTestZip() {
+  return readFileAsUint8Array('testdata/nested.zip');
+}
+
+function describeEntries(entries) {
+  return entries.map(function(entry) {
+    return entry.depth + ' ' + entry.path +
+      (entry.nestedError ? ' (' + entry.nestedError + ')' : '');
+  });
+}
+
+describe('ZipInfo.getNestedEntries', function() {
+  it('should list stored nested archives', function() {
+    return ZipInfo.getNestedEntries(getTestZip(), {name: 'nested.zip'})
+    .then(function(entries) {
+      assert.deepEqual(describeEntries(entries), [
+        '0 nested.zip!/',
+        '0 nested.zip!/libs/inner.jar',
+        '1 nested.zip!/libs/inner.jar!/META-INF/',
+        '1 nested.zip!/libs/inner.jar!/META-INF/MANIFEST.MF',
+        '1 nested.zip!/libs/inner.jar!/deep.zip',
+        '2 nested.zip!/libs/inner.jar!/deep.zip!/100.dat',
+        '0 nested.zip!/packed.zip (The archive is compressed)',
+      ]);
+      assert.equal(entries[3].filename, 'META-INF/MANIFEST.MF');
+      assert.equal(entries[3].uncompressedSize, 22);
+    });
+  });
+
+  it('should decompress deflated archives with the inflate option',
+    function() {
+      return ZipInfo.getNestedEntries(getTestZip(), {inflate: true})
+      .then(function(entries) {
+        assert.deepEqual(describeEntries(entries).slice(-2), [
+          '0 packed.zip',
+          '1 packed.zip!/100.dat',
+        ]);
+      });
+    });
+
+  it('should not decompress archives above maxInflateSize', function() {
+    return ZipInfo.getNestedEntries(getTestZip(), {
+      inflate: true,
+      maxInflateSize: 100,
+    }).then(function(entries) {
+      assert.deepEqual(describeEntries(entries).slice(-1), [
+        '0 packed.zip (The archive is too large to decompress (264 bytes))',
+      ]);
+    });
+  });
+
+  it('should limit the output to maxInflateSize', function() {
+    return ZipInfo.createZip([
+      {name: 'zeros.dat', data: new Uint8Array(1e6), method: 0},
+    ]).then(function(inner) {
+      return ZipInfo.createZip([{name: 'bomb.zip', data: inner}]);
+    }).then(function(data) {
+      // Declare a smaller size in the central directory.
+      var entries = ZipInfo.getEntries(data);
+      var view = new DataView(data.buffer, data.byteOffset);
+      view.setUint32(entries[0].centralDirectoryStart + 24, 100, true);
+      return ZipInfo.getNestedEntries(data, {
+        inflate: true,
+        maxInflateSize: 1000,
+      });
+    }).then(function(entries) {
+      assert.deepEqual(describeEntries(entries).slice(-1), [
+        '0 bomb.zip (Inflated data exceeds 100 bytes)',
+      ]);
+    });
+  });
+
+  it('should respect maxDepth', function() {
+    return ZipInfo.getNestedEntries(getTestZip(), {maxDepth: 1})
+    .then(function(entries) {
+      assert.deepEqual(describeEntries(entries), [
+        '0 /',
+        '0 libs/inner.jar',
+        '1 libs/inner.jar!/META-INF/',
+        '1 libs/inner.jar!/META-INF/MANIFEST.MF',
+        '1 libs/inner.jar!/deep.zip',
+        '0 packed.zip (The archive is compressed)',
+      ]);
+    });
+  });
+
+  it('should report nested archives that are not zip files', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    return ZipInfo.getNestedEntries(data, {pattern: /\.dat$/, inflate: true})
+    .then(function(entries) {
+      assert.deepEqual(describeEntries(entries).slice(1, 3), [
+        '0 empty file with spaces',
+        '0 100.dat (Not a zip file)',
+      ]);
+    });
+  });
+
+  it('should reject if the outer file is not a zip file', function() {
+    return ZipInfo.getNestedEntries(new Uint8Array(100)).then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof ZipInfo.InvalidZipError);
+    });
+  });
+});
+
+describe('ZipInfo.createHttpReader', function() {
+  var server;
+
+  var files;
+
+  function startServer(options) {
+    files = {'/nested.zip': getTestZip()};
+    return new Promise(function(resolve) {
+      httpServer.createServer(files, options, function(s) {
+        server = s;
+        resolve();
+      });
+    });
+  }
+
+  function createReader() {
+    return ZipInfo.createHttpReader(
+      ZipInfo.createNodeRequestSender(server.baseUrl + '/nested.zip'));
+  }
+
+  afterEach(function(done) {
+    server.stop(done);
+  });
+
+  it('should list nested archives with range requests', function() {
+    return startServer().then(function() {
+      return ZipInfo.getNestedEntries(createReader(), {name: 'nested.zip'});
+    }).then(function(entries) {
+      assert.equal(entries.length, 7);
+      var etag = httpServer.getEtag(getTestZip());
+      function request(range) {
+        return {url: '/nested.zip', range: range, ifRange: etag};
+      }
+      assert.deepEqual(server.requests, [
+        {url: '/nested.zip', range: undefined},
+        // The end of the outer zip file (the whole file, because it is small).
+        request('bytes=0-1183'),
+        // The local file header of libs/inner.jar, and the end of inner.jar.
+        request('bytes=0-29'),
+        request('bytes=72-837'),
+        // The local file header of deep.zip, and the end of deep.zip.
+        request('bytes=239-268'),
+        request('bytes=305-568'),
+        // packed.zip is not read, because it is deflated.
+      ]);
+    });
+  });
+
+  it('should reject responses without the requested range', function() {
+    return startServer({misbehave: 'shortRead'}).then(function() {
+      return ZipInfo.getNestedEntries(createReader());
+    }).then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof ZipInfo.RequestError);
+      assert.equal(error.message, 'Expected 1184 bytes, got 592');
+    });
+  });
+
+  it('should download the file once without range support', function() {
+    return startServer({supportsRange: false}).then(function() {
+      return ZipInfo.getNestedEntries(createReader());
+    }).then(function(entries) {
+      assert.equal(entries.length, 7);
+      assert.deepEqual(server.requests, [
+        {url: '/nested.zip', range: undefined},
+      ]);
+    });
+  });
+
+  it('should read if the server ignores range requests', function() {
+    return startServer({supportsRange: false, advertiseRanges: true})
+    .then(function() {
+      return ZipInfo.getNestedEntries(createReader());
+    }).then(function(entries) {
+      assert.equal(entries.length, 7);
+      assert.equal(server.requests[1].range, 'bytes=0-1183');
+    });
+  });
+
+  it('should report changes of the file', function() {
+    var reader;
+    return startServer().then(function() {
+      return createReader();
+    }).then(function(result) {
+      reader = result;
+      var data = getTestZip();
+      data[0] = 0;
+      files['/nested.zip'] = data;
+      return reader.read(0, 4);
+    }).then(function() {
+      assert.ok(false, 'Expected promise to be rejected');
+    }, function(error) {
+      assert.ok(error instanceof ZipInfo.RequestError);
+      assert.strictEqual(error.fileChanged, true);
+    });
+  });
+});
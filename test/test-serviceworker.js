@@ -0,0 +1,218 @@
+/* jshint node:true,mocha:true */
+/* globals Promise */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_fetch.js');
+require('../zipinfo_serviceworker.js');
+require('../zipinfo_writer.js');
+var httpServer = require('./http-server.js');
+
+var assert = require('assert');
+
+function createTestZip() {
+  return ZipInfo.createZip([
+    {name: 'index.html', data: '<a href="guide/">Guide</a>'},
+    {name: 'guide/'},
+    {name: 'guide/index.html', data: '<h1>Guide</h1>', method: 0},
+    {name: 'guide/style.css', data: 'h1 { color: red; }'},
+    {name: 'empty/'},
+    {name: 'data.bin', data: new Uint8Array([1, 2, 3])},
+  ]);
+}
+
+describe('ZipInfo.matchZipUrl', function() {
+  it('should split URLs of files in zip files', function() {
+    assert.deepEqual(ZipInfo.matchZipUrl('http://x/docs/bundle.zip/a%20b.html'),
+      {zipUrl: 'http://x/docs/bundle.zip', path: 'a b.html'});
+    assert.deepEqual(ZipInfo.matchZipUrl('http://x/bundle.ZIP/?q=1'),
+      {zipUrl: 'http://x/bundle.ZIP', path: ''});
+    assert.strictEqual(ZipInfo.matchZipUrl('http://x/bundle.zip'), null);
+    assert.strictEqual(ZipInfo.matchZipUrl('http://x/?file=a.zip/b'), null);
+    assert.strictEqual(ZipInfo.matchZipUrl('http://x/a.zip/%E0%A4%A'), null);
+  });
+});
+
+describe('ZipInfo.createZipRequestHandler', function() {
+  var server;
+  var files;
+  var data;
+  var handleRequest;
+
+  beforeEach(function() {
+    handleRequest = ZipInfo.createZipRequestHandler();
+    return createTestZip().then(function(result) {
+      data = result;
+      files = {'/docs/bundle.zip': data};
+      return new Promise(function(resolve) {
+        httpServer.createServer(files, null, function(s) {
+          server = s;
+          resolve();
+        });
+      });
+    });
+  });
+
+  afterEach(function(done) {
+    server.stop(done);
+  });
+
+  // Returns a Promise that resolves with the status, the headers and the body
+  // of the response.
+  function fetchFromZip(path, method) {
+    var response = handleRequest({
+      url: server.baseUrl + '/docs/bundle.zip' + path,
+      method: method || 'GET',
+    });
+    return response.then(function(response) {
+      return response.text().then(function(body) {
+        return {
+          status: response.status,
+          contentType: response.headers.get('Content-Type'),
+          contentLength: response.headers.get('Content-Length'),
+          location: response.headers.get('Location'),
+          body: body,
+        };
+      });
+    });
+  }
+
+  it('should serve files', function() {
+    return fetchFromZip('/guide/style.css').then(function(response) {
+      assert.deepEqual(response, {
+        status: 200,
+        contentType: 'text/css; charset=utf-8',
+        contentLength: '18',
+        location: null,
+        body: 'h1 { color: red; }',
+      });
+      return fetchFromZip('/data.bin');
+    }).then(function(response) {
+      assert.strictEqual(response.contentType, 'application/octet-stream');
+      assert.strictEqual(response.contentLength, '3');
+    });
+  });
+
+  it('should fetch the list of files once', function() {
+    return fetchFromZip('/index.html').then(function(response) {
+      assert.strictEqual(response.body, '<a href="guide/">Guide</a>');
+      return fetchFromZip('/guide/index.html');
+    }).then(function(response) {
+      assert.strictEqual(response.body, '<h1>Guide</h1>');
+      var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      var entry = entries[3];
+      assert.strictEqual(entry.filename, 'guide/index.html');
+      var dataStart = entry.localHeaderOffset + 30 + entry.filename.length;
+      assert.deepEqual(server.requests.map(function(request) {
+        return request.range;
+      }), [
+        undefined,
+        'bytes=0-' + (data.length - 1),
+        // index.html: the local file header and the data.
+        'bytes=0-29',
+        'bytes=40-' + (40 + entries[1].compressedSize - 1),
+        // guide/index.html.
+        'bytes=' + entry.localHeaderOffset + '-' +
+          (entry.localHeaderOffset + 29),
+        'bytes=' + dataStart + '-' + (dataStart + 13),
+      ]);
+    });
+  });
+
+  it('should serve the index file of directories', function() {
+    return fetchFromZip('/').then(function(response) {
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body, '<a href="guide/">Guide</a>');
+      return fetchFromZip('/guide');
+    }).then(function(response) {
+      assert.strictEqual(response.status, 301);
+      assert.strictEqual(response.location,
+        server.baseUrl + '/docs/bundle.zip/guide/');
+      return fetchFromZip('/guide/');
+    }).then(function(response) {
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.contentType, 'text/html; charset=utf-8');
+      assert.strictEqual(response.body, '<h1>Guide</h1>');
+    });
+  });
+
+  it('should fetch the list of files again if the zip file changes',
+      function() {
+    return fetchFromZip('/index.html').then(function(response) {
+      assert.strictEqual(response.status, 200);
+      return ZipInfo.createZip([
+        {name: 'index.html', data: '<h1>New</h1>'},
+        {name: 'new.txt', data: 'New file'},
+      ]);
+    }).then(function(newData) {
+      files['/docs/bundle.zip'] = newData;
+      return fetchFromZip('/index.html');
+    }).then(function(response) {
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body, '<h1>New</h1>');
+      return fetchFromZip('/new.txt');
+    }).then(function(response) {
+      assert.strictEqual(response.body, 'New file');
+    });
+  });
+
+  it('should respond with 404 for missing files', function() {
+    return fetchFromZip('/missing.html').then(function(response) {
+      assert.strictEqual(response.status, 404);
+      return fetchFromZip('/constructor');
+    }).then(function(response) {
+      assert.strictEqual(response.status, 404);
+      // Directories without index file.
+      return fetchFromZip('/empty/');
+    }).then(function(response) {
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  it('should respond to HEAD requests without body', function() {
+    return fetchFromZip('/guide/style.css', 'HEAD').then(function(response) {
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.contentType, 'text/css; charset=utf-8');
+      assert.strictEqual(response.contentLength, '18');
+      assert.strictEqual(response.body, '');
+      // The size is taken from the list of files.
+      assert.deepEqual(server.requests.map(function(request) {
+        return request.range;
+      }), [undefined, 'bytes=0-' + (data.length - 1)]);
+    });
+  });
+
+  it('should send the length of error messages in bytes', function() {
+    return ZipInfo.createZip([{name: 'ü.txt', data: 'x'}], {
+      onCentralDirectoryRecord: function(record) {
+        record.crc32 = 1;
+      },
+    }).then(function(newData) {
+      files['/docs/bundle.zip'] = newData;
+      return fetchFromZip('/%C3%BC.txt');
+    }).then(function(response) {
+      assert.strictEqual(response.status, 502);
+      assert.strictEqual(response.body, 'CRC-32 mismatch: ü.txt');
+      assert.strictEqual(response.contentLength, '23');
+    });
+  });
+
+  it('should report errors of the zip file', function() {
+    var response = handleRequest({
+      url: server.baseUrl + '/missing.zip/index.html',
+    });
+    return response.then(function(response) {
+      assert.strictEqual(response.status, 404);
+    });
+  });
+
+  it('should not handle other requests', function() {
+    assert.strictEqual(handleRequest({
+      url: server.baseUrl + '/docs/bundle.zip/index.html',
+      method: 'POST',
+    }), null);
+    assert.strictEqual(handleRequest({
+      url: server.baseUrl + '/docs/bundle.zip',
+    }), null);
+  });
+});
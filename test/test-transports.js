@@ -0,0 +1,364 @@
+/* jshint node:true,mocha:true */
+/* globals Promise, AbortController */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_fetch.js');
+require('../zipinfo_node.js');
+var httpServer = require('./http-server.js');
+var readFileAsUint8Array = require('./helpers.js').readFileAsUint8Array;
+
+var assert = require('assert');
+
+// The minimum file size in order to switch to range requests.
+var MIN_SIZE_FOR_RANGE_REQUESTS = 100000;
+
+// Creates a zip file of the given size, by inserting zeroes before the EOCD
+// record of testdata/zip-all.zip (or another zip file whose EOCD record has no
+// comment).
+function getLargeTestZip(desiredFileSize, filepath) {
+  var data = readFileAsUint8Array(filepath || 'testdata/zip-all.zip');
+  var result = new Uint8Array(desiredFileSize);
+  result.set(data.subarray(0, data.length - 22), 0);
+  result.set(data.subarray(data.length - 22), result.length - 22);
+  return result;
+}
+
+// Creates a Chrome extension package (CRX3, without signatures) of the given
+// size, with testdata/zip-all.zip at the end.
+function getLargeTestCrx(desiredFileSize) {
+  var data = readFileAsUint8Array('testdata/zip-all.zip');
+  var result = new Uint8Array(desiredFileSize);
+  result.set([0x43, 0x72, 0x32, 0x34, 3, 0, 0, 0, 0, 0, 0, 0], 0);
+  result.set(data, result.length - data.length);
+  return result;
+}
+
+var EXPECTED_FILENAMES = [
+  '/',
+  'empty file with spaces',
+  '100.dat',
+  'more.than.FFFF',
+  'emptydir/',
+  'otherdir/',
+  'otherdir/empty.dat',
+];
+
+function getFilenames(entries) {
+  return entries.map(function(entry) {
+    return entry.filename;
+  });
+}
+
+function assertRejects(promise, ErrorType) {
+  return promise.then(function() {
+    assert.ok(false, 'Expected promise to be rejected');
+  }, function(error) {
+    assert.ok(error instanceof ErrorType, 'Unexpected error: ' + error);
+    return error;
+  });
+}
+
+[{
+  name: 'ZipInfo.createFetchRequestSender',
+  createRequestSender: ZipInfo.createFetchRequestSender,
+}, {
+  name: 'ZipInfo.createNodeRequestSender',
+  createRequestSender: ZipInfo.createNodeRequestSender,
+}].forEach(function(transport) {
+  describe(transport.name, function() {
+    var files = {
+      '/small.zip': readFileAsUint8Array('testdata/zip-all.zip'),
+      '/large.zip': getLargeTestZip(MIN_SIZE_FOR_RANGE_REQUESTS),
+      '/large.crx': getLargeTestCrx(MIN_SIZE_FOR_RANGE_REQUESTS),
+      '/notzip.txt': new Uint8Array(10),
+    };
+    // A file that is replaced by /changed.zip after the first request.
+    var changedFile = getLargeTestZip(MIN_SIZE_FOR_RANGE_REQUESTS + 1000,
+      'testdata/zip64.zip');
+    var changingFileRequestCount = 0;
+    Object.defineProperty(files, '/changing.zip', {
+      get: function() {
+        return changingFileRequestCount++ ? changedFile : files['/large.zip'];
+      },
+    });
+    var server;
+
+    function startServer(options) {
+      return new Promise(function(resolve) {
+        httpServer.createServer(files, options, function(s) {
+          server = s;
+          resolve();
+        });
+      });
+    }
+
+    function getEntries(pathname, options) {
+      var sendHttpRequest =
+        transport.createRequestSender(server.baseUrl + pathname);
+      return ZipInfo.getEntriesOverHttp(sendHttpRequest, options);
+    }
+
+    afterEach(function(done) {
+      server.stop(done);
+    });
+
+    it('should fetch small zip files in one request', function() {
+      return startServer().then(function() {
+        return getEntries('/small.zip');
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+        assert.deepEqual(server.requests, [
+          {url: '/small.zip', range: undefined},
+        ]);
+      });
+    });
+
+    it('should use range requests for large zip files', function() {
+      return startServer().then(function() {
+        return getEntries('/large.zip');
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+        var etag = httpServer.getEtag(files['/large.zip']);
+        assert.deepEqual(server.requests, [
+          {url: '/large.zip', range: undefined},
+          {url: '/large.zip', range: 'bytes=34442-99999', ifRange: etag},
+          {url: '/large.zip', range: 'bytes=518-99999', ifRange: etag},
+        ]);
+      });
+    });
+
+    it('should use range requests for large CRX files', function() {
+      return startServer().then(function() {
+        return getEntries('/large.crx', {verbose: true});
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+        assert.strictEqual(entries[0].prefixLength,
+          MIN_SIZE_FOR_RANGE_REQUESTS - 1039);
+        assert.strictEqual(entries[2].localHeaderOffset,
+          MIN_SIZE_FOR_RANGE_REQUESTS - 1039 + 80);
+        assert.deepEqual(server.requests, [
+          {url: '/large.crx', range: undefined},
+          {url: '/large.crx', range: 'bytes=34442-99999',
+            ifRange: httpServer.getEtag(files['/large.crx'])},
+        ]);
+      });
+    });
+
+    it('should work if the server ignores range requests', function() {
+      return startServer({
+        supportsRange: false,
+        advertiseRanges: true,
+      }).then(function() {
+        return getEntries('/large.zip');
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+        assert.strictEqual(server.requests.length, 2);
+      });
+    });
+
+    it('should work if the server does not support range requests',
+        function() {
+      return startServer({supportsRange: false}).then(function() {
+        return getEntries('/large.zip');
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+        assert.strictEqual(server.requests.length, 1);
+      });
+    });
+
+    [
+      'status416',
+      'wrongRange',
+      'shortRead',
+    ].forEach(function(misbehave) {
+      it('should download the file if a range request fails: ' + misbehave,
+          function() {
+        return startServer({misbehave: misbehave}).then(function() {
+          return getEntries('/large.zip');
+        }).then(function(entries) {
+          assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+          assert.deepEqual(server.requests, [
+            {url: '/large.zip', range: undefined},
+            {url: '/large.zip', range: 'bytes=34442-99999',
+              ifRange: httpServer.getEtag(files['/large.zip'])},
+            {url: '/large.zip', range: undefined},
+          ]);
+        });
+      });
+    });
+
+    it('should use the new file if the file changes (If-Range)', function() {
+      changingFileRequestCount = 0;
+      return startServer().then(function() {
+        return getEntries('/changing.zip');
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries),
+          ['/', '100.dat', 'more.than.FFFF']);
+        assert.deepEqual(server.requests, [
+          {url: '/changing.zip', range: undefined},
+          {url: '/changing.zip', range: 'bytes=34442-99999',
+            ifRange: httpServer.getEtag(files['/large.zip'])},
+        ]);
+      });
+    });
+
+    it('should detect changes if the server ignores If-Range', function() {
+      changingFileRequestCount = 0;
+      return startServer({misbehave: 'ignoreIfRange'}).then(function() {
+        return getEntries('/changing.zip');
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries),
+          ['/', '100.dat', 'more.than.FFFF']);
+        // The Content-Range header of the second response shows that the size
+        // of the file has changed, so the file is downloaded.
+        assert.strictEqual(server.requests.length, 3);
+        assert.strictEqual(server.requests[2].range, undefined);
+      });
+    });
+
+    it('should follow redirects', function() {
+      return startServer().then(function() {
+        return getEntries('/redirect/small.zip');
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+      });
+    });
+
+    it('should send the headers of the options', function() {
+      return startServer().then(function() {
+        var sendHttpRequest = transport.createRequestSender(
+          server.baseUrl + '/large.zip',
+          {headers: {Authorization: 'Bearer token'}});
+        return ZipInfo.getEntriesOverHttp(sendHttpRequest);
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+        assert.ok(server.requests.length > 1);
+        server.requests.forEach(function(request) {
+          assert.strictEqual(request.authorization, 'Bearer token');
+        });
+        // The Range header is still sent.
+        assert.ok(server.requests[1].range);
+      });
+    });
+
+    it('should work with ZipInfo.runGetEntriesOverHttp', function() {
+      return startServer().then(function() {
+        return new Promise(function(resolve) {
+          ZipInfo.runGetEntriesOverHttp(
+            transport.createRequestSender(server.baseUrl + '/notzip.txt'),
+            resolve);
+        });
+      }).then(function(entries) {
+        assert.deepEqual(getFilenames(entries), ['/']);
+      });
+    });
+
+    it('should report HTTP errors', function() {
+      return startServer().then(function() {
+        return assertRejects(getEntries('/404'), ZipInfo.RequestError);
+      }).then(function(error) {
+        assert.strictEqual(error.status, 404);
+      });
+    });
+
+    it('should report invalid zip files', function() {
+      return startServer().then(function() {
+        return assertRejects(getEntries('/notzip.txt'),
+          ZipInfo.InvalidZipError);
+      });
+    });
+
+    it('should report network errors', function() {
+      return startServer().then(function() {
+        // Stop the server to trigger a network error, and start it again
+        // because afterEach closes the server.
+        var baseUrl = server.baseUrl;
+        return new Promise(function(resolve) {
+          server.stop(resolve);
+        }).then(function() {
+          var sendHttpRequest =
+            transport.createRequestSender(baseUrl + '/small.zip');
+          return assertRejects(ZipInfo.getEntriesOverHttp(sendHttpRequest),
+            ZipInfo.RequestError);
+        });
+      }).then(function(error) {
+        assert.strictEqual(error.status, 0);
+        return startServer();
+      });
+    });
+
+    it('should abort requests', function() {
+      var controller = new AbortController();
+      return startServer().then(function() {
+        var promise = getEntries('/large.zip', {signal: controller.signal});
+        controller.abort();
+        return assertRejects(promise, ZipInfo.AbortError);
+      });
+    });
+  });
+});
+
+describe('ZipInfo.createNodeRequestSender redirects', function() {
+  var files = {'/small.zip': readFileAsUint8Array('testdata/zip-all.zip')};
+  var servers = [];
+
+  beforeEach(function() {
+    return Promise.all([0, 1].map(function() {
+      return new Promise(function(resolve) {
+        httpServer.createServer(files, null, resolve);
+      });
+    })).then(function(result) {
+      servers = result;
+    });
+  });
+
+  afterEach(function() {
+    return Promise.all(servers.map(function(server) {
+      return new Promise(function(resolve) {
+        server.stop(resolve);
+      });
+    }));
+  });
+
+  function getEntries(url) {
+    return ZipInfo.getEntriesOverHttp(ZipInfo.createNodeRequestSender(url,
+      {headers: {Authorization: 'Bearer token'}}));
+  }
+
+  it('should not send the headers of the options to other origins',
+      function() {
+    var url = servers[0].baseUrl + '/redirect-to/' +
+      encodeURIComponent(servers[1].baseUrl + '/small.zip');
+    return getEntries(url).then(function(entries) {
+      assert.deepEqual(getFilenames(entries), EXPECTED_FILENAMES);
+      assert.strictEqual(servers[0].requests[0].authorization, 'Bearer token');
+      assert.strictEqual(servers[1].requests.length, 1);
+      assert.strictEqual(servers[1].requests[0].authorization, undefined);
+    });
+  });
+
+  it('should not follow redirects to other protocols', function() {
+    var url = servers[0].baseUrl + '/redirect-to/' +
+      encodeURIComponent('ftp://127.0.0.1/small.zip');
+    return assertRejects(getEntries(url), ZipInfo.RequestError)
+    .then(function(error) {
+      assert.strictEqual(error.status, 302);
+      assert.ok(/ftp:/.test(error.message), error.message);
+    });
+  });
+});
+
+describe('ZipInfo.getRemoteEntries', function() {
+  it('should use zipinfo_node.js even if zipinfo_fetch.js is loaded later',
+      function() {
+    var getRemoteEntries = ZipInfo.getRemoteEntries;
+    var getRemoteEntriesAsync = ZipInfo.getRemoteEntriesAsync;
+    var fetchPath = require.resolve('../zipinfo_fetch.js');
+    delete require.cache[fetchPath];
+    require(fetchPath);
+    assert.strictEqual(ZipInfo.getRemoteEntries, getRemoteEntries);
+    assert.strictEqual(ZipInfo.getRemoteEntriesAsync, getRemoteEntriesAsync);
+    assert.ok(/createNodeRequestSender/.test(String(getRemoteEntriesAsync)));
+  });
+});
@@ -0,0 +1,130 @@
+/* jshint node:true,mocha:true */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_tree.js');
+var readFileAsUint8Array = require('./helpers.js').readFileAsUint8Array;
+
+var assert = require('assert');
+
+// Returns the tree as a list of "path (properties)" lines, depth-first.
+function describeTree(node) {
+  var description = node.path;
+  if (node.directory) {
+    description += ' (' + [
+      node.implicit ? 'implicit' : 'explicit',
+      node.fileCount + ' files',
+      node.directoryCount + ' dirs',
+    ].join(', ') + ')';
+  }
+  description += ' ' + node.uncompressedSize;
+  if (node.compressedSize !== undefined) {
+    description += '/' + node.compressedSize;
+  }
+  var lines = [description];
+  (node.children || []).forEach(function(child) {
+    lines = lines.concat(describeTree(child));
+  });
+  return lines;
+}
+
+describe('ZipInfo.buildTree', function() {
+  it('should build a tree of a zip file', function() {
+    var data = readFileAsUint8Array('testdata/zip-all.zip');
+    var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+    var tree = ZipInfo.buildTree(entries);
+    assert.strictEqual(tree.root.entry, entries[0]);
+    assert.deepEqual(describeTree(tree.root), [
+      '/ (implicit, 4 files, 2 dirs) 70100/91',
+      'emptydir/ (explicit, 0 files, 0 dirs) 0/0',
+      'otherdir/ (explicit, 1 files, 0 dirs) 0/0',
+      'otherdir/empty.dat 0/0',
+      '100.dat 100/6',
+      'empty file with spaces 0/0',
+      'more.than.FFFF 70000/85',
+    ]);
+    assert.strictEqual(tree.lookup('otherdir').entry, entries[5]);
+    assert.strictEqual(tree.lookup('100.dat').name, '100.dat');
+    assert.strictEqual(tree.lookup('100.dat').entry, entries[2]);
+  });
+
+  it('should create implicit directories', function() {
+    var tree = ZipInfo.buildTree([
+      {directory: false, filename: 'a/b/c.txt', uncompressedSize: 3},
+      {directory: false, filename: 'a\\d.txt', uncompressedSize: 4},
+      {directory: false, filename: './a//e.txt', uncompressedSize: 5},
+      {directory: true, filename: 'a/b/', uncompressedSize: 0},
+      {directory: false, filename: '/f.txt', uncompressedSize: 6},
+    ]);
+    assert.deepEqual(describeTree(tree.root), [
+      '/ (implicit, 4 files, 2 dirs) 18',
+      'a/ (implicit, 3 files, 1 dirs) 12',
+      'a/b/ (explicit, 1 files, 0 dirs) 3',
+      'a/b/c.txt 3',
+      'a/d.txt 4',
+      'a/e.txt 5',
+      'f.txt 6',
+    ]);
+    assert.strictEqual(tree.root.entry, null);
+    assert.strictEqual(tree.lookup('a').entry, null);
+    assert.strictEqual(tree.lookup('a/b').entry.filename, 'a/b/');
+  });
+
+  it('should look up nodes by path', function() {
+    var tree = ZipInfo.buildTree([
+      {directory: false, filename: 'dir/file', uncompressedSize: 1},
+      {directory: false, filename: 'file', uncompressedSize: 2},
+      {directory: true, filename: 'file/', uncompressedSize: 0},
+    ]);
+    assert.strictEqual(tree.lookup(''), tree.root);
+    assert.strictEqual(tree.lookup('/'), tree.root);
+    assert.strictEqual(tree.lookup('dir/file').uncompressedSize, 1);
+    assert.strictEqual(tree.lookup('/dir\\file').uncompressedSize, 1);
+    assert.strictEqual(tree.lookup('./dir/').path, 'dir/');
+    assert.strictEqual(tree.lookup('dir/file/'), null);
+    assert.strictEqual(tree.lookup('missing'), null);
+    // A file and a directory with the same name.
+    assert.strictEqual(tree.lookup('file').directory, false);
+    assert.strictEqual(tree.lookup('file/').directory, true);
+  });
+
+  it('should look up paths that are names of Object.prototype', function() {
+    var tree = ZipInfo.buildTree([
+      {directory: false, filename: 'hasOwnProperty', uncompressedSize: 1},
+      {directory: false, filename: '__proto__', uncompressedSize: 2},
+      {directory: true, filename: 'valueOf/', uncompressedSize: 0},
+    ]);
+    assert.strictEqual(tree.lookup('hasOwnProperty').uncompressedSize, 1);
+    assert.strictEqual(tree.lookup('__proto__').uncompressedSize, 2);
+    assert.strictEqual(tree.lookup('valueOf').path, 'valueOf/');
+    assert.strictEqual(tree.lookup('toString'), null);
+    assert.strictEqual(tree.lookup('constructor'), null);
+    assert.strictEqual(tree.lookup('constructor/'), null);
+  });
+
+  it('should sort stably', function() {
+    var tree = ZipInfo.buildTree([
+      {directory: false, filename: 'b', uncompressedSize: 1},
+      {directory: false, filename: 'B', uncompressedSize: 2},
+      {directory: false, filename: 'a', uncompressedSize: 3},
+      {directory: false, filename: 'a', uncompressedSize: 4},
+      {directory: true, filename: 'z/', uncompressedSize: 0},
+    ]);
+    assert.deepEqual(tree.root.children.map(function(node) {
+      return node.path + ' ' + node.uncompressedSize;
+    }), ['z/ 0', 'B 2', 'a 3', 'a 4', 'b 1']);
+    // Duplicate paths are listed, but only the first can be looked up.
+    assert.strictEqual(tree.lookup('a').uncompressedSize, 3);
+
+    tree = ZipInfo.buildTree(tree.root.children.map(function(node) {
+      return node.entry;
+    }), {
+      compare: function(a, b) {
+        return b.uncompressedSize - a.uncompressedSize;
+      },
+    });
+    assert.deepEqual(tree.root.children.map(function(node) {
+      return node.path;
+    }), ['a', 'a', 'B', 'b', 'z/']);
+  });
+});
@@ -0,0 +1,437 @@
+/* jshint node:true,mocha:true */
+/* globals Promise */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_validate.js');
+require('../zipinfo_writer.js');
+var readFileAsUint8Array = require('./helpers.js').readFileAsUint8Array;
+
+var assert = require('assert');
+
+// Offsets in testdata/zip-all.zip.
+var EOCD_OFFSET = 1039 - 22;
+var CD_OFFSET = 518;
+// Offsets of the central directory records of 'emptydir/' and 'otherdir/'.
+var CD_EMPTYDIR_OFFSET = 771;
+var CD_OTHERDIR_OFFSET = 850;
+
+function getTestZip() {
+  return readFileAsUint8Array('testdata/zip-all.zip');
+}
+
+function getCodes(findings) {
+  return findings.map(function(finding) {
+    return finding.code;
+  });
+}
+
+describe('ZipInfo.validate', function() {
+  it('should not report anything for valid zip files', function() {
+    return Promise.all([
+      'testdata/zip-all.zip',
+      'testdata/zip-utf8.zip',
+      'testdata/7z-all.zip',
+      'testdata/7z-utf8.zip',
+      'testdata/zip64.zip',
+      'testdata/zip-stream.zip',
+      'testdata/comments.zip',
+    ].map(function(filepath) {
+      return ZipInfo.validate(readFileAsUint8Array(filepath))
+      .then(function(findings) {
+        assert.deepEqual(findings, [], filepath);
+      });
+    }));
+  });
+
+  it('should accept a reader', function() {
+    var data = getTestZip();
+    var reads = 0;
+    return ZipInfo.validate({
+      size: data.length,
+      read: function(offset, length) {
+        ++reads;
+        return Promise.resolve(data.slice(offset, offset + length));
+      },
+    }).then(function(findings) {
+      assert.deepEqual(findings, []);
+      assert(reads > 1);
+    });
+  });
+
+  it('should report a missing EOCD', function() {
+    return ZipInfo.validate(new Uint8Array(100)).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'EOCD_NOT_FOUND',
+        severity: 'error',
+        message: 'End of central directory not found',
+        offset: -1,
+      }]);
+    });
+  });
+
+  it('should report an entry count mismatch', function() {
+    var data = getTestZip();
+    var view = new DataView(data.buffer);
+    view.setUint16(EOCD_OFFSET + 8, 7, true);
+    view.setUint16(EOCD_OFFSET + 10, 7, true);
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'ENTRY_COUNT_MISMATCH',
+        severity: 'error',
+        message: 'The EOCD record declares 7 entries, but 6 entries were found',
+        offset: EOCD_OFFSET,
+      }]);
+    });
+  });
+
+  it('should report a central directory size mismatch', function() {
+    var data = getTestZip();
+    var view = new DataView(data.buffer);
+    view.setUint32(EOCD_OFFSET + 12, 500, true);
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'CENTRAL_DIRECTORY_SIZE_MISMATCH',
+        severity: 'error',
+        message: 'The EOCD record declares a central directory of 500 ' +
+          'bytes, but the entries take 499 bytes',
+        offset: CD_OFFSET,
+      }]);
+    });
+  });
+
+  it('should report multi-disk archives', function() {
+    var data = getTestZip();
+    var view = new DataView(data.buffer);
+    view.setUint16(EOCD_OFFSET + 4, 1, true);
+    view.setUint16(CD_EMPTYDIR_OFFSET + 34, 2, true);
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'MULTI_DISK',
+        severity: 'error',
+        message: 'Multi-disk archives are not supported',
+        offset: EOCD_OFFSET,
+      }, {
+        code: 'MULTI_DISK',
+        severity: 'error',
+        message: 'The entry starts on disk 2',
+        offset: CD_EMPTYDIR_OFFSET,
+        filename: 'emptydir/',
+      }]);
+    });
+  });
+
+  it('should report a wrong comment length', function() {
+    var data = getTestZip();
+    var result = new Uint8Array(data.length + 3);
+    result.set(data);
+    var view = new DataView(result.buffer);
+    view.setUint16(EOCD_OFFSET + 20, 2, true);
+    return ZipInfo.validate(result).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'COMMENT_LENGTH_MISMATCH',
+        severity: 'warning',
+        message: 'The archive comment length is 2, but there are 3 bytes ' +
+          'after the EOCD record',
+        offset: EOCD_OFFSET,
+      }]);
+    });
+  });
+
+  it('should report duplicate names and local header mismatches', function() {
+    var data = getTestZip();
+    data.set(Buffer.from('emptydir/'), CD_OTHERDIR_OFFSET + 46);
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'DUPLICATE_NAME',
+        severity: 'error',
+        message: 'Duplicate file name',
+        offset: CD_OTHERDIR_OFFSET,
+        filename: 'emptydir/',
+      }, {
+        code: 'LOCAL_HEADER_MISMATCH',
+        severity: 'error',
+        message: 'The filename in the local file header (otherdir/) ' +
+          'differs from the central directory (emptydir/)',
+        offset: 375,
+        filename: 'emptydir/',
+      }]);
+    });
+  });
+
+  it('should report duplicate names of Object.prototype', function() {
+    return ZipInfo.createZip([
+      {name: '__proto__', data: 'a'},
+      {name: '__proto__', data: 'b'},
+      {name: 'constructor', data: 'c'},
+    ]).then(function(data) {
+      return ZipInfo.validate(data);
+    }).then(function(findings) {
+      assert.deepEqual(findings.map(function(finding) {
+        return finding.code + ' ' + finding.filename;
+      }), ['DUPLICATE_NAME __proto__']);
+    });
+  });
+
+  it('should report local header mismatches', function() {
+    var data = getTestZip();
+    var view = new DataView(data.buffer);
+    // Local file header of 100.dat.
+    view.setUint16(80 + 8, 0, true);
+    view.setUint32(80 + 14, 0, true);
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(getCodes(findings), [
+        'LOCAL_HEADER_MISMATCH',
+        'LOCAL_HEADER_MISMATCH',
+      ]);
+      assert.equal(findings[0].message, 'The compressionMethod in the local ' +
+        'file header (0) differs from the central directory (8)');
+      assert.equal(findings[0].filename, '100.dat');
+      assert.equal(findings[1].message, 'The crc32 in the local file header ' +
+        '(0) differs from the central directory (2575877834)');
+    });
+  });
+
+  it('should report missing local headers', function() {
+    var data = getTestZip();
+    data[80] = 0;
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'LOCAL_HEADER_MISSING',
+        severity: 'error',
+        message: 'No local file header at offset 80',
+        offset: 80,
+        filename: '100.dat',
+      }]);
+    });
+  });
+
+  it('should report overlapping entries', function() {
+    var data = getTestZip();
+    var view = new DataView(data.buffer);
+    // Let otherdir/ point to the local file header of emptydir/.
+    view.setUint32(CD_OTHERDIR_OFFSET + 42, 308, true);
+    data.set(Buffer.from('emptydir/'), CD_OTHERDIR_OFFSET + 46);
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(getCodes(findings), [
+        'DUPLICATE_NAME',
+        'OVERLAPPING_ENTRIES',
+      ]);
+      assert.equal(findings[1].offset, 308);
+    });
+  });
+
+  it('should report entries that overlap the central directory', function() {
+    var data = getTestZip();
+    var view = new DataView(data.buffer);
+    // Increase the compressed size of the last entry (otherdir/empty.dat),
+    // in the local file header and the central directory.
+    view.setUint32(442 + 18, 100, true);
+    view.setUint32(929 + 20, 100, true);
+    return ZipInfo.validate(data).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'ENTRY_OVERLAPS_CENTRAL_DIRECTORY',
+        severity: 'error',
+        message: 'The data overlaps with the central directory',
+        offset: 442,
+        filename: 'otherdir/empty.dat',
+      }]);
+    });
+  });
+
+  it('should report data before the zip file', function() {
+    var data = getTestZip();
+    var result = new Uint8Array(data.length + 100);
+    result.set(data, 100);
+    return ZipInfo.validate(result).then(function(findings) {
+      assert.deepEqual(findings, [{
+        code: 'CENTRAL_DIRECTORY_OFFSET_MISMATCH',
+        severity: 'warning',
+        message: 'The central directory is at offset 618 instead of 518',
+        offset: 618,
+      }, {
+        code: 'PREFIX_DATA',
+        severity: 'warning',
+        message: 'There are 100 bytes before the first local file header',
+        offset: 0,
+      }]);
+    });
+  });
+
+  it('should report data before the first local file header', function() {
+    var data = getTestZip();
+    // Adjust all offsets, as if the data was part of the zip file.
+    var result = new Uint8Array(data.length + 100);
+    result.set(data, 100);
+    var view = new DataView(result.buffer);
+    for (var offset = 100 + CD_OFFSET; view.getUint32(offset) === 0x504b0102;) {
+      view.setUint32(offset + 42, view.getUint32(offset + 42, true) + 100,
+        true);
+      offset += 46 + view.getUint16(offset + 28, true) +
+        view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+    }
+    view.setUint32(100 + EOCD_OFFSET + 16, 100 + CD_OFFSET, true);
+    return ZipInfo.validate(result).then(function(findings) {
+      assert.deepEqual(getCodes(findings), ['PREFIX_DATA']);
+    });
+  });
+});
+
+describe('ZipInfo.screenEntries', function() {
+  function getVerboseEntries() {
+    return ZipInfo.getEntries(getTestZip(), 0, {verbose: true});
+  }
+
+  it('should accept safe entries', function() {
+    var verdict = ZipInfo.screenEntries(getVerboseEntries());
+    assert.deepEqual(verdict, {
+      safe: true,
+      findings: [],
+      totalUncompressedSize: 70100,
+      totalCompressedSize: 91,
+    });
+  });
+
+  it('should only check names and sizes of non-verbose entries', function() {
+    var entries = ZipInfo.getEntries(getTestZip());
+    entries[1].filename = '../evil';
+    var verdict = ZipInfo.screenEntries(entries);
+    assert.deepEqual(verdict, {
+      safe: false,
+      findings: [{
+        code: 'PATH_TRAVERSAL',
+        severity: 'error',
+        message: 'Path traversal',
+        filename: '../evil',
+      }],
+      totalUncompressedSize: 70100,
+    });
+  });
+
+  it('should flag unsafe file names', function() {
+    var entries = getVerboseEntries().slice(0, 2);
+    [
+      '/etc/passwd',
+      'a/../../b',
+      'a\\..\\b',
+      'C:/Windows',
+      'nul\x00byte',
+      'dir/..',
+    ].forEach(function(filename) {
+      var entry = Object.assign({}, entries[1]);
+      entry.filename = filename;
+      entries.push(entry);
+    });
+    var verdict = ZipInfo.screenEntries(entries, {
+      minSizeForCompressionRatio: Infinity,
+    });
+    assert.equal(verdict.safe, false);
+    assert.deepEqual(verdict.findings.map(function(finding) {
+      return finding.code + ' ' + finding.filename;
+    }), [
+      'ABSOLUTE_PATH /etc/passwd',
+      'PATH_TRAVERSAL a/../../b',
+      'PATH_TRAVERSAL a\\..\\b',
+      'BACKSLASH a\\..\\b',
+      'DRIVE_LETTER C:/Windows',
+      'CONTROL_CHARACTER nul\x00byte',
+      'PATH_TRAVERSAL dir/..',
+      // All entries were copied from the same entry.
+      'OVERLAPPING_ENTRIES /etc/passwd',
+      'OVERLAPPING_ENTRIES a/../../b',
+      'OVERLAPPING_ENTRIES a\\..\\b',
+      'OVERLAPPING_ENTRIES C:/Windows',
+      'OVERLAPPING_ENTRIES nul\x00byte',
+      'OVERLAPPING_ENTRIES dir/..',
+    ]);
+  });
+
+  it('should flag symbolic links', function() {
+    var entries = getVerboseEntries();
+    // lrwxrwxrwx
+    entries[2].externalAttributes = 0xA1FF0000;
+    var verdict = ZipInfo.screenEntries(entries);
+    assert.deepEqual(verdict.findings, [{
+      code: 'SYMLINK',
+      severity: 'error',
+      message: 'Symbolic link',
+      filename: '100.dat',
+    }]);
+
+    // OS X uses the Unix file attributes too.
+    entries[2].versionMadeBy = 0x1314;
+    assert.deepEqual(getCodes(ZipInfo.screenEntries(entries).findings),
+      ['SYMLINK']);
+
+    // Not a symbolic link if the zip file was not created on Unix.
+    entries[2].versionMadeBy = 0x0014;
+    assert.deepEqual(ZipInfo.screenEntries(entries).findings, []);
+  });
+
+  it('should flag suspicious compression ratios', function() {
+    var entries = getVerboseEntries();
+    // more.than.FFFF: 70000 bytes compressed to 85 bytes.
+    var verdict = ZipInfo.screenEntries(entries, {
+      minSizeForCompressionRatio: 1000,
+    });
+    assert.deepEqual(verdict, {
+      safe: true,
+      findings: [{
+        code: 'COMPRESSION_RATIO',
+        severity: 'warning',
+        message: 'Compression ratio of 824 exceeds 100',
+        filename: 'more.than.FFFF',
+      }, {
+        code: 'COMPRESSION_RATIO',
+        severity: 'warning',
+        message: 'Total compression ratio of 770 exceeds 100',
+      }],
+      totalUncompressedSize: 70100,
+      totalCompressedSize: 91,
+    });
+
+    verdict = ZipInfo.screenEntries(entries, {
+      minSizeForCompressionRatio: 1000,
+      maxCompressionRatio: 1000,
+    });
+    assert.deepEqual(verdict.findings, []);
+  });
+
+  it('should flag a large total uncompressed size', function() {
+    var verdict = ZipInfo.screenEntries(getVerboseEntries(), {
+      maxTotalUncompressedSize: 69999,
+    });
+    assert.deepEqual(verdict.findings, [{
+      code: 'TOTAL_SIZE',
+      severity: 'error',
+      message: 'Total uncompressed size of 70100 bytes exceeds 69999',
+    }]);
+    assert.equal(verdict.safe, false);
+  });
+
+  it('should flag overlapping entries', function() {
+    var entries = getVerboseEntries();
+    // Let otherdir/empty.dat reuse the data of more.than.FFFF.
+    entries[6].localHeaderOffset = entries[3].localHeaderOffset + 40;
+    var verdict = ZipInfo.screenEntries(entries);
+    assert.deepEqual(verdict.findings, [{
+      code: 'OVERLAPPING_ENTRIES',
+      severity: 'error',
+      message: 'The data overlaps with the data of more.than.FFFF',
+      filename: 'otherdir/empty.dat',
+    }]);
+  });
+
+  it('should flag entries that overlap with the file name of an entry',
+      function() {
+    var entries = getVerboseEntries();
+    // Let otherdir/ start in the name of emptydir/ (9 bytes, no data).
+    entries[5].localHeaderOffset = entries[4].localHeaderOffset + 30 + 5;
+    assert.deepEqual(ZipInfo.screenEntries(entries).findings, [{
+      code: 'OVERLAPPING_ENTRIES',
+      severity: 'error',
+      message: 'The data overlaps with the data of emptydir/',
+      filename: 'otherdir/',
+    }]);
+  });
+});
@@ -0,0 +1,231 @@
+/* jshint node:true,mocha:true */
+/* globals Promise */
+'use strict';
+
+var ZipInfo = require('../zipinfo.js');
+require('../zipinfo_writer.js');
+
+var assert = require('assert');
+
+function readAll(data, entries) {
+  return Promise.all(entries.slice(1).map(function(entry) {
+    return ZipInfo.readEntryData(entry, data).then(function(content) {
+      return Buffer.from(content).toString();
+    });
+  }));
+}
+
+describe('ZipInfo.createZip', function() {
+  it('should create stored and deflated entries', function() {
+    var mtime = new Date(2020, 5, 15, 12, 30, 10);
+    return ZipInfo.createZip([
+      {name: 'dir/'},
+      {name: 'dir/stored.txt', data: 'Hello', method: 0, mtime: mtime},
+      {name: 'deflated.txt', data: 'Hello Hello Hello Hello'},
+      {name: 'empty'},
+    ]).then(function(data) {
+      var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      assert.deepEqual(entries.map(function(entry) {
+        return [entry.filename, entry.directory, entry.uncompressedSize,
+          entry.compressionMethod];
+      }), [
+        ['/', true, 0, undefined],
+        ['dir/', true, 0, 0],
+        ['dir/stored.txt', false, 5, 0],
+        ['deflated.txt', false, 23, 8],
+        ['empty', false, 0, 0],
+      ]);
+      assert.strictEqual(entries[2].lastModified.getTime(), mtime.getTime());
+      assert.strictEqual(entries[1].lastModified.getTime(),
+        new Date(1980, 0, 1).getTime());
+      assert.ok(entries[3].compressedSize < 23);
+      assert.strictEqual(entries[1].externalAttributes, 0x10);
+      assert.strictEqual(entries[1].hostOS, 'MS-DOS');
+      return readAll(data, entries);
+    }).then(function(contents) {
+      assert.deepEqual(contents, ['', 'Hello', 'Hello Hello Hello Hello', '']);
+    });
+  });
+
+  it('should write names, comments, modes and extra fields', function() {
+    var cp437Name = new Uint8Array([0x81, 0x2E, 0x74, 0x78, 0x74]);
+    var extra = new Uint8Array([0x34, 0x12, 2, 0, 0xAB, 0xCD]);
+    return ZipInfo.createZip([
+      {name: 'ü.txt', data: 'x', comment: 'File comment'},
+      {name: cp437Name, data: 'x', extra: extra},
+      {name: 'script.sh', data: 'x', mode: 0x1ED},
+      {name: 'bin/', mode: 0x1ED},
+    ], {comment: 'Archive comment'}).then(function(data) {
+      var entries = ZipInfo.getEntries(data, 0, {
+        verbose: true,
+        extraFields: true,
+      });
+      assert.strictEqual(entries[0].comment, 'Archive comment');
+      assert.strictEqual(entries[1].filename, 'ü.txt');
+      assert.strictEqual(entries[1].flags, 0x800);
+      assert.strictEqual(entries[1].comment, 'File comment');
+      assert.strictEqual(entries[2].filename, 'ü.txt');
+      assert.strictEqual(entries[2].flags, 0);
+      assert.deepEqual(entries[2].extraFields, [{
+        headerId: 0x1234,
+        data: new Uint8Array([0xAB, 0xCD]),
+      }]);
+      assert.strictEqual(entries[3].hostOS, 'UNIX');
+      assert.strictEqual(entries[3].externalAttributes, 0x81ED0000);
+      assert.strictEqual(entries[4].externalAttributes, 0x41ED0010);
+    });
+  });
+
+  it('should write data descriptors', function() {
+    return ZipInfo.createZip([
+      {name: 'a.txt', data: 'Hello', dataDescriptor: true},
+      {name: 'b.txt', data: 'World', method: 0, dataDescriptor: true},
+    ]).then(function(data) {
+      var view = new DataView(data.buffer);
+      // The CRC-32 and sizes in the local file header are zero.
+      assert.strictEqual(view.getUint16(6, true), 8);
+      assert.strictEqual(view.getUint32(14, true), 0);
+      assert.strictEqual(view.getUint32(18, true), 0);
+      assert.strictEqual(view.getUint32(22, true), 0);
+      var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      assert.strictEqual(entries[1].flags, 8);
+      assert.strictEqual(entries[2].localHeaderOffset,
+        30 + 5 + entries[1].compressedSize + 16);
+      return readAll(data, entries);
+    }).then(function(contents) {
+      assert.deepEqual(contents, ['Hello', 'World']);
+    });
+  });
+
+  it('should write ZIP64 records', function() {
+    return ZipInfo.createZip([
+      {name: 'a.txt', data: 'Hello', method: 0},
+      {name: 'b.txt', data: 'World', dataDescriptor: true},
+    ], {zip64: true}).then(function(data) {
+      var view = new DataView(data.buffer);
+      var eocdOffset = data.length - 22;
+      assert.strictEqual(view.getUint16(eocdOffset + 10, true), 0xFFFF);
+      assert.strictEqual(view.getUint32(eocdOffset + 16, true), 0xFFFFFFFF);
+      assert.strictEqual(view.getUint32(eocdOffset - 20), 0x504b0607);
+      assert.strictEqual(view.getUint32(eocdOffset - 76), 0x504b0606);
+      var entries = ZipInfo.getEntries(data, 0, {
+        verbose: true,
+        extraFields: true,
+      });
+      assert.strictEqual(entries[0].entryCount, 2);
+      assert.strictEqual(entries[1].versionNeeded, 45);
+      assert.deepEqual(entries[2].extraFields, [{
+        headerId: 0x0001,
+        uncompressedSize: 5,
+        compressedSize: entries[2].compressedSize,
+        localHeaderOffset: entries[2].localHeaderOffset,
+      }]);
+      return readAll(data, entries);
+    }).then(function(contents) {
+      assert.deepEqual(contents, ['Hello', 'World']);
+    });
+  });
+
+  it('should write a prefix', function() {
+    var prefix = new Uint8Array(100);
+    return Promise.all([
+      ZipInfo.createZip([{name: 'a.txt', data: 'a'}], {prefix: prefix}),
+      ZipInfo.createZip([{name: 'a.txt', data: 'a'}], {
+        prefix: prefix,
+        adjustOffsets: true,
+      }),
+    ]).then(function(results) {
+      var relative = ZipInfo.getEntries(results[0], 0, {verbose: true});
+      assert.strictEqual(relative[0].prefixLength, 100);
+      assert.strictEqual(relative[1].localHeaderOffset, 100);
+      var absolute = ZipInfo.getEntries(results[1], 0, {verbose: true});
+      assert.strictEqual(absolute[0].prefixLength, undefined);
+      assert.strictEqual(absolute[1].localHeaderOffset, 100);
+    });
+  });
+
+  it('should call the hooks before writing records', function() {
+    var calls = [];
+    var files = [{name: 'a.txt', data: 'Hello', dataDescriptor: true}];
+    return ZipInfo.createZip(files, {
+      onLocalHeader: function(header, file) {
+        calls.push('localHeader');
+        assert.strictEqual(file, files[0]);
+        header.filename = new Uint8Array([0x78]);
+      },
+      onDataDescriptor: function(descriptor) {
+        calls.push('dataDescriptor');
+        descriptor.signature = null;
+      },
+      onCentralDirectoryRecord: function(record) {
+        calls.push('centralDirectoryRecord');
+        record.crc32 = 1;
+      },
+      onEocd: function(eocd) {
+        calls.push('eocd');
+        eocd.entryCount = 2;
+      },
+    }).then(function(data) {
+      assert.deepEqual(calls, [
+        'localHeader',
+        'dataDescriptor',
+        'centralDirectoryRecord',
+        'eocd',
+      ]);
+      var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      assert.strictEqual(entries[0].entryCount, 2);
+      assert.strictEqual(entries[1].filename, 'a.txt');
+      assert.strictEqual(entries[1].crc32, 1);
+      // 12 = the data descriptor without signature.
+      assert.strictEqual(data.length, 30 + 1 + entries[1].compressedSize + 12 +
+        46 + 5 + 22);
+      return ZipInfo.readEntryData(entries[1], data).then(function() {
+        assert.fail('Should have failed');
+      }, function(error) {
+        assert.strictEqual(error.message, 'CRC-32 mismatch: a.txt');
+      });
+    });
+  });
+
+  it('should clamp dates to the MS-DOS date range', function() {
+    return ZipInfo.createZip([
+      {name: 'early', mtime: new Date(1970, 0, 1)},
+      {name: 'late', mtime: new Date(2200, 5, 1)},
+      {name: 'invalid', mtime: new Date(NaN)},
+    ]).then(function(data) {
+      var entries = ZipInfo.getEntries(data, 0, {verbose: true});
+      assert.deepEqual(entries.slice(1).map(function(entry) {
+        return entry.lastModified.getTime();
+      }), [
+        new Date(1980, 0, 1).getTime(),
+        new Date(2107, 11, 31, 23, 59, 58).getTime(),
+        new Date(1980, 0, 1).getTime(),
+      ]);
+    });
+  });
+
+  it('should deflate with CompressionStream if zlib is unavailable',
+      function() {
+    var _getZlib = ZipInfo._getZlib;
+    ZipInfo._getZlib = function() {
+      return null;
+    };
+    return ZipInfo.createZip([
+      {name: 'a.txt', data: 'Hello Hello Hello Hello'},
+    ]).then(function(data) {
+      // Invalid input rejects the Promise instead of leaving it pending.
+      return ZipInfo._deflateRaw(42).then(function() {
+        assert.fail('Should have failed');
+      }, function(error) {
+        assert.ok(error instanceof TypeError);
+        return readAll(data, ZipInfo.getEntries(data, 0, {verbose: true}));
+      });
+    }).then(function(contents) {
+      ZipInfo._getZlib = _getZlib;
+      assert.deepEqual(contents, ['Hello Hello Hello Hello']);
+    }, function(error) {
+      ZipInfo._getZlib = _getZlib;
+      throw error;
+    });
+  });
+});
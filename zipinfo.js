@@ -3,7 +3,9 @@
  * Published under a MIT license.
  * https://github.com/Rob--W/zipinfo.js
  **/
-/* globals DataView, TextDecoder, Buffer, module */
+/* globals DataView, Int32Array, Uint8Array, TextDecoder, Buffer, module,
+   Promise, DecompressionStream, FileReader, process, require,
+   Symbol */
 'use strict';
 var ZipInfo = typeof module === 'object' && module.exports || {};
 
@@ -16,9 +18,12 @@ var ZipInfo = typeof module === 'object' && module.exports || {};
  * https://en.wikipedia.org/wiki/Zip_(file_format)
  * https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
  *
+ * ZIP64 archives are supported: the ZIP64 EOCD record and the ZIP64 extended
+ * information extra field (0x0001) are used when present.
+ *
  * The following zip features are not supported:
- * - ZIP64
- * - Encrypted zip files
+ * - Encrypted zip files (encrypted entries are listed, and reported as such
+ *   with the verbose option), and encrypted central directories
  * - Data description headers (=all file sizes will be reported as 0).
  *
  * @param {Uint8Array} data - Valid zip data. This may start anywhere in the zip
@@ -28,149 +33,2422 @@ var ZipInfo = typeof module === 'object' && module.exports || {};
  *    so usually it suffices to first try to find the EOCD record that specifies
  *    the start of the central directory (which lists all files), and then fetch
  *    the data if needed.
+ * @param {object} [options] - Optional settings:
+ * - verbose (boolean) - whether to include all metadata from the central
+ *   directory record in each entry (see below). Defaults to false.
+ * - extraFields (boolean) - whether to include the decoded extra fields in
+ *   each entry (see below). Defaults to false.
+ * - encoding (string) - the encoding of file names that are not marked as
+ *   UTF-8 (bit 11 of the general purpose flag). Defaults to 'cp437', which is
+ *   the encoding prescribed by the specification. Archives created on
+ *   non-English Windows systems often use the system's code page instead,
+ *   e.g. 'shift_jis', 'gbk' or 'ibm866'. Labels other than 'cp437' require
+ *   support from TextDecoder (or Buffer in Node.js).
+ * - preferUnicodePath (boolean) - whether to use the UTF-8 file name from the
+ *   Info-ZIP Unicode Path extra field (0x7075), if present and valid.
+ *   Defaults to false.
+ * - recover (boolean) - whether to list the entries from the local file
+ *   headers if the EOCD record is missing, or if the central directory does
+ *   not have the number of entries or size declared by the EOCD record (e.g.
+ *   partial downloads and damaged zip files). This requires the data to start
+ *   at the beginning of the zip file. Defaults to false.
  * @returns {object} A list of objects describing each entry:
  * - directory (boolean) - whether the entry is a directory.
  * - filename (string) - name of entry.
  * - uncompressedSize (number) - the size of the entry when uncompressed.
+ * If `options.verbose` is set, every entry except for the first also has:
+ * - compressedSize (number) - the size of the entry in the zip file.
+ * - compressionMethod (number) - the compression method, e.g. 8 = deflate.
+ * - compressionMethodName (string) - a readable name of compressionMethod.
+ * - crc32 (number) - the CRC-32 of the uncompressed data.
+ * - lastModified (Date) - the modification time (DOS date/time, in local
+ *   time since the DOS format does not have a time zone).
+ * - localHeaderOffset (number) - the offset of the local file header in the
+ *   file (including the prefix, if any, see prefixLength below).
+ * - versionMadeBy (number) - the "version made by" field. The upper byte is
+ *   the host OS, the lower byte is the version of the zip specification.
+ * - hostOS (string) - a readable name of the host OS from versionMadeBy.
+ * - versionNeeded (number) - the version needed to extract the entry.
+ * - flags (number) - the general purpose bit flag.
+ * - internalAttributes (number) - the internal file attributes.
+ * - externalAttributes (number) - the external file attributes. This is
+ *   host OS-dependent. E.g. the upper 16 bits are the file mode on UNIX.
+ * - diskNumberStart (number) - the number of the disk where the entry starts.
+ * - comment (string) - the file comment (an empty string if there is none).
+ * - encrypted (boolean) - whether the entry is encrypted (bit 0 of flags).
+ * - encryption (object|null) - null if the entry is not encrypted, otherwise
+ *   an object that describes the encryption scheme:
+ *   - scheme (string) - 'traditional' (PKWARE traditional encryption, also
+ *     known as ZipCrypto), 'aes' (WinZip AES encryption) or 'strong' (PKWARE
+ *     strong encryption, bit 6 of flags).
+ *   - name (string) - a readable name, e.g. 'AES-256'.
+ *   - keyStrength (number) - the key size in bits (AES and strong encryption
+ *     only, if known).
+ *   - algorithmId (number) - the algorithm ID from the strong encryption
+ *     header extra field (0x0017), if present.
+ *   - compressionMethod (number) - the compression method of the data before
+ *     encryption (AES only, because compressionMethod is then 99).
+ *   - compressionMethodName (string) - a readable name of the above.
+ *   - maskedLocalHeader (boolean) - whether the values in the local file
+ *     header are masked because the central directory is encrypted (bit 13 of
+ *     flags).
+ * If `options.extraFields` is set, every entry except for the first also has:
+ * - extraFields (object[]) - the extra fields from the central directory,
+ *   decoded by ZipInfo.extraFieldParsers. Each item has a headerId property,
+ *   and either the decoded properties, or the raw data (Uint8Array) in the
+ *   data property if the extra field is unknown.
+ * Entries that were recovered from local file headers (see the recover option)
+ * do not have the versionMadeBy, hostOS, internalAttributes,
+ * externalAttributes, diskNumberStart and comment properties, but have:
+ * - recovered (boolean) - true.
+ * - confidence (string) - 'high' if the sizes are from the local file header
+ *   or data descriptor and the data is followed by another record, 'medium'
+ *   if the data is truncated or not followed by another record, 'low' if the
+ *   sizes are estimated because the data descriptor was not found.
+ * - recoveryNote (string) - a description of how the entry was recovered.
  * The first entry is always an artificial '/' directory, and includes the
  * following property:
  * - centralDirectoryStart (number) - The start of the central directory as
- *   claimed by the zip file. If `data` is only a part of the zip file, you
- *   should check whether `centralDirectoryStart < dataStartOffset`, and if so
- *   fetch more data starting from `dataStartOffset` and call this method
- *   again. Otherwise the returned list of files may be incomplete.
+ *   claimed by the zip file (plus prefixLength, if a prefix was detected).
+ *   If `data` is only a part of the zip file, you should check whether
+ *   `centralDirectoryStart < dataStartOffset`, and if so fetch more data
+ *   starting from `dataStartOffset` and call this method again. Otherwise
+ *   the returned list of files may be incomplete.
+ *   For ZIP64 archives whose ZIP64 EOCD record is not (fully) included in
+ *   `data`, this is the offset from where the ZIP64 EOCD data can be read.
+ * If the zip file is preceded by other data (e.g. the header of a Chrome
+ * extension package (CRX), the executable of a self-extracting archive or a
+ * shell script), then the offsets in the zip file are usually relative to the
+ * start of the zip data instead of the start of the file. This is detected if
+ * the central directory is included in `data`, and then the first entry also
+ * has the following properties:
+ * - prefixLength (number) - the number of bytes before the zip data. The
+ *   offsets in the entries and centralDirectoryStart are corrected for this.
+ * - prefixType (string) - only if `data` starts at the start of the file:
+ *   'crx' (Chrome extension), 'executable' (Windows or ELF executable),
+ *   'script' (starts with #!) or 'unknown'.
+ * - crx (object) - only for prefixType 'crx'. See ZipInfo.parseCrxHeader.
+ * If `options.verbose` is set and the EOCD record was found, the first entry
+ * also summarizes the EOCD record (and the ZIP64 EOCD record if present):
+ * - comment (string) - the archive comment, decoded with `options.encoding`.
+ * - diskNumber (number) - the number of this disk.
+ * - centralDirectoryDisk (number) - the disk where the central directory
+ *   starts.
+ * - entriesOnDisk (number) - the number of entries on this disk.
+ * - entryCount (number) - the total number of entries, as declared by the
+ *   EOCD record.
+ * - centralDirectorySize (number) - the size of the central directory, as
+ *   declared by the EOCD record.
+ * If `options.verbose` is set, the first entry also summarizes the encryption
+ * of the archive:
+ * - encryptedEntryCount (number) - the number of encrypted entries.
+ * - encryptionSchemes (string[]) - the unique names of the encryption schemes
+ *   of the entries (see the encryption property of entries).
+ * - centralDirectoryEncrypted (boolean) - whether the central directory is
+ *   encrypted (PKWARE strong encryption). Then the entries cannot be listed.
+ */
+ZipInfo.getEntries = function(data, dataStartOffset, options) {
+  var parser = ZipInfo._createEntryParser(data, dataStartOffset, options);
+  var eocd = parser.eocd;
+  var entries = [parser.root];
+  var entry;
+  while ((entry = parser.next())) {
+    entries.push(entry);
+  }
+  if (options && options.recover && (!eocd || eocd.complete &&
+      eocd.centralDirectoryStart >= (dataStartOffset || 0) &&
+      (entries.length - 1 !== eocd.entryCount ||
+       parser.offset - parser.centralDirectoryOffset !==
+       eocd.centralDirectorySize))) {
+    entries = entries.slice(0, 1).concat(
+      ZipInfo._recoverEntries(data, dataStartOffset, options));
+  }
+  if (options && options.verbose) {
+    var schemes = [];
+    entries[0].encryptedEntryCount = 0;
+    entries[0].centralDirectoryEncrypted =
+      !!(eocd && eocd.centralDirectoryEncrypted);
+    entries.slice(1).forEach(function(entry) {
+      if (entry.encrypted) {
+        ++entries[0].encryptedEntryCount;
+      }
+      if (entry.encryption && schemes.indexOf(entry.encryption.name) === -1) {
+        schemes.push(entry.encryption.name);
+      }
+      if (entry.flags & 0x2000) {
+        entries[0].centralDirectoryEncrypted = true;
+      }
+    });
+    entries[0].encryptionSchemes = schemes;
+  }
+  return entries;
+};
+
+/**
+ * Lists the files in a zip file one by one, like ZipInfo.getEntries, but the
+ * central directory is only parsed as far as entries are requested. This is
+ * useful to stop early, e.g. to find the first entry that matches a condition.
+ *
+ * @param {Uint8Array} data - See ZipInfo.getEntries.
+ * @param {number} [dataStartOffset=0] - See ZipInfo.getEntries.
+ * @param {object} [options] - The options for ZipInfo.getEntries (except for
+ *    `recover`), and:
+ *    - maxEntries (number) - the maximum number of entries (not counting the
+ *      artificial '/' entry). Defaults to no limit.
+ * @returns {object} An iterator: an object with a `next` method that returns
+ *    an object with `done` (boolean) and `value` (the entry) properties. The
+ *    iterator can also be used in for-of loops in environments that support
+ *    Symbol.iterator. The first entry is the artificial '/' entry (without
+ *    the encryption summary of the `verbose` option).
+ */
+ZipInfo.iterateEntries = function(data, dataStartOffset, options) {
+  var parser = ZipInfo._createEntryParser(data, dataStartOffset, options);
+  var entriesLeft = ZipInfo._getMaxEntries(options);
+  var root = parser.root;
+  var iterator = {
+    next: function() {
+      var entry = root;
+      root = null;
+      if (!entry && entriesLeft > 0) {
+        --entriesLeft;
+        entry = parser.next();
+      }
+      if (!entry) {
+        entriesLeft = 0;
+        return {done: true, value: undefined};
+      }
+      return {done: false, value: entry};
+    },
+    'return': function() {
+      root = null;
+      entriesLeft = 0;
+      return {done: true, value: undefined};
+    },
+  };
+  if (typeof Symbol == 'function' && Symbol.iterator) {
+    iterator[Symbol.iterator] = function() {
+      return iterator;
+    };
+  }
+  return iterator;
+};
+
+/**
+ * @param {object} [options] - See ZipInfo.iterateEntries.
+ * @returns {number} The maximum number of entries.
+ */
+ZipInfo._getMaxEntries = function(options) {
+  var maxEntries = options && options.maxEntries;
+  return typeof maxEntries == 'number' && maxEntries >= 0 ? maxEntries :
+    Infinity;
+};
+
+/**
+ * Parses the central directory one entry at a time. This is the
+ * implementation of ZipInfo.getEntries and ZipInfo.iterateEntries.
+ *
+ * @param {Uint8Array} data - See ZipInfo.getEntries.
+ * @param {number} [dataStartOffset=0] - See ZipInfo.getEntries.
+ * @param {object} [options] - See ZipInfo.getEntries.
+ * @returns {object} An object with the following properties:
+ * - root (object) - the artificial '/' entry, see ZipInfo.getEntries. The
+ *   encryption summary of `options.verbose` is not included.
+ * - eocd (object|null) - the return value of ZipInfo._readEocd.
+ * - centralDirectoryOffset (number) - the offset in data where parsing starts.
+ * - offset (number) - the offset in data of the next record.
+ * - next (function) - returns the next entry, or null if there are no more
+ *   entries.
  */
-ZipInfo.getEntries = function(data, dataStartOffset) {
-  var view = new DataView(data.buffer, data.byteOffset, data.length);
+ZipInfo._createEntryParser = function(data, dataStartOffset, options) {
+  var view = ZipInfo._getDataView(data);
   var entriesLeft = 0;
   var offset = 0;
   var endoffset = data.length;
-  // Find EOCD (0xFFFF is the maximum size of an optional trailing comment).
-  for (var i = data.length - 22, ii = Math.max(0, i - 0xFFFF); i >= ii; --i) {
-    if (data[i] === 0x50 && data[i + 1] === 0x4b &&
-      data[i + 2] === 0x05 && data[i + 3] === 0x06) {
-        endoffset = i;
-        offset = view.getUint32(i + 16, true);
-        entriesLeft = view.getUint16(i + 8, true);
-        break;
-      }
+  var eocd = ZipInfo._readEocd(data, dataStartOffset);
+  var prefixLength = 0;
+  if (eocd) {
+    endoffset = eocd.zip64Offset === -1 ? eocd.offset : eocd.zip64Offset;
+    entriesLeft = eocd.complete ? eocd.entriesOnDisk : 0;
+    if (eocd.complete) {
+      prefixLength = ZipInfo._getPrefixLength(data, dataStartOffset, eocd);
+    }
   }
-  var entries = [{
-    directory: true,
-    filename: '/',
-    uncompressedSize: 0,
-    centralDirectoryStart: offset,
-  }];
+  var root = ZipInfo._createRootEntry(data, dataStartOffset, eocd,
+    prefixLength, options);
+  offset = root.centralDirectoryStart;
   if (dataStartOffset) {
     offset -= dataStartOffset;
   }
   if (offset >= data.length || offset <= 0) {
     // EOCD not found or malformed. Try to recover if possible (the result is
     // most likely going to be incomplete or bogus, but we can try...).
-    offset = -1;
+    offset = ZipInfo._findSignature(data, 0, [0x504b0102]);
+    if (offset === -1) {
+      offset = data.length;
+    }
     entriesLeft = 0xFFFF;
-    while (++offset < data.length && data[offset] !== 0x50 &&
-      data[offset + 1] !== 0x4b && data[offset + 2] !== 0x01 &&
-        data[offset + 3] !== 0x02);
   }
   endoffset -= 46;  // 46 = minimum size of an entry in the central directory.
-  while (--entriesLeft >= 0 && offset < endoffset) {
-    if (view.getUint32(offset) != 0x504b0102) {
+  var parser = {
+    root: root,
+    eocd: eocd,
+    centralDirectoryOffset: offset,
+    offset: offset,
+    next: function() {
+      if (--entriesLeft < 0 || parser.offset >= endoffset ||
+          view.getUint32(parser.offset) != 0x504b0102) {
+        entriesLeft = 0;
+        return null;
+      }
+      var entry = ZipInfo._parseCentralDirectoryRecord(data, view,
+        parser.offset, prefixLength, options);
+      parser.offset += ZipInfo._getCentralDirectoryRecordSize(view,
+        parser.offset);
+      return entry;
+    },
+  };
+  return parser;
+};
+
+/**
+ * Creates the artificial '/' entry of ZipInfo.getEntries.
+ *
+ * @param {Uint8Array} data - See ZipInfo.getEntries.
+ * @param {number} [dataStartOffset=0] - See ZipInfo.getEntries.
+ * @param {object|null} eocd - The return value of ZipInfo._readEocd.
+ * @param {number} prefixLength - The return value of ZipInfo._getPrefixLength.
+ * @param {object} [options] - See ZipInfo.getEntries.
+ * @returns {object}
+ */
+ZipInfo._createRootEntry = function(data, dataStartOffset, eocd, prefixLength,
+    options) {
+  var root = {
+    directory: true,
+    filename: '/',
+    uncompressedSize: 0,
+    centralDirectoryStart: eocd ? eocd.centralDirectoryStart + prefixLength : 0,
+  };
+  if (prefixLength) {
+    root.prefixLength = prefixLength;
+    if (!dataStartOffset) {
+      root.prefixType = ZipInfo._getPrefixType(data);
+      if (root.prefixType === 'crx') {
+        root.crx = ZipInfo.parseCrxHeader(data);
+      }
+    }
+  }
+  if (options && options.verbose && eocd) {
+    root.comment = ZipInfo._decodeFilename(data.subarray(
+      eocd.offset + 22, eocd.offset + 22 + eocd.commentLength),
+      options.encoding || 'cp437');
+    root.diskNumber = eocd.diskNumber;
+    root.centralDirectoryDisk = eocd.centralDirectoryDisk;
+    root.entriesOnDisk = eocd.entriesOnDisk;
+    root.entryCount = eocd.entryCount;
+    root.centralDirectorySize = eocd.centralDirectorySize;
+  }
+  return root;
+};
+
+/**
+ * @param {Uint8Array} data
+ * @param {DataView} view - The DataView of data.
+ * @param {number} offset - The offset of a central directory record in data.
+ *    The record must be complete, see ZipInfo._getCentralDirectoryRecordSize.
+ * @param {number} prefixLength - The return value of ZipInfo._getPrefixLength.
+ * @param {object} [options] - See ZipInfo.getEntries.
+ * @returns {object} The entry, see ZipInfo.getEntries.
+ */
+ZipInfo._parseCentralDirectoryRecord = function(data, view, offset,
+    prefixLength, options) {
+  var verbose = !!(options && options.verbose);
+  var encoding = options && options.encoding || 'cp437';
+  var bitFlag = view.getUint16(offset + 8, true);
+  var fileNameLength = view.getUint16(offset + 28, true);
+  var extraFieldLength = view.getUint16(offset + 30, true);
+  var fileCommentLength = view.getUint16(offset + 32, true);
+  var record = {
+    uncompressedSize: view.getUint32(offset + 24, true),
+    compressedSize: view.getUint32(offset + 20, true),
+    localHeaderOffset: view.getUint32(offset + 42, true),
+    diskNumberStart: view.getUint16(offset + 34, true),
+    flags: bitFlag,
+    filename: data.subarray(offset + 46, offset + 46 + fileNameLength),
+  };
+  var utfLabel = (bitFlag & 0x800) ? 'utf-8' : encoding;
+  var filename = ZipInfo._decodeFilename(record.filename, utfLabel);
+  var rawExtraFields = ZipInfo._splitExtraFields(data,
+      offset + 46 + fileNameLength, extraFieldLength);
+  if (options && options.preferUnicodePath) {
+    filename = ZipInfo._getUnicodePath(rawExtraFields, record) || filename;
+  }
+  var sizes = ZipInfo._applyZip64ExtraField(rawExtraFields, record);
+
+  var entry = {
+    directory: filename.endsWith('/'),
+    filename: filename,
+    uncompressedSize: sizes.uncompressedSize,
+  };
+  if (verbose) {
+    var versionMadeBy = view.getUint16(offset + 4, true);
+    var compressionMethod = view.getUint16(offset + 10, true);
+    entry.compressedSize = sizes.compressedSize;
+    entry.compressionMethod = compressionMethod;
+    entry.compressionMethodName =
+      ZipInfo.compressionMethodNames[compressionMethod] ||
+      'Unknown (' + compressionMethod + ')';
+    entry.crc32 = view.getUint32(offset + 16, true);
+    entry.lastModified = ZipInfo._dosDateTimeToDate(
+      view.getUint16(offset + 14, true), view.getUint16(offset + 12, true));
+    entry.localHeaderOffset = sizes.localHeaderOffset + prefixLength;
+    entry.versionMadeBy = versionMadeBy;
+    entry.hostOS = ZipInfo.hostOSNames[versionMadeBy >> 8] ||
+      'Unknown (' + (versionMadeBy >> 8) + ')';
+    entry.versionNeeded = view.getUint16(offset + 6, true);
+    entry.flags = bitFlag;
+    entry.internalAttributes = view.getUint16(offset + 36, true);
+    entry.externalAttributes = view.getUint32(offset + 38, true);
+    entry.diskNumberStart = sizes.diskNumberStart;
+    var commentOffset = offset + 46 + fileNameLength + extraFieldLength;
+    entry.comment = ZipInfo._decodeFilename(data.subarray(commentOffset,
+      commentOffset + fileCommentLength), utfLabel);
+    entry.encrypted = !!(bitFlag & 1);
+    entry.encryption = ZipInfo._getEncryption(bitFlag, compressionMethod,
+      rawExtraFields);
+  }
+  if (options && options.extraFields) {
+    entry.extraFields = ZipInfo._decodeExtraFields(rawExtraFields, record);
+  }
+  return entry;
+};
+
+/**
+ * @param {DataView} view
+ * @param {number} offset - The offset of a central directory record in view.
+ *    At least the first 46 bytes of the record must be in view.
+ * @returns {number} The size of the record, including the variable-length
+ *    file name, extra field and file comment.
+ */
+ZipInfo._getCentralDirectoryRecordSize = function(view, offset) {
+  return 46 + view.getUint16(offset + 28, true) +
+    view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+};
+
+/**
+ * Finds the first zip record signature at or after the given offset.
+ *
+ * @param {Uint8Array} data
+ * @param {number} offset - Where to start searching.
+ * @param {number[]} signatures - The signatures (big-endian, e.g. 0x504b0304).
+ * @returns {number} The offset of the signature in data, or -1 if not found.
+ */
+ZipInfo._findSignature = function(data, offset, signatures) {
+  var view = ZipInfo._getDataView(data);
+  for (var i = offset, ii = data.length - 4; i <= ii; ++i) {
+    // All signatures start with "PK".
+    if (data[i] === 0x50 && data[i + 1] === 0x4b &&
+        signatures.indexOf(view.getUint32(i)) !== -1) {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Detects data before the zip file (e.g. a CRX header or the executable of a
+ * self-extracting archive). Offsets in zip files are relative to the start of
+ * the zip data, so the central directory is then not at the claimed offset,
+ * but at the claimed offset plus the length of the prefix, directly before
+ * the (ZIP64) EOCD record.
+ *
+ * @param {Uint8Array} data - See ZipInfo.getEntries.
+ * @param {number} [dataStartOffset=0] - See ZipInfo.getEntries.
+ * @param {object} eocd - The return value of ZipInfo._readEocd.
+ * @returns {number} The length of the prefix, or 0 if none was detected.
+ */
+ZipInfo._getPrefixLength = function(data, dataStartOffset, eocd) {
+  var view = ZipInfo._getDataView(data);
+  function isCentralDirectoryAt(offset) {
+    return offset >= 0 && offset + 4 <= data.length &&
+      view.getUint32(offset) === 0x504b0102;
+  }
+  var claimed = eocd.centralDirectoryStart - (dataStartOffset || 0);
+  var actual = (eocd.zip64Offset === -1 ? eocd.offset : eocd.zip64Offset) -
+    eocd.centralDirectorySize;
+  if (actual > claimed && isCentralDirectoryAt(actual) &&
+      !isCentralDirectoryAt(claimed)) {
+    return actual - claimed;
+  }
+  return 0;
+};
+
+/**
+ * @param {Uint8Array} data - The start of a file with a prefix.
+ * @returns {string} The type of the prefix, see prefixType in
+ *    ZipInfo.getEntries.
+ */
+ZipInfo._getPrefixType = function(data) {
+  var magic = String.fromCharCode.apply(null, data.subarray(0, 4));
+  if (magic === 'Cr24') {
+    return 'crx';
+  }
+  if (magic.slice(0, 2) === 'MZ' || magic === '\x7fELF') {
+    return 'executable';
+  }
+  if (magic.slice(0, 2) === '#!') {
+    return 'script';
+  }
+  return 'unknown';
+};
+
+/**
+ * Parses the header of a Chrome extension package (CRX version 2 or 3).
+ *
+ * @param {Uint8Array} data - The start of the CRX file, including the header.
+ * @returns {object|null} null if the data does not start with a valid CRX
+ *    header. Otherwise an object with the following properties:
+ *    - version (number) - the CRX version (2 or 3).
+ *    - zipOffset (number) - the offset of the zip data, i.e. the size of the
+ *      header.
+ *    - publicKey (Uint8Array) - the public key (DER-encoded). For CRX3, this
+ *      is the key of the first proof.
+ *    - signatures (object[]) - the signature blocks ("proofs"). Each has an
+ *      algorithm ('sha1_with_rsa' for CRX2, 'sha256_with_rsa' or
+ *      'sha256_with_ecdsa' for CRX3), a publicKey and a signature (both
+ *      Uint8Array).
+ *    - extensionId (string) - the extension ID from the signed header data
+ *      (CRX3 only, if present).
+ */
+ZipInfo.parseCrxHeader = function(data) {
+  if (data.length < 12 || data[0] !== 0x43 || data[1] !== 0x72 ||
+      data[2] !== 0x32 || data[3] !== 0x34) {  // "Cr24"
+    return null;
+  }
+  var view = ZipInfo._getDataView(data);
+  var version = view.getUint32(4, true);
+  if (version === 2) {
+    if (data.length < 16) {
+      return null;
+    }
+    var publicKeyLength = view.getUint32(8, true);
+    var signatureLength = view.getUint32(12, true);
+    var zipOffset = 16 + publicKeyLength + signatureLength;
+    if (zipOffset > data.length) {
+      return null;
+    }
+    var publicKey = data.subarray(16, 16 + publicKeyLength);
+    return {
+      version: 2,
+      zipOffset: zipOffset,
+      publicKey: publicKey,
+      signatures: [{
+        algorithm: 'sha1_with_rsa',
+        publicKey: publicKey,
+        signature: data.subarray(16 + publicKeyLength, zipOffset),
+      }],
+    };
+  }
+  if (version !== 3) {
+    return null;
+  }
+  var headerSize = view.getUint32(8, true);
+  if (12 + headerSize > data.length) {
+    return null;
+  }
+  // The header is a CrxFileHeader protocol buffer message, see
+  // https://chromium.googlesource.com/chromium/src/+/main/components/crx_file/crx3.proto
+  var fields = ZipInfo._parseProtobuf(data.subarray(12, 12 + headerSize));
+  if (!fields) {
+    return null;
+  }
+  var result = {
+    version: 3,
+    zipOffset: 12 + headerSize,
+    publicKey: null,
+    signatures: [],
+  };
+  var algorithms = {2: 'sha256_with_rsa', 3: 'sha256_with_ecdsa'};
+  fields.forEach(function(field) {
+    if (algorithms[field.fieldNumber] && field.value instanceof Uint8Array) {
+      // AsymmetricKeyProof: public_key = 1, signature = 2.
+      var proof = {
+        algorithm: algorithms[field.fieldNumber],
+        publicKey: new Uint8Array(0),
+        signature: new Uint8Array(0),
+      };
+      (ZipInfo._parseProtobuf(field.value) || []).forEach(function(f) {
+        if (f.fieldNumber === 1 && f.value instanceof Uint8Array) {
+          proof.publicKey = f.value;
+        } else if (f.fieldNumber === 2 && f.value instanceof Uint8Array) {
+          proof.signature = f.value;
+        }
+      });
+      result.signatures.push(proof);
+    } else if (field.fieldNumber === 10000 &&
+        field.value instanceof Uint8Array) {
+      // SignedData: crx_id = 1, the first 16 bytes of the SHA-256 hash of the
+      // public key, which is displayed with the letters a-p.
+      (ZipInfo._parseProtobuf(field.value) || []).forEach(function(f) {
+        if (f.fieldNumber === 1 && f.value instanceof Uint8Array) {
+          result.extensionId = Array.prototype.map.call(f.value, function(b) {
+            return String.fromCharCode(97 + (b >> 4), 97 + (b & 15));
+          }).join('');
+        }
+      });
+    }
+  });
+  if (result.signatures.length) {
+    result.publicKey = result.signatures[0].publicKey;
+  }
+  return result;
+};
+
+/**
+ * Parses a protocol buffer message, without schema.
+ *
+ * @param {Uint8Array} data
+ * @returns {object[]|null} null if the message is invalid. Otherwise the list
+ *    of fields, each with a fieldNumber and a value: a number for varints, or
+ *    a Uint8Array for length-delimited and fixed-size fields.
+ */
+ZipInfo._parseProtobuf = function(data) {
+  var offset = 0;
+  function readVarint() {
+    var value = 0;
+    for (var multiplier = 1; offset < data.length; multiplier *= 128) {
+      var byte = data[offset++];
+      value += (byte & 0x7F) * multiplier;
+      if (byte < 0x80) {
+        return value;
+      }
+    }
+    return -1;
+  }
+  var fields = [];
+  while (offset < data.length) {
+    var key = readVarint();
+    var wireType = key % 8;
+    var value;
+    var size = -1;
+    if (key === -1) {
+      return null;
+    } else if (wireType === 0) {
+      value = readVarint();
+      if (value === -1) {
+        return null;
+      }
+    } else if (wireType === 2) {
+      size = readVarint();
+    } else if (wireType === 1) {
+      size = 8;
+    } else if (wireType === 5) {
+      size = 4;
+    } else {
+      // Groups (3 and 4) are deprecated and not supported.
+      return null;
+    }
+    if (wireType !== 0) {
+      if (size === -1 || offset + size > data.length) {
+        return null;
+      }
+      value = data.subarray(offset, offset + size);
+      offset += size;
+    }
+    fields.push({
+      fieldNumber: Math.floor(key / 8),
+      value: value,
+    });
+  }
+  return fields;
+};
+
+/**
+ * Lists the entries of a damaged zip file (e.g. a partial download, or a zip
+ * file without a valid central directory) by walking the local file headers.
+ * The sizes of entries with a data descriptor (bit 3 of the general purpose
+ * flag) are found by searching for the signature that follows the data.
+ *
+ * @param {Uint8Array} data - See ZipInfo.getEntries.
+ * @param {number} [dataStartOffset=0] - See ZipInfo.getEntries.
+ * @param {object} [options] - See ZipInfo.getEntries.
+ * @returns {object[]} The recovered entries (without the artificial '/'
+ *    entry). See ZipInfo.getEntries for the recover option.
+ */
+ZipInfo._recoverEntries = function(data, dataStartOffset, options) {
+  var verbose = !!(options && options.verbose);
+  var encoding = options && options.encoding || 'cp437';
+  var view = ZipInfo._getDataView(data);
+  var entries = [];
+  // Signatures of records that may follow the data of an entry.
+  var nextRecordSignatures = [0x504b0304, 0x504b0102, 0x504b0606, 0x504b0506];
+
+  function isRecordAt(offset) {
+    return offset === data.length || offset + 4 <= data.length &&
+      nextRecordSignatures.indexOf(view.getUint32(offset)) !== -1;
+  }
+
+  // Returns the data descriptor (without signature) at the given offset if its
+  // compressed size matches the size of the data, null otherwise.
+  function readDataDescriptor(dataOffset, dataEnd, descriptorOffset, zip64) {
+    var size = zip64 ? 20 : 12;
+    if (descriptorOffset < dataOffset ||
+        descriptorOffset + size > data.length) {
+      return null;
+    }
+    var compressedSize = zip64 ?
+      ZipInfo._getUint64(view, descriptorOffset + 4) :
+      view.getUint32(descriptorOffset + 4, true);
+    if (compressedSize !== dataEnd - dataOffset) {
+      return null;
+    }
+    return {
+      crc32: view.getUint32(descriptorOffset, true),
+      compressedSize: compressedSize,
+      uncompressedSize: zip64 ?
+        ZipInfo._getUint64(view, descriptorOffset + 12) :
+        view.getUint32(descriptorOffset + 8, true),
+      end: descriptorOffset + size,
+    };
+  }
+
+  // Finds the data descriptor of an entry whose data starts at dataOffset. The
+  // data descriptor is optionally preceded by a signature (0x08074b50), and
+  // followed by the next record. Signatures may also occur in the compressed
+  // data, so a data descriptor is only accepted if the sizes match.
+  // Returns null if not found.
+  function findDataDescriptor(dataOffset) {
+    var signatures = nextRecordSignatures.concat(0x504b0708);
+    for (var i = dataOffset;
+        (i = ZipInfo._findSignature(data, i, signatures)) !== -1; ++i) {
+      var candidates = view.getUint32(i) === 0x504b0708 ? [
+        readDataDescriptor(dataOffset, i, i + 4, false),
+        readDataDescriptor(dataOffset, i, i + 4, true),
+      ] : [
+        readDataDescriptor(dataOffset, i - 12, i - 12, false),
+        readDataDescriptor(dataOffset, i - 20, i - 20, true),
+      ];
+      for (var j = 0; j < candidates.length; ++j) {
+        if (candidates[j] && isRecordAt(candidates[j].end)) {
+          return candidates[j];
+        }
+      }
+    }
+    return null;
+  }
+
+  var offset = ZipInfo._findSignature(data, 0, [0x504b0304]);
+  while (offset !== -1 && offset + 30 <= data.length) {
+    var bitFlag = view.getUint16(offset + 6, true);
+    var compressionMethod = view.getUint16(offset + 8, true);
+    var fileNameLength = view.getUint16(offset + 26, true);
+    var extraFieldLength = view.getUint16(offset + 28, true);
+    var dataOffset = offset + 30 + fileNameLength + extraFieldLength;
+    if (dataOffset > data.length) {
       break;
     }
-    var bitFlag = view.getUint16(offset + 8, true);
-    var uncompressedSize = view.getUint32(offset + 24, true);
-    var fileNameLength = view.getUint16(offset + 28, true);
-    var extraFieldLength = view.getUint16(offset + 30, true);
-    var fileCommentLength = view.getUint16(offset + 32, true);
-    var filename = data.subarray(offset + 46, offset + 46 + fileNameLength);
-    var utfLabel = (bitFlag & 0x800) ? 'utf-8' : 'ascii';
-    filename = ZipInfo._decodeFilename(filename, utfLabel);
+    var record = {
+      uncompressedSize: view.getUint32(offset + 22, true),
+      compressedSize: view.getUint32(offset + 18, true),
+      localHeaderOffset: (dataStartOffset || 0) + offset,
+      diskNumberStart: 0,
+      flags: bitFlag,
+      filename: data.subarray(offset + 30, offset + 30 + fileNameLength),
+    };
+    var utfLabel = (bitFlag & 0x800) ? 'utf-8' : encoding;
+    var filename = ZipInfo._decodeFilename(record.filename, utfLabel);
+    var rawExtraFields = ZipInfo._splitExtraFields(data,
+        offset + 30 + fileNameLength, extraFieldLength);
+    if (options && options.preferUnicodePath) {
+      filename = ZipInfo._getUnicodePath(rawExtraFields, record) || filename;
+    }
+    var sizes = ZipInfo._applyZip64ExtraField(rawExtraFields, record);
+    var crc32 = view.getUint32(offset + 14, true);
+    var confidence = 'high';
+    var recoveryNote;
+    var end;
+    if (bitFlag & 8) {
+      var descriptor = findDataDescriptor(dataOffset);
+      if (descriptor) {
+        crc32 = descriptor.crc32;
+        sizes.compressedSize = descriptor.compressedSize;
+        sizes.uncompressedSize = descriptor.uncompressedSize;
+        end = descriptor.end;
+        recoveryNote = 'Sizes from the data descriptor';
+      } else {
+        end = ZipInfo._findSignature(data, dataOffset, nextRecordSignatures);
+        if (end === -1) {
+          end = data.length;
+        }
+        sizes.compressedSize = end - dataOffset;
+        sizes.uncompressedSize = compressionMethod === 0 ?
+          sizes.compressedSize : 0;
+        confidence = 'low';
+        recoveryNote = 'Data descriptor not found, the sizes are estimated';
+      }
+    } else {
+      end = dataOffset + sizes.compressedSize;
+      if (end > data.length) {
+        confidence = 'medium';
+        recoveryNote = 'The data is truncated (' + (data.length - dataOffset) +
+          ' of ' + sizes.compressedSize + ' bytes available)';
+      } else if (isRecordAt(end)) {
+        recoveryNote = 'Sizes from the local file header';
+      } else {
+        confidence = 'medium';
+        recoveryNote = 'The data is not followed by another record';
+      }
+    }
 
-    entries.push({
+    var entry = {
       directory: filename.endsWith('/'),
       filename: filename,
-      uncompressedSize: uncompressedSize,
-    });
-    offset += 46 + fileNameLength + extraFieldLength + fileCommentLength;
+      uncompressedSize: sizes.uncompressedSize,
+      recovered: true,
+      confidence: confidence,
+      recoveryNote: recoveryNote,
+    };
+    if (verbose) {
+      entry.compressedSize = sizes.compressedSize;
+      entry.compressionMethod = compressionMethod;
+      entry.compressionMethodName =
+        ZipInfo.compressionMethodNames[compressionMethod] ||
+        'Unknown (' + compressionMethod + ')';
+      entry.crc32 = crc32;
+      entry.lastModified = ZipInfo._dosDateTimeToDate(
+        view.getUint16(offset + 12, true), view.getUint16(offset + 10, true));
+      entry.localHeaderOffset = record.localHeaderOffset;
+      entry.versionNeeded = view.getUint16(offset + 4, true);
+      entry.flags = bitFlag;
+      entry.encrypted = !!(bitFlag & 1);
+      entry.encryption = ZipInfo._getEncryption(bitFlag, compressionMethod,
+        rawExtraFields);
+    }
+    if (options && options.extraFields) {
+      entry.extraFields = ZipInfo._decodeExtraFields(rawExtraFields, record);
+    }
+    entries.push(entry);
+    if (end >= data.length) {
+      break;
+    }
+    // Skip data between entries (if any), but stop at the central directory.
+    offset = ZipInfo._findSignature(data, end, nextRecordSignatures);
+    if (offset !== -1 && view.getUint32(offset) !== 0x504b0304) {
+      break;
+    }
   }
   return entries;
 };
 
 /**
- * @param {Uint8Array} filename
- * @param {string} utfLabel
+ * @param {Uint8Array} data
+ * @returns {number} The offset of the EOCD record in data, or -1 if not found.
  */
-ZipInfo._decodeFilename = function(filename, utfLabel) {
-  if (typeof TextDecoder == 'function') {
-    return new TextDecoder(utfLabel).decode(filename);
+ZipInfo._findEocd = function(data) {
+  // 0xFFFF is the maximum size of an optional trailing comment.
+  for (var i = data.length - 22, ii = Math.max(0, i - 0xFFFF); i >= ii; --i) {
+    if (data[i] === 0x50 && data[i + 1] === 0x4b &&
+      data[i + 2] === 0x05 && data[i + 3] === 0x06) {
+      return i;
+    }
   }
-  return new Buffer(filename).toString(utfLabel);  // Node.js
+  return -1;
 };
 
 /**
- * Fetches the list of files in a zip file using the HTTP protocol (http/https).
+ * Parses the EOCD record, and the ZIP64 EOCD record if present.
  *
- * @param {function} sendHttpRequest - The method to fetch the initial data.
- *  This callback is passed an object with the following properties:
- *  - rangeHeader - An optional string. If not falsey, the "Range" request
- *    header must be set on the request with this value.
- *  - onHeadersReceived - This method should be called when the headers become
- *    available. Calling this is recommended but not required. The callback
- *    should be passed a function that returns a header for a given header name,
- *    or a falsey value if the header is unavailable.
- *  - onCompleted - This method must be called when the request finishes, UNLESS
- *    the request is explicitly aborted. The callback should be called with a
- *    Uint8Array of the response (which may be empty if an error has occurred).
- *  The method must return an object with the "abort" method, which cancels the
- *  initial request.
- * @param {function} onGotEntries - Called when all request finish. The method
- *  is called with a single argument, the return value of ZipInfo.getEntries.
+ * @param {Uint8Array} data - See ZipInfo.getEntries.
+ * @param {number} [dataStartOffset=0] - See ZipInfo.getEntries.
+ * @returns {object|null} null if the EOCD record is not found. Otherwise an
+ *    object with the following properties (numbers unless stated otherwise):
+ * - offset - the offset of the EOCD record in data.
+ * - zip64Offset - the offset of the ZIP64 EOCD record in data, or -1.
+ * - diskNumber, centralDirectoryDisk - the number of this disk, and the number
+ *   of the disk where the central directory starts.
+ * - entriesOnDisk, entryCount - the number of entries in the central
+ *   directory on this disk, and in total.
+ * - centralDirectorySize, centralDirectoryStart - the size and offset of the
+ *   central directory. The offset is relative to the start of the zip file.
+ * - commentLength - the length of the archive comment.
+ * - centralDirectoryEncrypted (boolean) - whether the central directory is
+ *   encrypted, according to version 2 of the ZIP64 EOCD record.
+ * - complete (boolean) - false if the data starts after the ZIP64 EOCD
+ *   record. Then the other values are from the EOCD record, except for
+ *   centralDirectoryStart, which is the offset from where more data should be
+ *   read.
  */
-ZipInfo.runGetEntriesOverHttp = function(sendHttpRequest, onGotEntries) {
-  function getRange(start, length) {
-    // We are expecting a response at the end of a zip file. Do not set the
-    // range header if the start is 0 in case the server has a buggy range
-    // request implementation.
-    if (start) {
-      return 'bytes=' + start + '-' + (length - 1) + '/' + length;
+ZipInfo._readEocd = function(data, dataStartOffset) {
+  var i = ZipInfo._findEocd(data);
+  if (i === -1) {
+    return null;
+  }
+  var view = ZipInfo._getDataView(data);
+  var eocd = {
+    offset: i,
+    zip64Offset: -1,
+    diskNumber: view.getUint16(i + 4, true),
+    centralDirectoryDisk: view.getUint16(i + 6, true),
+    entriesOnDisk: view.getUint16(i + 8, true),
+    entryCount: view.getUint16(i + 10, true),
+    centralDirectorySize: view.getUint32(i + 12, true),
+    centralDirectoryStart: view.getUint32(i + 16, true),
+    commentLength: view.getUint16(i + 20, true),
+    centralDirectoryEncrypted: false,
+    complete: true,
+  };
+  // The ZIP64 EOCD locator (20 bytes) immediately precedes the EOCD.
+  if (i >= 20 && view.getUint32(i - 20) === 0x504b0607) {
+    var zip64EocdStart = ZipInfo._getUint64(view, i - 12);
+    var zip64Offset = zip64EocdStart - (dataStartOffset || 0);
+    // 56 = size of the ZIP64 EOCD record (without extensible data).
+    if (!(zip64Offset >= 0 && zip64Offset + 56 <= i - 20 &&
+        view.getUint32(zip64Offset) === 0x504b0606) &&
+        i >= 76 && view.getUint32(i - 76) === 0x504b0606) {
+      // The offset is wrong if there is data before the zip file (see
+      // ZipInfo._getPrefixLength), but the record usually precedes the
+      // locator.
+      zip64Offset = i - 76;
     }
+    if (zip64Offset >= 0 && zip64Offset + 56 <= i - 20 &&
+        view.getUint32(zip64Offset) === 0x504b0606) {
+      eocd.zip64Offset = zip64Offset;
+      eocd.diskNumber = view.getUint32(zip64Offset + 16, true);
+      eocd.centralDirectoryDisk = view.getUint32(zip64Offset + 20, true);
+      eocd.entriesOnDisk = ZipInfo._getUint64(view, zip64Offset + 24);
+      eocd.entryCount = ZipInfo._getUint64(view, zip64Offset + 32);
+      eocd.centralDirectorySize = ZipInfo._getUint64(view, zip64Offset + 40);
+      eocd.centralDirectoryStart = ZipInfo._getUint64(view, zip64Offset + 48);
+      // Version 2 of the ZIP64 EOCD record (size of the remaining record >=
+      // 44 + 28) describes the encryption of the central directory. The
+      // algorithm ID follows the compression method and the sizes.
+      if (ZipInfo._getUint64(view, zip64Offset + 4) >= 72 &&
+          zip64Offset + 84 <= i - 20) {
+        eocd.centralDirectoryEncrypted =
+          view.getUint16(zip64Offset + 74, true) !== 0;
+      }
+    } else if (zip64Offset < 0) {
+      // The ZIP64 EOCD record is missing from the data.
+      eocd.centralDirectoryStart = zip64EocdStart;
+      eocd.complete = false;
+    }
+  } else if (i < 20 && dataStartOffset &&
+      (eocd.centralDirectoryStart === 0xFFFFFFFF ||
+       eocd.entriesOnDisk === 0xFFFF)) {
+    // The EOCD may be preceded by a ZIP64 EOCD locator and record that are
+    // not part of the data. 76 = 20 (locator) + 56 (ZIP64 EOCD).
+    eocd.centralDirectoryStart = Math.max(0, dataStartOffset + i - 76);
+    eocd.complete = false;
   }
+  return eocd;
+};
 
-  var x = sendHttpRequest({
-    onHeadersReceived: function(getResponseHeader) {
-      var length = parseInt(getResponseHeader('Content-Length'), 10) || 0;
-      // 100k is an arbitrary threshold above the maximum EOCD record size.
-      if (length < 1e5 || getResponseHeader('Accept-Ranges') !== 'bytes') {
-        return;
+/**
+ * Readable names of compression methods, as listed in section 4.4.5 of the
+ * zip specification (APPNOTE.TXT).
+ */
+ZipInfo.compressionMethodNames = {
+  0: 'Stored',
+  1: 'Shrunk',
+  2: 'Reduced (factor 1)',
+  3: 'Reduced (factor 2)',
+  4: 'Reduced (factor 3)',
+  5: 'Reduced (factor 4)',
+  6: 'Imploded',
+  8: 'Deflated',
+  9: 'Deflate64',
+  10: 'PKWARE DCL Imploded',
+  12: 'BZIP2',
+  14: 'LZMA',
+  16: 'IBM z/OS CMPSC',
+  18: 'IBM TERSE',
+  19: 'IBM LZ77 z',
+  20: 'Zstandard (deprecated)',
+  93: 'Zstandard',
+  94: 'MP3',
+  95: 'XZ',
+  96: 'JPEG',
+  97: 'WavPack',
+  98: 'PPMd',
+  99: 'AE-x encryption',
+};
+
+/**
+ * Readable names of the host OS (the upper byte of "version made by"), as
+ * listed in section 4.4.2.2 of the zip specification (APPNOTE.TXT).
+ */
+ZipInfo.hostOSNames = {
+  0: 'MS-DOS',
+  1: 'Amiga',
+  2: 'OpenVMS',
+  3: 'UNIX',
+  4: 'VM/CMS',
+  5: 'Atari ST',
+  6: 'OS/2 HPFS',
+  7: 'Macintosh',
+  8: 'Z-System',
+  9: 'CP/M',
+  10: 'Windows NTFS',
+  11: 'MVS',
+  12: 'VSE',
+  13: 'Acorn RISC',
+  14: 'VFAT',
+  15: 'Alternate MVS',
+  16: 'BeOS',
+  17: 'Tandem',
+  18: 'OS/400',
+  19: 'OS X',
+};
+
+/**
+ * Converts a MS-DOS date and time to a Date object. MS-DOS timestamps do not
+ * have a time zone, so the result is in local time.
+ *
+ * @param {number} dosDate - bits 0-4 = day, 5-8 = month, 9-15 = year - 1980.
+ * @param {number} dosTime - bits 0-4 = seconds / 2, 5-10 = minutes,
+ *    11-15 = hours.
+ * @returns {Date}
+ */
+ZipInfo._dosDateTimeToDate = function(dosDate, dosTime) {
+  return new Date(
+    (dosDate >> 9) + 1980,
+    ((dosDate >> 5) & 0xF) - 1,
+    dosDate & 0x1F,
+    dosTime >> 11,
+    (dosTime >> 5) & 0x3F,
+    (dosTime & 0x1F) * 2);
+};
+
+/**
+ * Reads an unsigned little-endian 64-bit integer. Values above 2^53 lose
+ * precision, but no zip file is that large.
+ *
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {number}
+ */
+ZipInfo._getUint64 = function(view, offset) {
+  return view.getUint32(offset, true) +
+    view.getUint32(offset + 4, true) * 0x100000000;
+};
+
+/**
+ * Replaces the values of the record that are 0xFFFFFFFF (or 0xFFFF for the
+ * disk number) with the values from the ZIP64 extended information extra
+ * field (0x0001), if any.
+ *
+ * @param {object[]} fields - The return value of ZipInfo._splitExtraFields.
+ * @param {object} record - The uncompressedSize, compressedSize,
+ *    localHeaderOffset and diskNumberStart as stored in the record.
+ * @returns {object} The uncompressedSize, compressedSize, localHeaderOffset
+ *    and diskNumberStart.
+ */
+ZipInfo._applyZip64ExtraField = function(fields, record) {
+  var sizes = {
+    uncompressedSize: record.uncompressedSize,
+    compressedSize: record.compressedSize,
+    localHeaderOffset: record.localHeaderOffset,
+    diskNumberStart: record.diskNumberStart,
+  };
+  fields.forEach(function(field) {
+    if (field.headerId === 0x0001) {
+      var zip64 = ZipInfo._parseZip64ExtraField(field.data, record);
+      Object.keys(sizes).forEach(function(key) {
+        if (zip64[key] !== undefined) {
+          sizes[key] = zip64[key];
+        }
+      });
+    }
+  });
+  return sizes;
+};
+
+/**
+ * Returns the file name from the Info-ZIP Unicode Path extra field (0x7075),
+ * provided that the extra field belongs to the file name in the record (the
+ * file name may have been changed by a tool that does not know this field).
+ *
+ * @param {object[]} fields - The return value of ZipInfo._splitExtraFields.
+ * @param {object} record - An object with the filename (Uint8Array).
+ * @returns {string|undefined} The file name, if found.
+ */
+ZipInfo._getUnicodePath = function(fields, record) {
+  var unicodePath;
+  fields.forEach(function(field) {
+    if (field.headerId === 0x7075) {
+      var parsed = ZipInfo._parseUnicodePathExtraField(field.data);
+      if (parsed && parsed.nameCrc32 === ZipInfo._crc32(record.filename)) {
+        unicodePath = parsed.unicodeName;
       }
-      // Switch to range requests.
-      x.abort();
-      // The EOCD record size is at most 0xFFFF + 22. -1 for range request.
-      var start = length - 0xFFFF - 23;
-      sendHttpRequest({
-        rangeHeader: getRange(start, length),
-        onCompleted: function(response) {
-          if (start && response.byteLength === length) {
-            start = 0;  // Server does not seem to support range requests.
-          }
-          var entries = ZipInfo.getEntries(response, start);
-          if (entries[0].centralDirectoryStart >= start) {
-            onGotEntries(entries);
-          } else {
-            start = entries[0].centralDirectoryStart;
-            sendHttpRequest({
-              rangeHeader: getRange(start, length),
-              onCompleted: function(response) {
-                onGotEntries(ZipInfo.getEntries(response, start));
-              },
-            });
-          }
-        },
+    }
+  });
+  return unicodePath;
+};
+
+/**
+ * Computes the CRC-32 checksum of the data, as used by the zip format.
+ *
+ * @param {Uint8Array} data
+ * @param {number} [crc=0] - The CRC-32 of the preceding data, if any. This
+ *    allows the checksum to be computed incrementally.
+ * @returns {number} The CRC-32, an unsigned 32-bit integer.
+ */
+ZipInfo._crc32 = function(data, crc) {
+  var table = ZipInfo._crc32Table;
+  if (!table) {
+    table = ZipInfo._crc32Table = new Int32Array(256);
+    for (var n = 0; n < 256; ++n) {
+      var c = n;
+      for (var k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      table[n] = c;
+    }
+  }
+  crc = ~(crc || 0);
+  for (var i = 0; i < data.length; ++i) {
+    crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+};
+
+/**
+ * Splits the extra fields of a header in a list of raw extra fields.
+ *
+ * @param {Uint8Array} data
+ * @param {number} offset - The start of the extra fields.
+ * @param {number} length - The total size of the extra fields.
+ * @returns {object[]} A list of objects with the following properties:
+ * - headerId (number) - the ID of the extra field, e.g. 0x0001 for ZIP64.
+ * - data (Uint8Array) - the data of the extra field (without ID and size).
+ */
+ZipInfo._splitExtraFields = function(data, offset, length) {
+  var fields = [];
+  var end = Math.min(offset + length, data.length);
+  while (offset + 4 <= end) {
+    var headerId = data[offset] | (data[offset + 1] << 8);
+    var dataSize = data[offset + 2] | (data[offset + 3] << 8);
+    offset += 4;
+    fields.push({
+      headerId: headerId,
+      data: data.subarray(offset, Math.min(offset + dataSize, end)),
+    });
+    offset += dataSize;
+  }
+  return fields;
+};
+
+/**
+ * Decodes the extra fields using the parsers in ZipInfo.extraFieldParsers.
+ *
+ * @param {object[]} fields - The return value of ZipInfo._splitExtraFields.
+ * @param {object} record - See the second parameter of the extra field parser
+ *    in ZipInfo.registerExtraFieldParser.
+ * @returns {object[]} A list of objects with a headerId property and either
+ *    the properties of the parser's result, or a data property with the raw
+ *    data (Uint8Array) if there is no parser or if the parser failed.
+ */
+ZipInfo._decodeExtraFields = function(fields, record) {
+  return fields.map(function(field) {
+    var parser = ZipInfo.extraFieldParsers[field.headerId];
+    var decoded;
+    var error;
+    try {
+      decoded = parser && parser(field.data, record);
+    } catch (e) {
+      error = String(e);
+    }
+    var result = {headerId: field.headerId};
+    if (decoded) {
+      Object.keys(decoded).forEach(function(key) {
+        result[key] = decoded[key];
       });
-    },
-    onCompleted: function(response) {
-      onGotEntries(ZipInfo.getEntries(response));
-    },
+    } else {
+      result.data = field.data;
+      if (error) {
+        result.error = error;
+      }
+    }
+    return result;
   });
 };
+
+/**
+ * The extra field parsers, keyed by header ID. Use
+ * ZipInfo.registerExtraFieldParser to add or replace a parser.
+ */
+ZipInfo.extraFieldParsers = {};
+
+/**
+ * Registers a parser for an extra field. The result of the parser is included
+ * in the extraFields list of an entry if ZipInfo.getEntries is called with the
+ * `extraFields` option.
+ *
+ * @param {number} headerId - The header ID of the extra field (0 - 0xFFFF).
+ * @param {function} parser - The parser, or null to remove the parser. The
+ *    parser is called with the following parameters:
+ *    - data (Uint8Array) - the data of the extra field (without ID and size).
+ *    - record (object) - the fields of the central directory record as stored,
+ *      i.e. before applying the ZIP64 extra field: uncompressedSize,
+ *      compressedSize, localHeaderOffset, diskNumberStart and flags (all
+ *      numbers) and filename (Uint8Array, the raw file name).
+ *    The parser should return an object with the decoded properties, or a
+ *    falsey value if the data could not be decoded. Then (and if the parser
+ *    throws) the raw data is reported instead.
+ */
+ZipInfo.registerExtraFieldParser = function(headerId, parser) {
+  if (parser) {
+    ZipInfo.extraFieldParsers[headerId] = parser;
+  } else {
+    delete ZipInfo.extraFieldParsers[headerId];
+  }
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {DataView}
+ */
+ZipInfo._getDataView = function(data) {
+  return new DataView(data.buffer, data.byteOffset, data.length);
+};
+
+/**
+ * Reads an unsigned little-endian integer of at most 6 bytes.
+ *
+ * @param {Uint8Array} data
+ * @param {number} offset
+ * @param {number} size
+ * @returns {number}
+ */
+ZipInfo._getUintN = function(data, offset, size) {
+  var value = 0;
+  for (var i = size - 1; i >= 0; --i) {
+    value = value * 256 + data[offset + i];
+  }
+  return value;
+};
+
+/**
+ * Converts a Windows FILETIME (100-nanosecond intervals since 1601) to a Date.
+ *
+ * @param {DataView} view
+ * @param {number} offset
+ * @returns {Date}
+ */
+ZipInfo._fileTimeToDate = function(view, offset) {
+  // 11644473600000 = milliseconds between 1601-01-01 and 1970-01-01.
+  return new Date(ZipInfo._getUint64(view, offset) / 1e4 - 11644473600000);
+};
+
+// ZIP64 extended information extra field. Only the values that did not fit in
+// the record (=0xFFFFFFFF or 0xFFFF) are present, in the following order.
+ZipInfo._parseZip64ExtraField = function(data, record) {
+  var view = ZipInfo._getDataView(data);
+  var result = {};
+  var offset = 0;
+  ['uncompressedSize', 'compressedSize', 'localHeaderOffset']
+  .forEach(function(key) {
+    if (record[key] === 0xFFFFFFFF && offset + 8 <= data.length) {
+      result[key] = ZipInfo._getUint64(view, offset);
+      offset += 8;
+    }
+  });
+  if (record.diskNumberStart === 0xFFFF && offset + 4 <= data.length) {
+    result.diskNumberStart = view.getUint32(offset, true);
+  }
+  return result;
+};
+ZipInfo.registerExtraFieldParser(0x0001, ZipInfo._parseZip64ExtraField);
+
+// NTFS extra field: 4 reserved bytes, followed by attributes. Attribute 1
+// contains the modification, access and creation times.
+ZipInfo.registerExtraFieldParser(0x000a, function(data) {
+  var view = ZipInfo._getDataView(data);
+  for (var offset = 4; offset + 4 <= data.length; ) {
+    var tag = view.getUint16(offset, true);
+    var size = view.getUint16(offset + 2, true);
+    offset += 4;
+    if (tag === 1 && size >= 24 && offset + 24 <= data.length) {
+      return {
+        modified: ZipInfo._fileTimeToDate(view, offset),
+        accessed: ZipInfo._fileTimeToDate(view, offset + 8),
+        created: ZipInfo._fileTimeToDate(view, offset + 16),
+      };
+    }
+    offset += size;
+  }
+});
+
+// Extended timestamp extra field: a flag byte, followed by the times (Unix
+// time in seconds) whose flag is set. The central directory usually only
+// contains the modification time, even if the other flags are set.
+ZipInfo.registerExtraFieldParser(0x5455, function(data) {
+  if (!data.length) {
+    return;
+  }
+  var view = ZipInfo._getDataView(data);
+  var result = {};
+  var offset = 1;
+  ['modified', 'accessed', 'created'].forEach(function(key, i) {
+    if ((data[0] & (1 << i)) && offset + 4 <= data.length) {
+      result[key] = new Date(view.getInt32(offset, true) * 1000);
+      offset += 4;
+    }
+  });
+  return result;
+});
+
+// Info-ZIP Unicode Path extra field: version (1), CRC-32 of the file name in
+// the record, and the UTF-8 encoded file name.
+// ZipInfo._getUnicodePath uses this parser directly, so that it does not
+// depend on the (replaceable) registered parser.
+ZipInfo._parseUnicodePathExtraField = function(data) {
+  if (data.length < 5 || data[0] !== 1) {
+    return;
+  }
+  return {
+    version: data[0],
+    nameCrc32: ZipInfo._getDataView(data).getUint32(1, true),
+    unicodeName: ZipInfo._decodeFilename(data.subarray(5), 'utf-8'),
+  };
+};
+ZipInfo.registerExtraFieldParser(0x7075,
+  ZipInfo._parseUnicodePathExtraField);
+
+// Info-ZIP UNIX extra field (type 3): version (1), then UID and GID, each
+// preceded by their size.
+ZipInfo.registerExtraFieldParser(0x7875, function(data) {
+  if (data.length < 2 || data[0] !== 1) {
+    return;
+  }
+  var uidSize = data[1];
+  if (uidSize > 6 || 3 + uidSize > data.length) {
+    return;
+  }
+  var gidSize = data[2 + uidSize];
+  if (gidSize > 6 || 3 + uidSize + gidSize > data.length) {
+    return;
+  }
+  return {
+    version: data[0],
+    uid: ZipInfo._getUintN(data, 2, uidSize),
+    gid: ZipInfo._getUintN(data, 3 + uidSize, gidSize),
+  };
+});
+
+// WinZip AES extra field: vendor version (1 = AE-1, 2 = AE-2), vendor ID
+// ("AE"), encryption strength and the actual compression method.
+// ZipInfo._getEncryption uses this parser and the parser of the strong
+// encryption header directly, so that it does not depend on the (replaceable)
+// registered parsers.
+ZipInfo._parseAesExtraField = function(data) {
+  if (data.length < 7) {
+    return;
+  }
+  var view = ZipInfo._getDataView(data);
+  return {
+    vendorVersion: view.getUint16(0, true),
+    vendorId: String.fromCharCode(data[2], data[3]),
+    // 1 = 128-bit, 2 = 192-bit, 3 = 256-bit.
+    keyStrength: [0, 128, 192, 256][data[4]] || 0,
+    compressionMethod: view.getUint16(5, true),
+  };
+};
+ZipInfo.registerExtraFieldParser(0x9901, ZipInfo._parseAesExtraField);
+
+// Strong encryption header extra field: format (2), algorithm ID, key size in
+// bits, processing flags and certificate data.
+ZipInfo._parseStrongEncryptionExtraField = function(data) {
+  if (data.length < 8) {
+    return;
+  }
+  var view = ZipInfo._getDataView(data);
+  return {
+    format: view.getUint16(0, true),
+    algorithmId: view.getUint16(2, true),
+    keyStrength: view.getUint16(4, true),
+    processingFlags: view.getUint16(6, true),
+  };
+};
+ZipInfo.registerExtraFieldParser(0x0017,
+  ZipInfo._parseStrongEncryptionExtraField);
+
+/**
+ * Readable names of the encryption algorithms of PKWARE strong encryption, as
+ * listed in section 7.2.3.2 of the zip specification (APPNOTE.TXT).
+ */
+ZipInfo.encryptionAlgorithmNames = {
+  0x6601: 'DES',
+  0x6602: 'RC2',
+  0x6603: '3DES-168',
+  0x6609: '3DES-112',
+  0x660E: 'AES-128',
+  0x660F: 'AES-192',
+  0x6610: 'AES-256',
+  0x6702: 'RC2',
+  0x6720: 'Blowfish',
+  0x6721: 'Twofish',
+  0x6801: 'RC4',
+};
+
+/**
+ * Determines the encryption scheme of an entry.
+ *
+ * @param {number} flags - The general purpose bit flag.
+ * @param {number} compressionMethod
+ * @param {object[]} fields - The return value of ZipInfo._splitExtraFields.
+ * @returns {object|null} See the encryption property in ZipInfo.getEntries.
+ */
+ZipInfo._getEncryption = function(flags, compressionMethod, fields) {
+  if (!(flags & 1)) {
+    return null;
+  }
+  function parseField(headerId, parser) {
+    var parsed;
+    fields.forEach(function(field) {
+      if (field.headerId === headerId && !parsed) {
+        parsed = parser(field.data);
+      }
+    });
+    return parsed;
+  }
+  var encryption;
+  var aes = compressionMethod === 99 &&
+    parseField(0x9901, ZipInfo._parseAesExtraField);
+  if (aes) {
+    encryption = {
+      scheme: 'aes',
+      name: aes.keyStrength ? 'AES-' + aes.keyStrength : 'AES',
+      keyStrength: aes.keyStrength,
+      compressionMethod: aes.compressionMethod,
+      compressionMethodName:
+        ZipInfo.compressionMethodNames[aes.compressionMethod] ||
+        'Unknown (' + aes.compressionMethod + ')',
+    };
+  } else if (flags & 0x40) {
+    encryption = {
+      scheme: 'strong',
+      name: 'Strong encryption',
+    };
+    var header = parseField(0x0017, ZipInfo._parseStrongEncryptionExtraField);
+    if (header) {
+      var algorithmName = ZipInfo.encryptionAlgorithmNames[header.algorithmId];
+      if (algorithmName) {
+        encryption.name += ' (' + algorithmName + ')';
+      }
+      encryption.keyStrength = header.keyStrength;
+      encryption.algorithmId = header.algorithmId;
+    }
+  } else {
+    encryption = {
+      scheme: 'traditional',
+      name: 'Traditional PKWARE encryption',
+    };
+  }
+  encryption.maskedLocalHeader = !!(flags & 0x2000);
+  return encryption;
+};
+
+// The characters 0x80 - 0xFF of IBM code page 437, the encoding of file names
+// and comments in zip files, unless bit 11 of the general purpose flag is set.
+ZipInfo._cp437 =
+  '\u00C7\u00FC\u00E9\u00E2\u00E4\u00E0\u00E5\u00E7\u00EA\u00EB\u00E8\u00EF' +
+  '\u00EE\u00EC\u00C4\u00C5\u00C9\u00E6\u00C6\u00F4\u00F6\u00F2\u00FB\u00F9' +
+  '\u00FF\u00D6\u00DC\u00A2\u00A3\u00A5\u20A7\u0192\u00E1\u00ED\u00F3\u00FA' +
+  '\u00F1\u00D1\u00AA\u00BA\u00BF\u2310\u00AC\u00BD\u00BC\u00A1\u00AB\u00BB' +
+  '\u2591\u2592\u2593\u2502\u2524\u2561\u2562\u2556\u2555\u2563\u2551\u2557' +
+  '\u255D\u255C\u255B\u2510\u2514\u2534\u252C\u251C\u2500\u253C\u255E\u255F' +
+  '\u255A\u2554\u2569\u2566\u2560\u2550\u256C\u2567\u2568\u2564\u2565\u2559' +
+  '\u2558\u2552\u2553\u256B\u256A\u2518\u250C\u2588\u2584\u258C\u2590\u2580' +
+  '\u03B1\u00DF\u0393\u03C0\u03A3\u03C3\u00B5\u03C4\u03A6\u0398\u03A9\u03B4' +
+  '\u221E\u03C6\u03B5\u2229\u2261\u00B1\u2265\u2264\u2320\u2321\u00F7\u2248' +
+  '\u00B0\u2219\u00B7\u221A\u207F\u00B2\u25A0\u00A0';
+
+/**
+ * @param {Uint8Array} filename
+ * @param {string} utfLabel - The encoding label. 'cp437' (and 'ibm437') are
+ *    supported even if TextDecoder or Buffer does not support them.
+ */
+ZipInfo._decodeFilename = function(filename, utfLabel) {
+  if (/^(cp|ibm)437$/i.test(utfLabel)) {
+    var result = '';
+    for (var i = 0; i < filename.length; ++i) {
+      result += filename[i] < 0x80 ? String.fromCharCode(filename[i]) :
+        ZipInfo._cp437[filename[i] - 0x80];
+    }
+    return result;
+  }
+  if (typeof TextDecoder == 'function') {
+    return new TextDecoder(utfLabel).decode(filename);
+  }
+  return new Buffer(filename).toString(utfLabel);  // Node.js
+};
+
+/**
+ * Reports the metadata of a zip file, by reading as little data as possible
+ * from the reader: first the part that contains the EOCD record at the end of
+ * the file, and then (if needed) the data before it, up to the start of the
+ * central directory.
+ *
+ * @param {object|Promise} reader - An object with the following properties,
+ *    or a Promise that resolves to such an object:
+ *    - size (number) - the size of the zip file.
+ *    - read (function) - takes an offset and a length, and returns a
+ *      Uint8Array (or a Promise of one) with the data at the given offset.
+ *    See ZipInfo.createBlobReader and ZipInfo.createFileHandleReader.
+ * @param {object} [options] - The options for ZipInfo.getEntries, and:
+ *    - signal (AbortSignal) - Stops reading when triggered.
+ * @returns {Promise} A Promise that resolves with the return value of
+ *    ZipInfo.getEntries. The Promise is rejected with a ZipInfo.AbortError if
+ *    the signal is triggered, a ZipInfo.InvalidZipError if the data is not a
+ *    zip file, or the error from the reader if reading fails.
+ */
+ZipInfo.getEntriesFromReader = function(reader, options) {
+  var signal = options && options.signal;
+  return ZipInfo._readZipEnd(reader, signal).then(function(result) {
+    var entries = ZipInfo.getEntries(result.data, result.start, options);
+    if (ZipInfo._findEocd(result.data) === -1) {
+      throw new ZipInfo.InvalidZipError('The data is not a zip file', entries);
+    }
+    return entries;
+  });
+};
+
+/**
+ * Lists the files in a zip file one by one, like ZipInfo.getEntriesFromReader,
+ * but the central directory is read in chunks, and entries are available as
+ * soon as the chunk that contains them has been read. This allows a viewer to
+ * show the first entries of an archive with a huge central directory before
+ * the whole central directory has been read, and to stop reading early.
+ *
+ * @param {object|Promise|Uint8Array} reader - See
+ *    ZipInfo.getEntriesFromReader. A Uint8Array (the full zip file) is also
+ *    accepted.
+ * @param {object} [options] - The options for ZipInfo.getEntries (except for
+ *    `recover`), and:
+ *    - maxEntries (number) - the maximum number of entries (not counting the
+ *      artificial '/' entry). Defaults to no limit.
+ *    - chunkSize (number) - the maximum number of bytes of the central
+ *      directory per read. Defaults to 0x40000 (256 KB).
+ *    - signal (AbortSignal) - Stops reading when triggered.
+ * @returns {object} An async iterator: an object with a `next` method that
+ *    returns a Promise that resolves with an object with `done` (boolean) and
+ *    `value` (the entry) properties. The iterator can also be used in
+ *    for-await-of loops in environments that support Symbol.asyncIterator.
+ *    The first entry is the artificial '/' entry (without the encryption
+ *    summary of the `verbose` option). The Promise is rejected with the
+ *    errors of ZipInfo.getEntriesFromReader.
+ */
+ZipInfo.iterateEntriesFromReader = function(reader, options) {
+  var signal = options && options.signal;
+  var chunkSize = options && options.chunkSize || 0x40000;
+  var entriesLeft = ZipInfo._getMaxEntries(options);
+  // The entries that have been parsed, but not returned yet.
+  var queue = [];
+  var queueIndex = 0;
+  var finished = false;
+  // Parses more entries and adds them to the queue. Returns a Promise, or
+  // undefined if the entries were parsed synchronously.
+  var parseMore = null;
+  var pending = Promise.resolve();
+
+  function checkAborted() {
+    if (signal && signal.aborted) {
+      throw new ZipInfo.AbortError('The operation was aborted');
+    }
+  }
+
+  function read(offset, length) {
+    checkAborted();
+    return ZipInfo._readFromSource(reader, offset, length).then(function(data) {
+      checkAborted();
+      if (data.length !== length) {
+        throw new Error('Unexpected end of data');
+      }
+      return data;
+    });
+  }
+
+  function concat(a, b) {
+    var combined = new Uint8Array(a.length + b.length);
+    combined.set(a, 0);
+    combined.set(b, a.length);
+    return combined;
+  }
+
+  // Parses the central directory in the data at the end of the zip file.
+  function parseTail(tail, start) {
+    var parser = ZipInfo._createEntryParser(tail, start, options);
+    queue.push(parser.root);
+    parseMore = function() {
+      var entry = entriesLeft > 0 && parser.next();
+      if (entry) {
+        --entriesLeft;
+        queue.push(entry);
+      } else {
+        finished = true;
+      }
+    };
+  }
+
+  // Reads the central directory in chunks, starting at centralDirectoryStart
+  // (before `start`), up to centralDirectoryEnd.
+  function parseChunks(tail, start, eocd, prefixLength) {
+    var centralDirectoryStart = eocd.centralDirectoryStart + prefixLength;
+    var centralDirectoryEnd =
+      start + (eocd.zip64Offset === -1 ? eocd.offset : eocd.zip64Offset);
+    var recordsLeft = eocd.entriesOnDisk;
+    // The unparsed data of the central directory.
+    var buffer = new Uint8Array(0);
+    var bufferStart = centralDirectoryStart;
+
+    queue.push(ZipInfo._createRootEntry(tail, start, eocd, prefixLength,
+      options));
+    parseMore = function() {
+      var view = ZipInfo._getDataView(buffer);
+      var offset = 0;
+      while (recordsLeft > 0 && entriesLeft > 0 &&
+          offset + 46 <= buffer.length) {
+        if (view.getUint32(offset) !== 0x504b0102) {
+          recordsLeft = 0;
+          break;
+        }
+        var size = ZipInfo._getCentralDirectoryRecordSize(view, offset);
+        if (offset + size > buffer.length) {
+          break;
+        }
+        queue.push(ZipInfo._parseCentralDirectoryRecord(buffer, view, offset,
+          prefixLength, options));
+        --recordsLeft;
+        --entriesLeft;
+        offset += size;
+      }
+      buffer = buffer.subarray(offset);
+      bufferStart += offset;
+      var bufferEnd = bufferStart + buffer.length;
+      if (recordsLeft <= 0 || entriesLeft <= 0 ||
+          bufferEnd >= centralDirectoryEnd) {
+        finished = true;
+        return;
+      }
+      if (queueIndex < queue.length) {
+        return;
+      }
+      var chunk = bufferEnd >= start ?
+        Promise.resolve(tail.subarray(bufferEnd - start,
+          centralDirectoryEnd - start)) :
+        read(bufferEnd, Math.min(chunkSize, start - bufferEnd));
+      return chunk.then(function(data) {
+        buffer = concat(buffer, data);
+        return parseMore();
+      });
+    };
+  }
+
+  // Detects data before the zip file, like ZipInfo._getPrefixLength, when the
+  // central directory starts before the data at the end of the zip file.
+  function getPrefixLength(start, eocd) {
+    var claimed = eocd.centralDirectoryStart;
+    var actual = start + (eocd.zip64Offset === -1 ? eocd.offset :
+      eocd.zip64Offset) - eocd.centralDirectorySize;
+    if (actual <= claimed) {
+      return Promise.resolve(0);
+    }
+    function isCentralDirectoryAt(offset) {
+      return read(offset, 4).then(function(data) {
+        return ZipInfo._getDataView(data).getUint32(0) === 0x504b0102;
+      });
+    }
+    return isCentralDirectoryAt(actual).then(function(found) {
+      return found && isCentralDirectoryAt(claimed).then(function(valid) {
+        return valid ? 0 : actual - claimed;
+      });
+    }).then(function(prefixLength) {
+      return prefixLength || 0;
+    });
+  }
+
+  function init(tail, start) {
+    var eocd = ZipInfo._readEocd(tail, start);
+    if (!eocd) {
+      throw new ZipInfo.InvalidZipError('The data is not a zip file',
+        ZipInfo.getEntries(tail, start, options));
+    }
+    if (!eocd.complete && eocd.centralDirectoryStart < start) {
+      // The ZIP64 EOCD record is not in the data yet. The start offset
+      // decreases with every read, so this eventually terminates.
+      return read(eocd.centralDirectoryStart,
+          start - eocd.centralDirectoryStart).then(function(head) {
+        return init(concat(head, tail), eocd.centralDirectoryStart);
+      });
+    }
+    var centralDirectoryEnd =
+      start + (eocd.zip64Offset === -1 ? eocd.offset : eocd.zip64Offset);
+    if (!eocd.complete || eocd.centralDirectoryStart >= start ||
+        centralDirectoryEnd - eocd.centralDirectorySize >= start) {
+      // The central directory is in the data (or the zip file is malformed).
+      parseTail(tail, start);
+      return;
+    }
+    return getPrefixLength(start, eocd).then(function(prefixLength) {
+      parseChunks(tail, start, eocd, prefixLength);
+    });
+  }
+
+  function step() {
+    checkAborted();
+    if (!parseMore) {
+      return Promise.resolve(reader).then(function(r) {
+        reader = r instanceof Uint8Array ? ZipInfo._createArrayReader(r) : r;
+        // The EOCD record size is at most 0xFFFF + 22.
+        var start = Math.max(0, reader.size - 0xFFFF - 22);
+        return read(start, reader.size - start).then(function(tail) {
+          return init(tail, start);
+        });
+      });
+    }
+    if (queueIndex === queue.length && !finished) {
+      queue = [];
+      queueIndex = 0;
+      return parseMore();
+    }
+  }
+
+  var iterator = {
+    next: function() {
+      pending = pending.then(step).then(function() {
+        if (queueIndex < queue.length) {
+          var entry = queue[queueIndex];
+          queue[queueIndex++] = null;
+          return {done: false, value: entry};
+        }
+        finished = true;
+        return {done: true, value: undefined};
+      });
+      return pending;
+    },
+    'return': function() {
+      finished = true;
+      queue = [];
+      queueIndex = 0;
+      return Promise.resolve({done: true, value: undefined});
+    },
+  };
+  if (typeof Symbol == 'function' && Symbol.asyncIterator) {
+    iterator[Symbol.asyncIterator] = function() {
+      return iterator;
+    };
+  }
+  return iterator;
+};
+
+/**
+ * Reads the end of a zip file, starting at the central directory (or at the
+ * EOCD record, if the data does not look like a zip file).
+ *
+ * @param {object|Promise} reader - See ZipInfo.getEntriesFromReader.
+ * @param {AbortSignal} [signal] - Stops reading when triggered.
+ * @returns {Promise} A Promise that resolves with an object with the following
+ *    properties: data (Uint8Array), start (the offset of data in the zip file)
+ *    and reader (the reader, after resolving the reader Promise).
+ */
+ZipInfo._readZipEnd = function(reader, signal) {
+  function checkAborted() {
+    if (signal && signal.aborted) {
+      throw new ZipInfo.AbortError('The operation was aborted');
+    }
+  }
+
+  function read(offset, length) {
+    checkAborted();
+    return ZipInfo._readFromSource(reader, offset, length).then(function(data) {
+      checkAborted();
+      if (data.length !== length) {
+        throw new Error('Unexpected end of data');
+      }
+      return data;
+    });
+  }
+
+  function readFromCentralDirectory(data, start) {
+    var eocd = ZipInfo._readEocd(data, start);
+    var centralDirectoryStart = eocd ? eocd.centralDirectoryStart : start;
+    if (centralDirectoryStart >= start) {
+      return {data: data, start: start, reader: reader};
+    }
+    // Only read the missing data. The start offset decreases with every read,
+    // so this eventually terminates.
+    return read(centralDirectoryStart, start - centralDirectoryStart)
+    .then(function(head) {
+      var combined = new Uint8Array(head.length + data.length);
+      combined.set(head, 0);
+      combined.set(data, head.length);
+      return readFromCentralDirectory(combined, centralDirectoryStart);
+    });
+  }
+
+  return Promise.resolve(reader).then(function(r) {
+    reader = r;
+    // The EOCD record size is at most 0xFFFF + 22.
+    var start = Math.max(0, reader.size - 0xFFFF - 22);
+    return read(start, reader.size - start).then(function(data) {
+      return readFromCentralDirectory(data, start);
+    });
+  });
+};
+
+/**
+ * Creates a reader for ZipInfo.getEntriesFromReader and ZipInfo.readEntryData
+ * from a Blob (or File), e.g. from <input type=file>.
+ *
+ * @param {Blob} blob
+ * @returns {object} The reader.
+ */
+ZipInfo.createBlobReader = function(blob) {
+  return {
+    size: blob.size,
+    read: function(offset, length) {
+      var slice = blob.slice(offset, offset + length);
+      if (typeof slice.arrayBuffer == 'function') {
+        return slice.arrayBuffer().then(function(buffer) {
+          return new Uint8Array(buffer);
+        });
+      }
+      return new Promise(function(resolve, reject) {
+        var fileReader = new FileReader();
+        fileReader.onload = function() {
+          resolve(new Uint8Array(fileReader.result));
+        };
+        fileReader.onerror = function() {
+          reject(fileReader.error);
+        };
+        fileReader.readAsArrayBuffer(slice);
+      });
+    },
+  };
+};
+
+/**
+ * Creates a reader for ZipInfo.getEntriesFromReader and ZipInfo.readEntryData
+ * from a Node.js FileHandle (from fs.promises.open).
+ *
+ * @param {FileHandle} fileHandle
+ * @returns {Promise} A Promise that resolves with the reader. The read method
+ *    of the reader returns a Promise. The returned Promise can be passed to
+ *    ZipInfo.getEntriesFromReader and ZipInfo.readEntryData directly.
+ */
+ZipInfo.createFileHandleReader = function(fileHandle) {
+  function read(offset, length) {
+    var data = new Uint8Array(length);
+    function readMore(bytesReadSoFar) {
+      if (bytesReadSoFar >= length) {
+        return data;
+      }
+      return fileHandle.read(data, bytesReadSoFar, length - bytesReadSoFar,
+        offset + bytesReadSoFar).then(function(result) {
+          if (!result.bytesRead) {
+            return data.subarray(0, bytesReadSoFar);  // End of file.
+          }
+          return readMore(bytesReadSoFar + result.bytesRead);
+        });
+    }
+    return readMore(0);
+  }
+  return fileHandle.stat().then(function(stats) {
+    return {
+      size: stats.size,
+      read: read,
+    };
+  });
+};
+
+/**
+ * Creates a reader for ZipInfo.getEntriesFromReader and ZipInfo.readEntryData
+ * that fetches data with HTTP range requests. If the server does not support
+ * range requests, the whole file is downloaded once.
+ *
+ * @param {function} sendHttpRequest - See ZipInfo.runGetEntriesOverHttp.
+ * @returns {Promise} A Promise that resolves with the reader, or rejects with
+ *    the error of the initial request. If the file has changed since the
+ *    reader was created, read rejects with a ZipInfo.RequestError whose
+ *    fileChanged property is true.
+ */
+ZipInfo.createHttpReader = function(sendHttpRequest) {
+  function toRequestError(error) {
+    if (error instanceof ZipInfo.RequestError) {
+      return error;
+    }
+    return new ZipInfo.RequestError(String(error.message || error));
+  }
+
+  // validator is the value for the If-Range request header, if any.
+  function createRangeReader(size, validator) {
+    return {
+      size: size,
+      read: function(offset, length) {
+        length = Math.max(0, Math.min(length, size - offset));
+        if (!length) {
+          return new Uint8Array(0);
+        }
+        var end = offset + length - 1;
+        return new Promise(function(resolve, reject) {
+          sendHttpRequest({
+            rangeHeader: 'bytes=' + offset + '-' + end,
+            ifRangeHeader: validator,
+            onCompleted: function(response, error, responseInfo) {
+              if (error) {
+                reject(toRequestError(error));
+              } else if (ZipInfo._isFullHttpResponse(response, responseInfo,
+                  size)) {
+                // The server ignored the Range header (then the validator
+                // is unchanged), or the file has changed since the first
+                // request (If-Range).
+                if (response.length !== size || validator && responseInfo &&
+                    ZipInfo._getHttpValidator(
+                      responseInfo.getResponseHeader) !== validator) {
+                  var changedError =
+                    new ZipInfo.RequestError('The file has changed');
+                  changedError.fileChanged = true;
+                  reject(changedError);
+                } else {
+                  resolve(response.subarray(offset, end + 1));
+                }
+              } else {
+                var problem = responseInfo && ZipInfo._getContentRangeError(
+                  response, responseInfo, offset, end, size);
+                if (problem) {
+                  reject(new ZipInfo.RequestError(problem));
+                } else {
+                  resolve(response);
+                }
+              }
+            },
+          });
+        });
+      },
+    };
+  }
+
+  return new Promise(function(resolve, reject) {
+    var request = sendHttpRequest({
+      onHeadersReceived: function(getResponseHeader) {
+        var length = parseInt(getResponseHeader('Content-Length'), 10);
+        if (length >= 0 && getResponseHeader('Accept-Ranges') === 'bytes') {
+          // Switch to range requests.
+          request.abort();
+          resolve(createRangeReader(length,
+            ZipInfo._getHttpValidator(getResponseHeader)));
+        }
+      },
+      onCompleted: function(response, error) {
+        if (error) {
+          reject(toRequestError(error));
+        } else {
+          resolve(ZipInfo._createArrayReader(response));
+        }
+      },
+    });
+  });
+};
+
+/**
+ * @param {Uint8Array} data
+ * @returns {object} A reader for ZipInfo.getEntriesFromReader.
+ */
+ZipInfo._createArrayReader = function(data) {
+  return {
+    size: data.length,
+    read: function(offset, length) {
+      return data.subarray(offset, offset + length);
+    },
+  };
+};
+
+/**
+ * Reads the (uncompressed) data of an entry. Only stored (0) and deflated (8)
+ * entries are supported, and the CRC-32 and size of the data are verified.
+ *
+ * @param {object} entry - An entry from ZipInfo.getEntries, called with the
+ *    `verbose` option (e.g. localHeaderOffset and compressionMethod are used).
+ * @param {Uint8Array|object|Promise} source - The zip file. Either the full
+ *    zip file as a Uint8Array, or a reader (or a Promise of a reader, e.g.
+ *    from ZipInfo.createFileHandleReader): an object with a read method that
+ *    takes an offset and a length, and returns a Uint8Array (or a Promise of
+ *    one) with the data at the given offset in the zip file.
+ * @returns {Promise} A Promise that resolves with the data (Uint8Array), or
+ *    rejects with an Error if the data cannot be read.
+ */
+ZipInfo.readEntryData = function(entry, source) {
+  var offset = entry.localHeaderOffset;
+  if (typeof offset != 'number' || typeof entry.compressionMethod != 'number') {
+    return Promise.reject(new Error('Entry has no localHeaderOffset or ' +
+      'compressionMethod. Use ZipInfo.getEntries with the verbose option.'));
+  }
+  if (entry.flags & 1) {
+    return Promise.reject(new Error('Entry is encrypted: ' + entry.filename));
+  }
+  if (entry.compressionMethod !== 0 && entry.compressionMethod !== 8) {
+    return Promise.reject(new Error('Unsupported compression method: ' +
+      entry.compressionMethodName + ' (' + entry.compressionMethod + ')'));
+  }
+  return ZipInfo._readFromSource(source, offset, 30).then(function(header) {
+    var view = ZipInfo._getDataView(header);
+    if (header.length < 30 || view.getUint32(0) !== 0x504b0304) {
+      throw new Error('No local file header at offset ' + offset);
+    }
+    // The sizes in the local file header may be 0 (when a data descriptor is
+    // used) or 0xFFFFFFFF (ZIP64), so use the sizes from the central directory.
+    var dataStart = offset + 30 + view.getUint16(26, true) +
+      view.getUint16(28, true);
+    return ZipInfo._readFromSource(source, dataStart, entry.compressedSize);
+  }).then(function(data) {
+    if (data.length !== entry.compressedSize) {
+      throw new Error('Unexpected end of data');
+    }
+    return entry.compressionMethod === 8 ?
+      ZipInfo._inflateRaw(data, entry.uncompressedSize) : data;
+  }).then(function(data) {
+    if (data.length !== entry.uncompressedSize) {
+      throw new Error('Size mismatch: expected ' + entry.uncompressedSize +
+        ' bytes, got ' + data.length + ' bytes');
+    }
+    if (ZipInfo._crc32(data) !== entry.crc32) {
+      throw new Error('CRC-32 mismatch: ' + entry.filename);
+    }
+    return data;
+  });
+};
+
+/**
+ * @param {Uint8Array|object} source - See ZipInfo.readEntryData.
+ * @param {number} offset
+ * @param {number} length
+ * @returns {Promise} A Promise that resolves with a Uint8Array, which may be
+ *    shorter than `length` if the end of the source was reached.
+ */
+ZipInfo._readFromSource = function(source, offset, length) {
+  if (source instanceof Uint8Array) {
+    return Promise.resolve(source.subarray(offset, offset + length));
+  }
+  // source may be a Promise of a reader, e.g. from
+  // ZipInfo.createFileHandleReader.
+  return Promise.resolve(source).then(function(reader) {
+    return reader.read(offset, length);
+  });
+};
+
+/**
+ * @returns {object|null} The zlib module in Node.js, null otherwise.
+ */
+ZipInfo._getZlib = function() {
+  if (typeof process == 'object' && process.versions &&
+      process.versions.node && typeof require == 'function') {
+    return require('zlib');
+  }
+  return null;
+};
+
+/**
+ * Decompresses raw deflate data, with zlib in Node.js and DecompressionStream
+ * in browsers.
+ *
+ * @param {Uint8Array} data
+ * @param {number} [maxLength] - The maximum size of the decompressed data.
+ *    Decompression stops as soon as the output exceeds this size, so that
+ *    small data that inflates to gigabytes does not exhaust the memory.
+ * @returns {Promise} A Promise that resolves with a Uint8Array, or rejects if
+ *    the data is invalid or exceeds maxLength.
+ */
+ZipInfo._inflateRaw = function(data, maxLength) {
+  var hasMaxLength = typeof maxLength == 'number';
+  function createTooLargeError() {
+    return new Error('Inflated data exceeds ' + maxLength + ' bytes');
+  }
+  var zlib = ZipInfo._getZlib();
+  if (zlib) {
+    return new Promise(function(resolve, reject) {
+      var options = {};
+      if (hasMaxLength) {
+        // zlib requires at least 1. Larger output is rejected by the caller.
+        options.maxOutputLength = Math.max(1, maxLength);
+      }
+      zlib.inflateRaw(data, options, function(error, result) {
+        if (error) {
+          reject(error.code === 'ERR_BUFFER_TOO_LARGE' ?
+            createTooLargeError() :
+            new Error('Invalid deflate data: ' + error.message));
+        } else if (hasMaxLength && result.length > maxLength) {
+          reject(createTooLargeError());
+        } else {
+          resolve(new Uint8Array(result.buffer, result.byteOffset,
+            result.length));
+        }
+      });
+    });
+  }
+  if (typeof DecompressionStream != 'function') {
+    return Promise.reject(new Error('DecompressionStream is not supported'));
+  }
+  var stream = new DecompressionStream('deflate-raw');
+  var writer = stream.writable.getWriter();
+  // Errors are reported via the readable side of the stream.
+  writer.write(data).catch(function() {});
+  writer.close().catch(function() {});
+  var reader = stream.readable.getReader();
+  var chunks = [];
+  var length = 0;
+  function readChunks() {
+    return reader.read().then(function(result) {
+      if (result.done) {
+        var output = new Uint8Array(length);
+        var offset = 0;
+        chunks.forEach(function(chunk) {
+          output.set(chunk, offset);
+          offset += chunk.length;
+        });
+        return output;
+      }
+      length += result.value.length;
+      if (hasMaxLength && length > maxLength) {
+        reader.cancel().catch(function() {});
+        throw createTooLargeError();
+      }
+      chunks.push(result.value);
+      return readChunks();
+    }, function(error) {
+      throw new Error('Invalid deflate data: ' + error.message);
+    });
+  }
+  return readChunks();
+};
+
+/**
+ * Creates a constructor for a custom error type.
+ *
+ * @param {string} name - The name of the error type.
+ * @param {function} [init] - Called with the error as `this` and the arguments
+ *    of the constructor, after the message has been set.
+ * @returns {function} The constructor. Its instances inherit from Error.
+ */
+ZipInfo._createErrorType = function(name, init) {
+  var ErrorType = function(message) {
+    this.message = message;
+    if (typeof Error.captureStackTrace == 'function') {
+      Error.captureStackTrace(this, ErrorType);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+    if (init) {
+      init.apply(this, arguments);
+    }
+  };
+  ErrorType.prototype = Object.create(Error.prototype);
+  ErrorType.prototype.constructor = ErrorType;
+  ErrorType.prototype.name = name;
+  return ErrorType;
+};
+
+/**
+ * The error for operations that were aborted via an AbortSignal.
+ */
+ZipInfo.AbortError = ZipInfo._createErrorType('AbortError');
+
+/**
+ * The error for failed requests, e.g. network errors or HTTP error statuses.
+ * The `status` property is the HTTP status code (0 if unknown).
+ */
+ZipInfo.RequestError = ZipInfo._createErrorType('RequestError',
+  function(message, status) {
+    this.status = status || 0;
+  });
+
+/**
+ * The error for responses that do not look like zip files, i.e. without an
+ * EOCD record. The `entries` property is the result of ZipInfo.getEntries.
+ */
+ZipInfo.InvalidZipError = ZipInfo._createErrorType('InvalidZipError',
+  function(message, entries) {
+    this.entries = entries;
+  });
+
+/**
+ * Fetches the list of files in a zip file using the HTTP protocol (http/https).
+ *
+ * @param {function} sendHttpRequest - The method to fetch the initial data.
+ *  This callback is passed an object with the following properties:
+ *  - rangeHeader - An optional string. If not falsey, the "Range" request
+ *    header must be set on the request with this value.
+ *  - ifRangeHeader - An optional string. If not falsey, the "If-Range" request
+ *    header must be set on the request with this value.
+ *  - ifNoneMatchHeader, ifModifiedSinceHeader - Optional strings. If not
+ *    falsey, the "If-None-Match" and "If-Modified-Since" request headers must
+ *    be set on the request with these values. A 304 (Not Modified) response is
+ *    not an error.
+ *  - onHeadersReceived - This method should be called when the headers become
+ *    available. Calling this is recommended but not required. The callback
+ *    should be passed a function that returns a header for a given header name,
+ *    or a falsey value if the header is unavailable, and the HTTP status code
+ *    (optional).
+ *  - onCompleted - This method must be called when the request finishes, UNLESS
+ *    the request is explicitly aborted. The callback should be called with a
+ *    Uint8Array of the response (which may be empty if an error has occurred).
+ *    If the request failed (e.g. a network error or a HTTP error status), then
+ *    an error should be passed as the second parameter, preferably a
+ *    ZipInfo.RequestError. If a response was received, an object with the
+ *    following properties should be passed as the third parameter:
+ *    - status (number) - the HTTP status code, e.g. 206.
+ *    - getResponseHeader (function) - see onHeadersReceived.
+ *    This is needed to validate responses to range requests (the status code
+ *    and the Content-Range header). Without it, the length of the response is
+ *    used to guess whether the server honored the Range request header.
+ *  The method must return an object with the "abort" method, which cancels the
+ *  request.
+ * @param {function} onGotEntries - Called when all request finish. The method
+ *  is called with a single argument, the return value of ZipInfo.getEntries.
+ *  Errors are not reported; use ZipInfo.getEntriesOverHttp to detect errors.
+ */
+ZipInfo.runGetEntriesOverHttp = function(sendHttpRequest, onGotEntries) {
+  ZipInfo._runGetEntriesOverHttp(sendHttpRequest, null,
+    function(error, entries) {
+      onGotEntries(entries);
+    });
+};
+
+/**
+ * Fetches the list of files in a zip file using the HTTP protocol (http/https).
+ * This is the Promise-based version of ZipInfo.runGetEntriesOverHttp.
+ *
+ * @param {function} sendHttpRequest - See ZipInfo.runGetEntriesOverHttp.
+ * @param {object} [options] - The options for ZipInfo.getEntries, and:
+ *  - signal (AbortSignal) - Aborts all pending requests when triggered.
+ * @returns {Promise} A Promise that resolves with the return value of
+ *  ZipInfo.getEntries. The Promise is rejected with a ZipInfo.AbortError if
+ *  the signal is triggered, a ZipInfo.RequestError if a request fails, or a
+ *  ZipInfo.InvalidZipError if the response is not a zip file.
+ */
+ZipInfo.getEntriesOverHttp = function(sendHttpRequest, options) {
+  var signal = options && options.signal;
+  return new Promise(function(resolve, reject) {
+    if (signal && signal.aborted) {
+      reject(new ZipInfo.AbortError('The operation was aborted'));
+      return;
+    }
+    var task = ZipInfo._runGetEntriesOverHttp(sendHttpRequest, options,
+      function(error, entries) {
+        if (signal) {
+          signal.removeEventListener('abort', onAbort);
+        }
+        if (error) {
+          reject(error);
+        } else {
+          resolve(entries);
+        }
+      });
+    function onAbort() {
+      task.abort();
+    }
+    if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+};
+
+/**
+ * The implementation of ZipInfo.getRemoteEntriesAsync of the transports.
+ *
+ * @param {string} url - The URL of the zip file.
+ * @param {function} sendHttpRequest - See ZipInfo.runGetEntriesOverHttp.
+ * @param {object} [options] - See ZipInfo.getEntriesOverHttp, and:
+ *  - cache (object) - A cache from ZipInfo.createListingCache, to reuse the
+ *    list of files if the zip file has not changed.
+ * @returns {Promise} See ZipInfo.getEntriesOverHttp.
+ */
+ZipInfo._getRemoteEntriesAsync = function(url, sendHttpRequest, options) {
+  if (options && options.cache) {
+    return options.cache.getEntries(url, sendHttpRequest, options);
+  }
+  return ZipInfo.getEntriesOverHttp(sendHttpRequest, options);
+};
+
+/**
+ * The implementation of ZipInfo.runGetEntriesOverHttp and
+ * ZipInfo.getEntriesOverHttp.
+ *
+ * @param {function} sendHttpRequest - See ZipInfo.runGetEntriesOverHttp.
+ * @param {object} [options] - The options for ZipInfo.getEntries.
+ * @param {function} callback - Called once, with an error (or null) and the
+ *  return value of ZipInfo.getEntries (even if there is an error, except after
+ *  aborting).
+ * @returns {object} An object with an "abort" method, which aborts the pending
+ *  request and calls the callback with a ZipInfo.AbortError.
+ */
+ZipInfo._runGetEntriesOverHttp = function(sendHttpRequest, options, callback) {
+  var currentRequest;
+  var finished = false;
+  // The ETag or Last-Modified header of the first response. Range requests are
+  // sent with If-Range, so that the server sends the full (new) file instead
+  // of a range of a different version of the file.
+  var validator = null;
+
+  function finish(response, entries, error) {
+    if (finished) {
+      return;
+    }
+    finished = true;
+    if (error) {
+      if (!(error instanceof ZipInfo.RequestError)) {
+        error = new ZipInfo.RequestError(String(error.message || error));
+      }
+    } else if (ZipInfo._findEocd(response) === -1) {
+      error = new ZipInfo.InvalidZipError(
+        'The response is not a zip file', entries);
+    }
+    callback(error || null, entries);
+  }
+
+  function getEntriesWithoutRange() {
+    currentRequest = sendHttpRequest({
+      onCompleted: function(response, error) {
+        finish(response, ZipInfo.getEntries(response, 0, options), error);
+      },
+    });
+  }
+
+  function getEntriesFromRange(start, length) {
+    // We are expecting a response at the end of a zip file. Do not set the
+    // range header if the start is 0 in case the server has a buggy range
+    // request implementation.
+    if (start <= 0) {
+      getEntriesWithoutRange();
+      return;
+    }
+    currentRequest = sendHttpRequest({
+      rangeHeader: 'bytes=' + start + '-' + (length - 1),
+      ifRangeHeader: validator,
+      onCompleted: function(response, error, responseInfo) {
+        var status = responseInfo ? responseInfo.status : error && error.status;
+        if (status === 416) {
+          // Range Not Satisfiable, e.g. because the file has become smaller.
+          getEntriesWithoutRange();
+          return;
+        }
+        if (error) {
+          finish(response, ZipInfo.getEntries(response, start, options), error);
+          return;
+        }
+        if (ZipInfo._isFullHttpResponse(response, responseInfo, length)) {
+          // The server ignored the Range header, or the file has changed.
+          start = 0;
+        } else if (responseInfo && ZipInfo._getContentRangeError(response,
+            responseInfo, start, length - 1, length)) {
+          // E.g. a different range than requested, or a short read.
+          getEntriesWithoutRange();
+          return;
+        }
+        var entries = ZipInfo.getEntries(response, start, options);
+        if (entries[0].centralDirectoryStart >= start) {
+          finish(response, entries);
+        } else {
+          // Either the central directory, or (in case of ZIP64) the
+          // location of the central directory starts before `start`.
+          // The start offset decreases with every request, so this
+          // eventually terminates.
+          getEntriesFromRange(entries[0].centralDirectoryStart, length);
+        }
+      },
+    });
+  }
+
+  currentRequest = sendHttpRequest({
+    onHeadersReceived: function(getResponseHeader) {
+      var length = parseInt(getResponseHeader('Content-Length'), 10) || 0;
+      // 100k is an arbitrary threshold above the maximum EOCD record size.
+      if (length < 1e5 || getResponseHeader('Accept-Ranges') !== 'bytes') {
+        return;
+      }
+      validator = ZipInfo._getHttpValidator(getResponseHeader);
+      // Switch to range requests.
+      currentRequest.abort();
+      // The EOCD record size is at most 0xFFFF + 22. -1 for range request.
+      getEntriesFromRange(length - 0xFFFF - 23, length);
+    },
+    onCompleted: function(response, error) {
+      finish(response, ZipInfo.getEntries(response, 0, options), error);
+    },
+  });
+
+  return {
+    abort: function() {
+      if (!finished) {
+        currentRequest.abort();
+        finished = true;
+        callback(new ZipInfo.AbortError('The operation was aborted'));
+      }
+    },
+  };
+};
+
+/**
+ * @param {function} getResponseHeader - See ZipInfo.runGetEntriesOverHttp.
+ * @returns {string|null} The value for the If-Range request header, if any.
+ */
+ZipInfo._getHttpValidator = function(getResponseHeader) {
+  var etag = getResponseHeader('ETag');
+  // Weak ETags cannot be used in If-Range.
+  if (etag && !/^W\//.test(etag)) {
+    return etag;
+  }
+  return getResponseHeader('Last-Modified') || null;
+};
+
+/**
+ * Checks whether the response to a range request is the full file instead of
+ * the requested range, e.g. because the server does not support ranges or
+ * because the If-Range condition failed.
+ *
+ * @param {Uint8Array} response
+ * @param {object} [responseInfo] - See onCompleted in
+ *    ZipInfo.runGetEntriesOverHttp.
+ * @param {number} size - The size of the file.
+ * @returns {boolean}
+ */
+ZipInfo._isFullHttpResponse = function(response, responseInfo, size) {
+  if (responseInfo) {
+    return responseInfo.status === 200;
+  }
+  return response.length === size;
+};
+
+/**
+ * Checks whether the response to a range request has the requested range.
+ *
+ * @param {Uint8Array} response
+ * @param {object} responseInfo - See onCompleted in
+ *    ZipInfo.runGetEntriesOverHttp.
+ * @param {number} start - The first byte of the requested range.
+ * @param {number} end - The last byte of the requested range.
+ * @param {number} size - The size of the file.
+ * @returns {string|null} A description of the problem, or null if the response
+ *    is valid.
+ */
+ZipInfo._getContentRangeError = function(response, responseInfo, start, end,
+    size) {
+  if (responseInfo.status !== 206) {
+    return 'Unexpected HTTP status ' + responseInfo.status;
+  }
+  var contentRange = responseInfo.getResponseHeader('Content-Range');
+  var match = /^bytes +(\d+)-(\d+)\/(\d+|\*)$/i.exec(contentRange);
+  if (!match) {
+    return 'Invalid Content-Range: ' + contentRange;
+  }
+  if (parseInt(match[1], 10) !== start || parseInt(match[2], 10) !== end) {
+    return 'Content-Range ' + contentRange + ' does not match the requested ' +
+      'range ' + start + '-' + end;
+  }
+  if (match[3] !== '*' && parseInt(match[3], 10) !== size) {
+    return 'The file size has changed from ' + size + ' to ' + match[3];
+  }
+  if (response.length !== end - start + 1) {
+    return 'Expected ' + (end - start + 1) + ' bytes, got ' + response.length;
+  }
+  return null;
+};
@@ -0,0 +1,200 @@
+/* globals Promise, Uint8Array, module, require */
+'use strict';
+// Requires zipinfo_tree.js (ZipInfo.buildTree).
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo_tree.js') : ZipInfo;
+
+/**
+ * The error for paths that cannot be used by the methods of an archive of
+ * ZipInfo.openArchive. Like the errors of Node.js's fs module, the `code`
+ * property is 'ENOENT' (not found), 'ENOTDIR' (not a directory) or 'EISDIR'
+ * (is a directory), and the `path` property is the normalized path.
+ */
+ZipInfo.ArchivePathError = ZipInfo._createErrorType('ArchivePathError',
+  function(message, code, path) {
+    this.code = code;
+    this.path = path;
+  });
+
+/**
+ * Opens a zip file as a read-only file system. The list of files is read once,
+ * and the data of a file is only read when the readFile method is called.
+ *
+ * @param {Uint8Array|object|Promise|string} source - The zip file, a reader
+ *    (or a Promise of one, see ZipInfo.getEntriesFromReader) or the URL of
+ *    the zip file. URLs are read with range requests if the server supports
+ *    them (see ZipInfo.createHttpReader), using the transport that has been
+ *    loaded (e.g. zipinfo_node.js or zipinfo_fetch.js).
+ * @param {object} [options] - The options for ZipInfo.getEntriesFromReader
+ *    (`verbose` is always enabled), e.g. `encoding` and `signal`.
+ * @returns {Promise} A Promise that resolves with the archive, or rejects with
+ *    the error of ZipInfo.getEntriesFromReader. The archive is an object with
+ *    the following properties:
+ *    - entries (object[]) - the result of ZipInfo.getEntries.
+ *    - normalize (function) - takes a path, and returns the normalized path:
+ *      without leading and trailing slashes, with backslashes treated as
+ *      slashes, and with '.' and '..' resolved. The root is ''.
+ *    - exists (function) - takes a path, and returns whether it exists.
+ *    - stat (function) - takes a path, and returns an object with the path
+ *      (normalized), size (uncompressed, 0 for directories), compressedSize,
+ *      mtime (Date, or null for directories that are not in the zip file),
+ *      mode (the Unix file mode, including the file type) and isDirectory.
+ *    - readdir (function) - takes the path of a directory, and returns the
+ *      names of the files and directories in it, in the order of
+ *      ZipInfo.buildTree.
+ *    - readFile (function) - takes the path of a file, and an optional object
+ *      with `encoding` (e.g. 'utf-8'). Returns a Promise that resolves with the
+ *      data (Uint8Array, or a string if an encoding is set), see
+ *      ZipInfo.readEntryData.
+ *    exists, stat and readdir are synchronous. stat, readdir and readFile throw
+ *    (or reject with) a ZipInfo.ArchivePathError if the path cannot be used.
+ */
+ZipInfo.openArchive = function(source, options) {
+  var entriesOptions = {};
+  Object.keys(options || {}).forEach(function(key) {
+    entriesOptions[key] = options[key];
+  });
+  entriesOptions.verbose = true;
+  var reader;
+  return Promise.resolve().then(function() {
+    if (typeof source == 'string') {
+      return ZipInfo.createHttpReader(ZipInfo._createUrlRequestSender(source));
+    }
+    if (source instanceof Uint8Array) {
+      return ZipInfo._createArrayReader(source);
+    }
+    return source;
+  }).then(function(result) {
+    reader = result;
+    return ZipInfo.getEntriesFromReader(reader, entriesOptions);
+  }).then(function(entries) {
+    return ZipInfo._createArchive(entries, reader);
+  });
+};
+
+/**
+ * @param {string} url
+ * @returns {function} The sendHttpRequest function of the loaded transport,
+ *    see ZipInfo.runGetEntriesOverHttp.
+ */
+ZipInfo._createUrlRequestSender = function(url) {
+  // zipinfo_browser.js and zipinfo_greasemonkey.js.
+  if (ZipInfo._createHttpRequestSender) {
+    return ZipInfo._createHttpRequestSender(url);
+  }
+  if (ZipInfo.createNodeRequestSender) {
+    return ZipInfo.createNodeRequestSender(url);
+  }
+  if (ZipInfo.createFetchRequestSender) {
+    return ZipInfo.createFetchRequestSender(url);
+  }
+  throw new Error('No transport for URLs has been loaded');
+};
+
+/**
+ * @param {object[]} entries - The verbose result of ZipInfo.getEntries.
+ * @param {object} reader - The reader of the zip file.
+ * @returns {object} The archive, see ZipInfo.openArchive.
+ */
+ZipInfo._createArchive = function(entries, reader) {
+  var tree = ZipInfo.buildTree(entries);
+
+  // path is a normalized path, syscall is used in the error message.
+  function lookup(path, syscall) {
+    var node = tree.lookup(path);
+    if (!node) {
+      throw new ZipInfo.ArchivePathError('ENOENT: no such file or ' +
+        'directory, ' + syscall + ' \'' + path + '\'', 'ENOENT', path);
+    }
+    return node;
+  }
+
+  return {
+    entries: entries,
+    normalize: ZipInfo.normalizeArchivePath,
+    exists: function(path) {
+      return !!tree.lookup(ZipInfo.normalizeArchivePath(path));
+    },
+    stat: function(path) {
+      path = ZipInfo.normalizeArchivePath(path);
+      var node = lookup(path, 'stat');
+      // The entry of the root is the artificial '/' entry.
+      var entry = node === tree.root ? null : node.entry;
+      return {
+        path: path,
+        size: node.directory ? 0 : node.uncompressedSize,
+        compressedSize: node.directory ? 0 : node.compressedSize,
+        mtime: entry ? entry.lastModified : null,
+        mode: ZipInfo._getArchiveMode(entry, node.directory),
+        isDirectory: node.directory,
+      };
+    },
+    readdir: function(path) {
+      path = ZipInfo.normalizeArchivePath(path);
+      var node = lookup(path, 'scandir');
+      if (!node.directory) {
+        throw new ZipInfo.ArchivePathError('ENOTDIR: not a directory, ' +
+          'scandir \'' + path + '\'', 'ENOTDIR', path);
+      }
+      return node.children.map(function(child) {
+        return child.name;
+      });
+    },
+    readFile: function(path, options) {
+      path = ZipInfo.normalizeArchivePath(path);
+      return Promise.resolve().then(function() {
+        var node = lookup(path, 'open');
+        if (node.directory) {
+          throw new ZipInfo.ArchivePathError('EISDIR: illegal operation on ' +
+            'a directory, read \'' + path + '\'', 'EISDIR', path);
+        }
+        return ZipInfo.readEntryData(node.entry, reader);
+      }).then(function(data) {
+        var encoding = options && options.encoding;
+        return encoding ? ZipInfo._decodeFilename(data, encoding) : data;
+      });
+    },
+  };
+};
+
+/**
+ * Normalizes a path in an archive of ZipInfo.openArchive.
+ *
+ * @param {string} path - E.g. '/docs/./img/../index.html'.
+ * @returns {string} The path without leading and trailing slashes, e.g.
+ *    'docs/index.html'. '..' does not go above the root.
+ */
+ZipInfo.normalizeArchivePath = function(path) {
+  var components = [];
+  ZipInfo._splitTreePath(path).forEach(function(name) {
+    if (name === '..') {
+      components.pop();
+    } else {
+      components.push(name);
+    }
+  });
+  return components.join('/');
+};
+
+/**
+ * @param {object|null} entry - A verbose entry, or null for directories that
+ *    are not in the zip file.
+ * @param {boolean} directory
+ * @returns {number} The Unix file mode of the entry (if created on Unix), or
+ *    0755 for directories and 0644 for files (0444 if read-only on MS-DOS).
+ */
+ZipInfo._getArchiveMode = function(entry, directory) {
+  if (entry && entry.versionMadeBy >> 8 === 3 &&
+      entry.externalAttributes >>> 16) {
+    return entry.externalAttributes >>> 16;
+  }
+  if (directory) {
+    return 0x41ED;
+  }
+  // Bit 0 of the MS-DOS attributes is the read-only flag.
+  return entry && entry.externalAttributes & 1 ? 0x8124 : 0x81A4;
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
@@ -1,21 +1,39 @@
 /* globals ZipInfo, XMLHttpRequest, Uint8Array */
 'use strict';
 
-ZipInfo.getRemoteEntries = function(url, onGotEntries) {
-  function sendHttpRequest(params) {
+ZipInfo._createHttpRequestSender = function(url) {
+  return function sendHttpRequest(params) {
     var x = new XMLHttpRequest();
     x.open('GET', url);
     x.responseType = 'arraybuffer';
     if (params.rangeHeader) {
       x.setRequestHeader('Range', params.rangeHeader);
     }
+    if (params.ifRangeHeader) {
+      x.setRequestHeader('If-Range', params.ifRangeHeader);
+    }
+    if (params.ifNoneMatchHeader) {
+      x.setRequestHeader('If-None-Match', params.ifNoneMatchHeader);
+    }
+    if (params.ifModifiedSinceHeader) {
+      x.setRequestHeader('If-Modified-Since', params.ifModifiedSinceHeader);
+    }
     x.onreadystatechange = params.onHeadersReceived && function() {
       if (x.readyState === 2) {
-        params.onHeadersReceived(x.getResponseHeader.bind(x));
+        params.onHeadersReceived(x.getResponseHeader.bind(x), x.status);
       }
     };
     x.onloadend = function() {
-      params.onCompleted(new Uint8Array(x.response || 0));
+      var error = null;
+      if (!x.status && !x.response) {
+        error = new ZipInfo.RequestError('Network error');
+      } else if (x.status >= 400) {
+        error = new ZipInfo.RequestError('HTTP status ' + x.status, x.status);
+      }
+      params.onCompleted(new Uint8Array(x.response || 0), error, x.status ? {
+        status: x.status,
+        getResponseHeader: x.getResponseHeader.bind(x),
+      } : undefined);
     };
     x.send();
     return {
@@ -24,6 +42,15 @@ ZipInfo.getRemoteEntries = function(url, onGotEntries) {
         x.abort();
       }
     };
-  }
-  ZipInfo.runGetEntriesOverHttp(sendHttpRequest, onGotEntries);
+  };
+};
+
+ZipInfo.getRemoteEntries = function(url, onGotEntries) {
+  ZipInfo.runGetEntriesOverHttp(ZipInfo._createHttpRequestSender(url),
+    onGotEntries);
+};
+
+ZipInfo.getRemoteEntriesAsync = function(url, options) {
+  return ZipInfo._getRemoteEntriesAsync(url,
+    ZipInfo._createHttpRequestSender(url), options);
 };
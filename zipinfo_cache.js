@@ -0,0 +1,498 @@
+/* globals Promise, Uint8Array, indexedDB, module, process, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * Creates a cache for the lists of files of remote zip files. A stored list is
+ * reused if the zip file has not changed since it was listed, which is checked
+ * with a single conditional request (If-None-Match / If-Modified-Since) that
+ * does not download the zip file.
+ *
+ * @param {object} [storage] - Where the lists are stored. Defaults to
+ *    ZipInfo.createMemoryListingStorage(). An object with the following
+ *    methods, which take a key (string) and return a Promise:
+ *    - get(key) - resolves with the stored record, or undefined.
+ *    - set(key, record) - stores the record (an object with the url, etag,
+ *      lastModified, size, bytes and entries).
+ *    - delete(key) - removes the record.
+ *    See ZipInfo.createIndexedDBListingStorage and
+ *    ZipInfo.createFileListingStorage.
+ * @returns {object} The cache, with the following properties:
+ *    - getEntries (function) - takes the URL of the zip file, sendHttpRequest
+ *      (see ZipInfo.runGetEntriesOverHttp) and the options of
+ *      ZipInfo.getEntriesOverHttp. Returns a Promise like
+ *      ZipInfo.getEntriesOverHttp. The list is stored if the server sent an
+ *      ETag or Last-Modified header (and is stored separately for different
+ *      options, e.g. `verbose`). A stored list is invalidated if the ETag,
+ *      Last-Modified or Content-Length header of the zip file has changed.
+ *      If the conditional request fails, the list is fetched, but the stored
+ *      list is kept.
+ *    - delete (function) - takes the URL of a zip file and the options, and
+ *      removes the stored list. Returns a Promise.
+ *    - stats (object) - the statistics of the cache (numbers):
+ *      - hits - the number of lists that were reused.
+ *      - misses - the number of lists that were fetched.
+ *      - invalidations - the number of stored lists that were outdated.
+ *      - bytesSaved - the number of bytes that were not downloaded because of
+ *        reused lists (the size of the responses of the original listing).
+ */
+ZipInfo.createListingCache = function(storage) {
+  storage = storage || ZipInfo.createMemoryListingStorage();
+  var stats = {
+    hits: 0,
+    misses: 0,
+    invalidations: 0,
+    bytesSaved: 0,
+  };
+
+  // Fetches the list, and stores it under the key (unless the key is null).
+  function fetchEntries(url, key, sendHttpRequest, options) {
+    ++stats.misses;
+    var recording = {
+      etag: null,
+      lastModified: null,
+      size: -1,
+      bytes: 0,
+    };
+    return ZipInfo.getEntriesOverHttp(
+      ZipInfo._createRecordingRequestSender(sendHttpRequest, recording),
+      options).then(function(entries) {
+        if (key === null || !recording.etag && !recording.lastModified) {
+          // The list cannot be revalidated.
+          return entries;
+        }
+        return storage.set(key, {
+          url: url,
+          etag: recording.etag,
+          lastModified: recording.lastModified,
+          size: recording.size,
+          bytes: recording.bytes,
+          entries: entries,
+        }).then(function() {
+          return entries;
+        }, function() {
+          // Failing to store the list is not fatal.
+          return entries;
+        });
+      });
+  }
+
+  return {
+    getEntries: function(url, sendHttpRequest, options) {
+      var key = ZipInfo._getListingCacheKey(url, options);
+      return Promise.resolve(storage.get(key)).catch(function() {
+        return undefined;  // E.g. an unreadable record.
+      }).then(function(record) {
+        if (!record) {
+          return fetchEntries(url, key, sendHttpRequest, options);
+        }
+        return ZipInfo._revalidateListing(sendHttpRequest, record,
+          options && options.signal).then(function(unchanged) {
+            if (unchanged) {
+              ++stats.hits;
+              stats.bytesSaved += record.bytes;
+              return record.entries;
+            }
+            if (unchanged === null) {
+              // It is unknown whether the zip file has changed (e.g. the
+              // request failed), so keep the stored list.
+              return fetchEntries(url, null, sendHttpRequest, options);
+            }
+            ++stats.invalidations;
+            return Promise.resolve(storage.delete(key)).catch(function() {})
+            .then(function() {
+              return fetchEntries(url, key, sendHttpRequest, options);
+            });
+          });
+      });
+    },
+    delete: function(url, options) {
+      return Promise.resolve(
+        storage.delete(ZipInfo._getListingCacheKey(url, options)));
+    },
+    stats: stats,
+  };
+};
+
+/**
+ * @param {string} url
+ * @param {object} [options] - See ZipInfo.getEntries.
+ * @returns {string} The key of the list of files in the storage of
+ *    ZipInfo.createListingCache: the URL and the options that change the
+ *    list.
+ */
+ZipInfo._getListingCacheKey = function(url, options) {
+  options = options || {};
+  return url + ' ' + JSON.stringify([
+    !!options.verbose,
+    !!options.extraFields,
+    options.encoding || 'cp437',
+    !!options.preferUnicodePath,
+    !!options.recover,
+  ]);
+};
+
+/**
+ * Wraps sendHttpRequest to record the validators and the size of the zip
+ * file (from the first request), and the total size of the responses.
+ *
+ * @param {function} sendHttpRequest - See ZipInfo.runGetEntriesOverHttp.
+ * @param {object} recording - The object where etag, lastModified, size and
+ *    bytes are recorded.
+ * @returns {function} sendHttpRequest.
+ */
+ZipInfo._createRecordingRequestSender = function(sendHttpRequest, recording) {
+  var isFirstRequest = true;
+  return function(params) {
+    var isFirst = isFirstRequest;
+    var recorded = false;
+    isFirstRequest = false;
+    function record(getResponseHeader, status, response) {
+      if (!isFirst || recorded) {
+        return;
+      }
+      recorded = true;
+      recording.etag = getResponseHeader('ETag') || null;
+      recording.lastModified = getResponseHeader('Last-Modified') || null;
+      var size = parseInt(getResponseHeader('Content-Length'), 10);
+      if (size >= 0) {
+        recording.size = size;
+      } else if (response && status === 200) {
+        recording.size = response.length;
+      }
+    }
+
+    var wrappedParams = {};
+    Object.keys(params).forEach(function(key) {
+      wrappedParams[key] = params[key];
+    });
+    wrappedParams.onHeadersReceived = function(getResponseHeader, status) {
+      record(getResponseHeader, status);
+      if (params.onHeadersReceived) {
+        params.onHeadersReceived(getResponseHeader, status);
+      }
+    };
+    wrappedParams.onCompleted = function(response, error, responseInfo) {
+      if (responseInfo && !error) {
+        record(responseInfo.getResponseHeader, responseInfo.status, response);
+      }
+      recording.bytes += response.length;
+      params.onCompleted(response, error, responseInfo);
+    };
+    return sendHttpRequest(wrappedParams);
+  };
+};
+
+/**
+ * Checks whether a zip file has changed since its list of files was stored,
+ * with a conditional request. The request has a Range header, so that servers
+ * that ignore the conditional headers send only one byte.
+ *
+ * @param {function} sendHttpRequest - See ZipInfo.runGetEntriesOverHttp.
+ * @param {object} record - The stored record, see ZipInfo.createListingCache.
+ * @param {AbortSignal} [signal] - Aborts the request when triggered.
+ * @returns {Promise} A Promise that resolves with true if the zip file has
+ *    not changed, false if it has changed, and null if that is unknown (e.g.
+ *    because the request failed). It is rejected with a ZipInfo.AbortError if
+ *    the signal is triggered.
+ */
+ZipInfo._revalidateListing = function(sendHttpRequest, record, signal) {
+  return new Promise(function(resolve, reject) {
+    if (signal && signal.aborted) {
+      reject(new ZipInfo.AbortError('The operation was aborted'));
+      return;
+    }
+    var request;
+    var finished = false;
+    function finish(getResponseHeader, status) {
+      if (finished) {
+        return;
+      }
+      finished = true;
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      if (request) {
+        // The body is not needed.
+        request.abort();
+      }
+      resolve(getResponseHeader ?
+        ZipInfo._isListingUnchanged(record, getResponseHeader, status) :
+        null);
+    }
+    function onAbort() {
+      if (!finished) {
+        finished = true;
+        request.abort();
+        reject(new ZipInfo.AbortError('The operation was aborted'));
+      }
+    }
+    request = sendHttpRequest({
+      rangeHeader: 'bytes=0-0',
+      ifNoneMatchHeader: record.etag,
+      ifModifiedSinceHeader: record.lastModified,
+      onHeadersReceived: finish,
+      onCompleted: function(response, error, responseInfo) {
+        if (responseInfo) {
+          finish(responseInfo.getResponseHeader, responseInfo.status);
+        } else {
+          finish(null);
+        }
+      },
+    });
+    if (finished) {
+      // onHeadersReceived was called synchronously.
+      request.abort();
+    } else if (signal) {
+      signal.addEventListener('abort', onAbort);
+    }
+  });
+};
+
+/**
+ * @param {object} record - The stored record, see ZipInfo.createListingCache.
+ * @param {function} getResponseHeader - See ZipInfo.runGetEntriesOverHttp.
+ * @param {number} [status] - The HTTP status code of the response.
+ * @returns {boolean|null} Whether the response to the conditional request of
+ *    ZipInfo._revalidateListing shows that the zip file has not changed, or
+ *    null if the response does not show that (e.g. an error status).
+ */
+ZipInfo._isListingUnchanged = function(record, getResponseHeader, status) {
+  if (status === 304) {
+    return true;
+  }
+  if (status && status !== 200 && status !== 206) {
+    return null;
+  }
+  // The server ignored the conditional headers: compare the headers.
+  var size = parseInt(getResponseHeader('Content-Length'), 10);
+  var contentRange = /\/(\d+)$/.exec(getResponseHeader('Content-Range') || '');
+  if (contentRange) {
+    size = parseInt(contentRange[1], 10);
+  } else if (status === 206) {
+    size = NaN;
+  }
+  if (size >= 0 && record.size >= 0 && size !== record.size) {
+    return false;
+  }
+  if (record.etag) {
+    return getResponseHeader('ETag') === record.etag;
+  }
+  return getResponseHeader('Last-Modified') === record.lastModified;
+};
+
+/**
+ * Creates a storage for ZipInfo.createListingCache that keeps the lists in
+ * memory. The lists are copied, so changes to the returned entries do not
+ * affect the stored lists.
+ *
+ * @returns {object} The storage.
+ */
+ZipInfo.createMemoryListingStorage = function() {
+  var records = {};
+  return {
+    get: function(key) {
+      return Promise.resolve(records.hasOwnProperty(key) ?
+        ZipInfo._parseListingRecord(records[key]) : undefined);
+    },
+    set: function(key, record) {
+      records[key] = ZipInfo._stringifyListingRecord(record);
+      return Promise.resolve();
+    },
+    delete: function(key) {
+      delete records[key];
+      return Promise.resolve();
+    },
+  };
+};
+
+/**
+ * Creates a storage for ZipInfo.createListingCache that keeps the lists in an
+ * IndexedDB database, e.g. in browsers and service workers.
+ *
+ * @param {object} [options]
+ *    - name (string) - the name of the database. Defaults to
+ *      'zipinfo-listings'.
+ *    - indexedDB (IDBFactory) - Defaults to the global indexedDB.
+ * @returns {object} The storage.
+ */
+ZipInfo.createIndexedDBListingStorage = function(options) {
+  var name = options && options.name || 'zipinfo-listings';
+  var factory = options && options.indexedDB || indexedDB;
+  var database;
+
+  function openDatabase() {
+    database = database || new Promise(function(resolve, reject) {
+      var request = factory.open(name, 1);
+      request.onupgradeneeded = function() {
+        request.result.createObjectStore('listings');
+      };
+      request.onsuccess = function() {
+        resolve(request.result);
+      };
+      request.onerror = function() {
+        database = null;
+        reject(request.error);
+      };
+    });
+    return database;
+  }
+
+  // Runs a request in a transaction, and resolves with its result when the
+  // transaction completes.
+  function run(mode, createRequest) {
+    return openDatabase().then(function(db) {
+      return new Promise(function(resolve, reject) {
+        var transaction = db.transaction('listings', mode);
+        var request = createRequest(transaction.objectStore('listings'));
+        transaction.oncomplete = function() {
+          resolve(request.result);
+        };
+        transaction.onerror = transaction.onabort = function() {
+          reject(transaction.error);
+        };
+      });
+    });
+  }
+
+  return {
+    get: function(key) {
+      return run('readonly', function(store) {
+        return store.get(key);
+      });
+    },
+    set: function(key, record) {
+      return run('readwrite', function(store) {
+        return store.put(record, key);
+      }).then(function() {});
+    },
+    delete: function(key) {
+      return run('readwrite', function(store) {
+        return store.delete(key);
+      }).then(function() {});
+    },
+  };
+};
+
+/**
+ * Creates a storage for ZipInfo.createListingCache that keeps the lists in
+ * JSON files in a directory (Node.js only). The directory is created when
+ * needed.
+ *
+ * @param {string} directory - The path of the directory.
+ * @returns {object} The storage.
+ */
+ZipInfo.createFileListingStorage = function(directory) {
+  var crypto = require('crypto');
+  var fs = require('fs');
+  var path = require('path');
+
+  function getFilePath(key) {
+    return path.join(directory,
+      crypto.createHash('sha1').update(key).digest('hex') + '.json');
+  }
+
+  return {
+    get: function(key) {
+      return new Promise(function(resolve, reject) {
+        fs.readFile(getFilePath(key), 'utf8', function(error, text) {
+          if (error) {
+            if (error.code === 'ENOENT') {
+              resolve(undefined);
+            } else {
+              reject(error);
+            }
+            return;
+          }
+          try {
+            resolve(ZipInfo._parseListingRecord(text));
+          } catch (e) {
+            resolve(undefined);  // A damaged file.
+          }
+        });
+      });
+    },
+    set: function(key, record) {
+      var filePath = getFilePath(key);
+      // Write to a temporary file first, so that the file is never partial.
+      // The random part keeps concurrent calls from using the same file.
+      var tempPath = filePath + '.' + process.pid + '.' +
+        crypto.randomBytes(4).toString('hex') + '.tmp';
+      return new Promise(function(resolve, reject) {
+        fs.mkdir(directory, {recursive: true}, function(error) {
+          if (error) {
+            reject(error);
+            return;
+          }
+          fs.writeFile(tempPath, ZipInfo._stringifyListingRecord(record),
+            function(error) {
+              if (error) {
+                reject(error);
+                return;
+              }
+              fs.rename(tempPath, filePath, function(error) {
+                if (error) {
+                  reject(error);
+                } else {
+                  resolve();
+                }
+              });
+            });
+        });
+      });
+    },
+    delete: function(key) {
+      return new Promise(function(resolve, reject) {
+        fs.unlink(getFilePath(key), function(error) {
+          if (error && error.code !== 'ENOENT') {
+            reject(error);
+          } else {
+            resolve();
+          }
+        });
+      });
+    },
+  };
+};
+
+/**
+ * @param {object} record - See ZipInfo.createListingCache.
+ * @returns {string} The record as JSON. Dates and Uint8Arrays (e.g. in
+ *    extraFields) are encoded as objects with a $date or $bytes property.
+ */
+ZipInfo._stringifyListingRecord = function(record) {
+  return JSON.stringify(record, function(key, value) {
+    // Date.prototype.toJSON has already been called on value.
+    var original = this[key];
+    if (original instanceof Date) {
+      return {$date: original.getTime()};
+    }
+    if (original instanceof Uint8Array) {
+      return {$bytes: Array.prototype.slice.call(original)};
+    }
+    return value;
+  });
+};
+
+/**
+ * @param {string} text - The return value of ZipInfo._stringifyListingRecord.
+ * @returns {object} The record.
+ */
+ZipInfo._parseListingRecord = function(text) {
+  return JSON.parse(text, function(key, value) {
+    if (value && typeof value == 'object') {
+      if (typeof value.$date == 'number') {
+        return new Date(value.$date);
+      }
+      if (Array.isArray(value.$bytes)) {
+        return new Uint8Array(value.$bytes);
+      }
+    }
+    return value;
+  });
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
@@ -0,0 +1,236 @@
+/* globals module, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * The properties that ZipInfo.diff compares, in the order of the changes.
+ */
+ZipInfo.diffProperties = [
+  'uncompressedSize',
+  'crc32',
+  'compressedSize',
+  'compressionMethod',
+  'lastModified',
+  'permissions',
+];
+
+/**
+ * Compares two lists of entries, e.g. of two versions of a release artifact.
+ * The lists do not need to come from the same source, e.g. one can be from
+ * ZipInfo.getEntries and the other from ZipInfo.getEntriesOverHttp.
+ *
+ * @param {object[]} a - The old entries, from ZipInfo.getEntries (or another
+ *    method that returns the same format). Only the file names and sizes are
+ *    compared, unless the `verbose` option was used.
+ * @param {object[]} b - The new entries.
+ * @param {object} [options]
+ *    - ignore (string[]) - the properties to ignore (see
+ *      ZipInfo.diffProperties), e.g. ['lastModified'].
+ * @returns {object} An object with the following properties:
+ *    - added (object[]) - the entries of b that are not in a.
+ *    - removed (object[]) - the entries of a that are not in b.
+ *    - modified (object[]) - the entries with the same file name in a and b,
+ *      but different properties. Every item is an object with the filename,
+ *      a (the entry in a), b (the entry in b) and changes (see below).
+ *    - renamed (object[]) - the renamed or moved entries: entries that are
+ *      only in a, with the same size and CRC-32 as an entry that is only in
+ *      b. These are not included in `added` and `removed`. Every item is an
+ *      object with `from` and `to` (the file names), `moved` (true if only
+ *      the directory differs), a, b and changes.
+ *    - unchanged (number) - the number of identical entries.
+ *    - identical (boolean) - whether there are no differences.
+ *    Every change is an object with a property (e.g. 'compressionMethod'),
+ *    and the value of the property in a and b. `permissions` are the Unix
+ *    permissions (e.g. 0x1ED = 0755), or null if unavailable.
+ */
+ZipInfo.diff = function(a, b, options) {
+  var ignore = options && options.ignore || [];
+  var properties = ZipInfo.diffProperties.filter(function(property) {
+    return ignore.indexOf(property) === -1;
+  });
+  var entriesA = ZipInfo._getDiffEntries(a);
+  var entriesB = ZipInfo._getDiffEntries(b);
+  var result = {
+    added: [],
+    removed: [],
+    modified: [],
+    renamed: [],
+    unchanged: 0,
+    identical: false,
+  };
+
+  entriesB.list.forEach(function(entryB) {
+    if (!Object.prototype.hasOwnProperty.call(entriesA.byName,
+        entryB.filename)) {
+      result.added.push(entryB);
+      return;
+    }
+    var entryA = entriesA.byName[entryB.filename];
+    var changes = ZipInfo._getEntryChanges(entryA, entryB, properties);
+    if (changes.length) {
+      result.modified.push({
+        filename: entryB.filename,
+        a: entryA,
+        b: entryB,
+        changes: changes,
+      });
+    } else {
+      ++result.unchanged;
+    }
+  });
+  entriesA.list.forEach(function(entryA) {
+    if (!Object.prototype.hasOwnProperty.call(entriesB.byName,
+        entryA.filename)) {
+      result.removed.push(entryA);
+    }
+  });
+
+  // Match removed and added files with the same content. Empty files and
+  // directories are skipped, because they are indistinguishable.
+  function getContentKey(entry) {
+    if (entry.directory || !entry.uncompressedSize ||
+        typeof entry.crc32 != 'number') {
+      return null;
+    }
+    return entry.uncompressedSize + ':' + entry.crc32;
+  }
+  // Whether the entries of result.added and result.removed (by index) were
+  // renamed.
+  var renamedAdded = [];
+  var renamedRemoved = [];
+  // Queues of the indexes of the removed entries in result.removed, by content
+  // key, and by content key and base name. Matched entries are skipped by
+  // advancing the read position of a queue, so that this takes linear time.
+  var removedQueues = Object.create(null);
+  function enqueue(key, removedIndex) {
+    var queue = removedQueues[key] ||
+      (removedQueues[key] = {indexes: [], next: 0});
+    queue.indexes.push(removedIndex);
+  }
+  function dequeue(key) {
+    var queue = removedQueues[key];
+    while (queue && queue.next < queue.indexes.length) {
+      var removedIndex = queue.indexes[queue.next++];
+      if (!renamedRemoved[removedIndex]) {
+        return removedIndex;
+      }
+    }
+    return -1;
+  }
+  result.removed.forEach(function(entryA, i) {
+    var key = getContentKey(entryA);
+    if (key !== null) {
+      enqueue(key, i);
+      enqueue(key + ':' + ZipInfo._getDiffBaseName(entryA.filename), i);
+    }
+  });
+  result.added.forEach(function(entryB, addedIndex) {
+    var key = getContentKey(entryB);
+    if (key === null) {
+      return;
+    }
+    // Prefer an entry with the same base name (i.e. a moved file).
+    var baseName = ZipInfo._getDiffBaseName(entryB.filename);
+    var removedIndex = dequeue(key + ':' + baseName);
+    if (removedIndex === -1) {
+      removedIndex = dequeue(key);
+    }
+    if (removedIndex === -1) {
+      return;
+    }
+    var entryA = result.removed[removedIndex];
+    renamedAdded[addedIndex] = true;
+    renamedRemoved[removedIndex] = true;
+    result.renamed.push({
+      from: entryA.filename,
+      to: entryB.filename,
+      moved: ZipInfo._getDiffBaseName(entryA.filename) === baseName,
+      a: entryA,
+      b: entryB,
+      changes: ZipInfo._getEntryChanges(entryA, entryB, properties),
+    });
+  });
+  result.added = result.added.filter(function(entry, i) {
+    return !renamedAdded[i];
+  });
+  result.removed = result.removed.filter(function(entry, i) {
+    return !renamedRemoved[i];
+  });
+
+  result.identical = !result.added.length && !result.removed.length &&
+    !result.modified.length && !result.renamed.length;
+  return result;
+};
+
+/**
+ * @param {object[]} entries - See ZipInfo.diff.
+ * @returns {object} The list of entries (without the artificial '/' entry),
+ *    and byName (maps file names to the first entry with the name).
+ */
+ZipInfo._getDiffEntries = function(entries) {
+  var list = entries.filter(function(entry) {
+    return !entry.hasOwnProperty('centralDirectoryStart');
+  });
+  // Without prototype, so that names such as 'constructor' are not found.
+  var byName = Object.create(null);
+  list.forEach(function(entry) {
+    if (!Object.prototype.hasOwnProperty.call(byName, entry.filename)) {
+      byName[entry.filename] = entry;
+    }
+  });
+  return {list: list, byName: byName};
+};
+
+/**
+ * @param {string} filename
+ * @returns {string} The file name without the directory.
+ */
+ZipInfo._getDiffBaseName = function(filename) {
+  return filename.slice(filename.lastIndexOf('/', filename.length - 2) + 1);
+};
+
+/**
+ * @param {object} entry
+ * @param {string} property - A property from ZipInfo.diffProperties.
+ * @returns {*} The value of the property, or undefined if unavailable.
+ */
+ZipInfo._getDiffValue = function(entry, property) {
+  if (property === 'permissions') {
+    if (typeof entry.externalAttributes != 'number') {
+      return undefined;
+    }
+    // 3 = Unix. The high 16 bits of the external attributes are the mode.
+    return entry.versionMadeBy >> 8 === 3 ?
+      (entry.externalAttributes >>> 16) & 0xFFF : null;
+  }
+  return entry[property];
+};
+
+/**
+ * @param {object} a - An entry.
+ * @param {object} b - An entry.
+ * @param {string[]} properties - The properties to compare.
+ * @returns {object[]} The changes, see ZipInfo.diff.
+ */
+ZipInfo._getEntryChanges = function(a, b, properties) {
+  var changes = [];
+  properties.forEach(function(property) {
+    var valueA = ZipInfo._getDiffValue(a, property);
+    var valueB = ZipInfo._getDiffValue(b, property);
+    if (valueA === undefined || valueB === undefined) {
+      // E.g. one of the lists was created without the verbose option.
+      return;
+    }
+    var equal = valueA instanceof Date && valueB instanceof Date ?
+      valueA.getTime() === valueB.getTime() : valueA === valueB;
+    if (!equal) {
+      changes.push({property: property, a: valueA, b: valueB});
+    }
+  });
+  return changes;
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
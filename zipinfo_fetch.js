@@ -0,0 +1,98 @@
+/* globals fetch, AbortController, Headers, Uint8Array, module, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * Creates a sendHttpRequest function for ZipInfo.runGetEntriesOverHttp that
+ * uses the fetch API. This works in browsers, (service) workers and Node.js
+ * 18+.
+ *
+ * @param {string} url - The URL of the zip file.
+ * @param {object} [init] - Additional options for fetch, e.g. credentials or
+ *    headers. The signal option is overwritten, and the Range and conditional
+ *    headers are added to the headers.
+ * @returns {function} sendHttpRequest.
+ */
+ZipInfo.createFetchRequestSender = function(url, init) {
+  return function sendHttpRequest(params) {
+    var controller = new AbortController();
+    var aborted = false;
+    var fetchInit = {};
+    Object.keys(init || {}).forEach(function(key) {
+      fetchInit[key] = init[key];
+    });
+    fetchInit.headers = new Headers(init && init.headers);
+    if (params.rangeHeader) {
+      fetchInit.headers.set('Range', params.rangeHeader);
+    }
+    if (params.ifRangeHeader) {
+      fetchInit.headers.set('If-Range', params.ifRangeHeader);
+    }
+    if (params.ifNoneMatchHeader) {
+      fetchInit.headers.set('If-None-Match', params.ifNoneMatchHeader);
+    }
+    if (params.ifModifiedSinceHeader) {
+      fetchInit.headers.set('If-Modified-Since', params.ifModifiedSinceHeader);
+    }
+    fetchInit.signal = controller.signal;
+    fetch(url, fetchInit).then(function(response) {
+      function getResponseHeader(header) {
+        return response.headers.get(header);
+      }
+      if (params.onHeadersReceived) {
+        params.onHeadersReceived(getResponseHeader, response.status);
+      }
+      var error = null;
+      if (!response.ok && response.status !== 304) {
+        error = new ZipInfo.RequestError('HTTP status ' + response.status,
+          response.status);
+      }
+      return response.arrayBuffer().then(function(buffer) {
+        return {
+          response: new Uint8Array(buffer),
+          error: error,
+          responseInfo: {
+            status: response.status,
+            getResponseHeader: getResponseHeader,
+          },
+        };
+      });
+    }).catch(function(error) {
+      return {
+        response: new Uint8Array(0),
+        error: new ZipInfo.RequestError(error.message),
+      };
+    }).then(function(result) {
+      if (!aborted) {
+        params.onCompleted(result.response, result.error,
+          result.responseInfo);
+      }
+    });
+    return {
+      abort: function() {
+        aborted = true;
+        controller.abort();
+      },
+    };
+  };
+};
+
+// zipinfo_node.js replaces these methods when it is loaded after this file.
+// Do not replace its methods either, so that the Node.js transport is used
+// regardless of the order in which both files are loaded.
+if (!ZipInfo.createNodeRequestSender) {
+  ZipInfo.getRemoteEntries = function(url, onGotEntries) {
+    ZipInfo.runGetEntriesOverHttp(ZipInfo.createFetchRequestSender(url),
+      onGotEntries);
+  };
+
+  ZipInfo.getRemoteEntriesAsync = function(url, options) {
+    return ZipInfo._getRemoteEntriesAsync(url,
+      ZipInfo.createFetchRequestSender(url), options);
+  };
+}
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
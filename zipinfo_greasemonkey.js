@@ -1,22 +1,51 @@
 /* globals ZipInfo, GM_xmlhttpRequest, Uint8Array */
 'use strict';
 
-ZipInfo.getRemoteEntries = function(url, onGotEntries) {
-  function sendHttpRequest(params) {
+ZipInfo._createHttpRequestSender = function(url) {
+  return function sendHttpRequest(params) {
     var onCompleted = params.onCompleted;
+    var headers = {};
+    if (params.rangeHeader) {
+      headers.Range = params.rangeHeader;
+    }
+    if (params.ifRangeHeader) {
+      headers['If-Range'] = params.ifRangeHeader;
+    }
+    if (params.ifNoneMatchHeader) {
+      headers['If-None-Match'] = params.ifNoneMatchHeader;
+    }
+    if (params.ifModifiedSinceHeader) {
+      headers['If-Modified-Since'] = params.ifModifiedSinceHeader;
+    }
+    function createHeaderGetter(response) {
+      var rawHeaders = '\r\n' + response.responseHeaders;
+      return function(header) {
+        header = '\r\n' + header.toLowerCase() + ': ';
+        var i = rawHeaders.toLowerCase().indexOf(header);
+        return i >= 0 &&
+          rawHeaders.slice(i + header.length).split('\r\n')[0];
+      };
+    }
     var x = GM_xmlhttpRequest({
       responseType: 'arraybuffer',
-      headers: params.rangeHeader ? {Range: params.rangeHeader} : {},
+      headers: headers,
       onreadystatechange: function(response) {
         if (response.readyState === 2 && params.onHeadersReceived) {
-          var headers = '\r\n' + response.responseHeaders;
-          params.onHeadersReceived(function(header) {
-            header = '\r\n' + header.toLowerCase() + ': ';
-            var i = headers.toLowerCase().indexOf(header);
-            return i >= 0 && headers.slice(i + header.length).split('\r\n')[0];
-          });
+          params.onHeadersReceived(createHeaderGetter(response),
+            response.status);
         } else if (response.readyState === 4) {
-          onCompleted(new Uint8Array(response.response || 0));
+          var error = null;
+          if (!response.status) {
+            error = new ZipInfo.RequestError('Network error');
+          } else if (response.status >= 400) {
+            error = new ZipInfo.RequestError('HTTP status ' + response.status,
+              response.status);
+          }
+          onCompleted(new Uint8Array(response.response || 0), error,
+            response.status ? {
+              status: response.status,
+              getResponseHeader: createHeaderGetter(response),
+            } : undefined);
         }
       },
       url: url,
@@ -27,6 +56,15 @@ ZipInfo.getRemoteEntries = function(url, onGotEntries) {
         x.abort();
       },
     };
-  }
-  ZipInfo.runGetEntriesOverHttp(sendHttpRequest, onGotEntries);
+  };
+};
+
+ZipInfo.getRemoteEntries = function(url, onGotEntries) {
+  ZipInfo.runGetEntriesOverHttp(ZipInfo._createHttpRequestSender(url),
+    onGotEntries);
+};
+
+ZipInfo.getRemoteEntriesAsync = function(url, options) {
+  return ZipInfo._getRemoteEntriesAsync(url,
+    ZipInfo._createHttpRequestSender(url), options);
 };
@@ -0,0 +1,340 @@
+/* globals Promise, module, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * Identifies the container format of a zip file: EPUB, OpenDocument (ODF),
+ * Office Open XML (OOXML), JAR, WAR, APK, XPI (WebExtension) or Python wheel.
+ *
+ * @param {object[]} entries - The result of ZipInfo.getEntries. The
+ *    structural rules that depend on the compression method and the order of
+ *    the data are only checked if the verbose option was used.
+ * @param {Uint8Array|object} [source] - The zip file or a reader, see
+ *    ZipInfo.readEntryData. If set (and the entries are verbose), the content
+ *    of small metadata files (e.g. the mimetype file of EPUB and ODF) is
+ *    checked too.
+ * @returns {Promise} A Promise that resolves with an object with the
+ *    following properties:
+ *    - format (string) - 'epub', 'odf', 'ooxml', 'apk', 'xpi', 'wheel', 'war',
+ *      'jar', or 'zip' if the format was not recognized.
+ *    - name (string) - a readable name of the format.
+ *    - extension (string) - the usual file extension, e.g. 'docx'.
+ *    - mimeType (string|null) - the MIME type, if known.
+ *    - evidence (string[]) - the observations that identify the format.
+ *    - problems (string[]) - the violations of the structural rules of the
+ *      format. An empty list means that no violations were found.
+ */
+ZipInfo.identify = function(entries, source) {
+  var files = entries.filter(function(entry) {
+    // Skip the artificial '/' entry.
+    return !entry.hasOwnProperty('centralDirectoryStart');
+  });
+  // Without prototype, so that names such as 'constructor' are not found.
+  var byName = Object.create(null);
+  files.forEach(function(entry) {
+    if (!Object.prototype.hasOwnProperty.call(byName, entry.filename)) {
+      byName[entry.filename] = entry;
+    }
+  });
+  var context = {
+    files: files,
+    get: function(filename) {
+      return Object.prototype.hasOwnProperty.call(byName, filename) ?
+        byName[filename] : null;
+    },
+    // Resolves with the content of the entry as text, or null if the content
+    // cannot be read.
+    readText: function(entry) {
+      // 0x10000 = limit for metadata files, to avoid reading large files.
+      if (!source || entry.localHeaderOffset === undefined ||
+          entry.uncompressedSize > 0x10000) {
+        return Promise.resolve(null);
+      }
+      return ZipInfo.readEntryData(entry, source).then(function(data) {
+        return ZipInfo._decodeFilename(data, 'utf-8');
+      }, function() {
+        return null;
+      });
+    },
+  };
+
+  var detectors = ZipInfo._formatDetectors;
+  function detect(i) {
+    if (i === detectors.length) {
+      return ZipInfo._createIdentification('zip', 'Zip archive', 'zip',
+        'application/zip');
+    }
+    return Promise.resolve(detectors[i](context)).then(function(result) {
+      return result || detect(i + 1);
+    });
+  }
+  return detect(0);
+};
+
+/**
+ * @param {string} format - The format property of the result.
+ * @param {string} name - A readable name of the format.
+ * @param {string} extension - The usual file extension.
+ * @param {string|null} mimeType - The MIME type, if known.
+ * @returns {object} A result of ZipInfo.identify without evidence and
+ *    problems. The detectors add them.
+ */
+ZipInfo._createIdentification = function(format, name, extension, mimeType) {
+  return {
+    format: format,
+    name: name,
+    extension: extension,
+    mimeType: mimeType,
+    evidence: [],
+    problems: [],
+  };
+};
+
+/**
+ * Checks the rules of the mimetype file of EPUB and ODF: it must be the first
+ * entry, and stored without compression.
+ */
+ZipInfo._checkMimetypeEntry = function(context, mimetype, result) {
+  if (context.files[0] !== mimetype) {
+    result.problems.push('The mimetype file is not the first entry');
+  }
+  if (mimetype.compressionMethod !== undefined &&
+      mimetype.compressionMethod !== 0) {
+    result.problems.push('The mimetype file is compressed');
+  }
+  if (mimetype.encrypted) {
+    result.problems.push('The mimetype file is encrypted');
+  }
+};
+
+/**
+ * The functions that detect formats, in order of precedence (e.g. APKs are
+ * also JARs). Each function takes the context of ZipInfo.identify, and returns
+ * (a Promise that resolves to) null or the result of ZipInfo.identify.
+ */
+ZipInfo._formatDetectors = [
+  // EPUB and ODF: a mimetype file with the MIME type.
+  function(context) {
+    var mimetype = context.get('mimetype');
+    if (!mimetype) {
+      return null;
+    }
+    return context.readText(mimetype).then(function(text) {
+      var result;
+      var isEpub = text === null ? !!context.get('META-INF/container.xml') :
+        text === 'application/epub+zip';
+      var isOdf = text === null ? !!context.get('META-INF/manifest.xml') :
+        /^application\/vnd\.oasis\.opendocument\./.test(text);
+      if (isEpub) {
+        result = ZipInfo._createIdentification('epub', 'EPUB', 'epub',
+          'application/epub+zip');
+        if (!context.get('META-INF/container.xml')) {
+          result.problems.push('META-INF/container.xml is missing');
+        }
+      } else if (isOdf) {
+        result = ZipInfo._createIdentification('odf', 'OpenDocument', 'odf',
+          text);
+        // E.g. "application/vnd.oasis.opendocument.text" = odt.
+        var extensions = {
+          text: 'odt',
+          spreadsheet: 'ods',
+          presentation: 'odp',
+          graphics: 'odg',
+          chart: 'odc',
+          formula: 'odf',
+          database: 'odb',
+          image: 'odi',
+          'text-master': 'odm',
+        };
+        if (text !== null) {
+          result.extension = extensions[text.slice(35)] || 'odf';
+        }
+        if (!context.get('META-INF/manifest.xml')) {
+          result.problems.push('META-INF/manifest.xml is missing');
+        }
+      } else {
+        return null;
+      }
+      result.evidence.push(text === null ? 'mimetype file' :
+        'mimetype file with content ' + text);
+      ZipInfo._checkMimetypeEntry(context, mimetype, result);
+      return result;
+    });
+  },
+
+  // Office Open XML: [Content_Types].xml and the relationships.
+  function(context) {
+    if (!context.get('[Content_Types].xml')) {
+      return null;
+    }
+    var types = [
+      ['word/document.xml', 'docx', 'Word document',
+        'application/vnd.openxmlformats-officedocument.wordprocessingml.' +
+        'document'],
+      ['xl/workbook.xml', 'xlsx', 'Excel workbook',
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'],
+      ['ppt/presentation.xml', 'pptx', 'PowerPoint presentation',
+        'application/vnd.openxmlformats-officedocument.presentationml.' +
+        'presentation'],
+    ];
+    var result = ZipInfo._createIdentification('ooxml', 'Office Open XML',
+      'ooxml', null);
+    result.evidence.push('[Content_Types].xml');
+    types.forEach(function(type) {
+      if (context.get(type[0]) && !result.mimeType) {
+        result.evidence.push(type[0]);
+        result.name = 'Office Open XML ' + type[2];
+        result.extension = type[1];
+        result.mimeType = type[3];
+      }
+    });
+    if (!context.get('_rels/.rels')) {
+      result.problems.push('_rels/.rels is missing');
+    }
+    return result;
+  },
+
+  // Android application package: AndroidManifest.xml and Dalvik bytecode.
+  function(context) {
+    if (!context.get('AndroidManifest.xml')) {
+      return null;
+    }
+    var result = ZipInfo._createIdentification('apk', 'Android package', 'apk',
+      'application/vnd.android.package-archive');
+    result.evidence.push('AndroidManifest.xml');
+    if (context.get('classes.dex')) {
+      result.evidence.push('classes.dex');
+    }
+    var resources = context.get('resources.arsc');
+    if (resources) {
+      result.evidence.push('resources.arsc');
+      // Required since Android 11, so that the file can be memory-mapped.
+      if (resources.compressionMethod !== undefined &&
+          resources.compressionMethod !== 0) {
+        result.problems.push('resources.arsc is compressed');
+      }
+    }
+    return result;
+  },
+
+  // XPI: WebExtensions have a manifest.json, legacy add-ons an install.rdf.
+  // Extensions for other browsers have a manifest.json too, so WebExtensions
+  // are only recognized if they are signed by Mozilla, or if the manifest has
+  // Firefox-specific settings.
+  function(context) {
+    var manifest = context.get('manifest.json');
+    if (!manifest && !context.get('install.rdf')) {
+      return null;
+    }
+    var result = ZipInfo._createIdentification('xpi', 'XPI / WebExtension',
+      'xpi', 'application/x-xpinstall');
+    var signed = false;
+    ['META-INF/mozilla.rsa', 'META-INF/manifest.mf'].forEach(function(name) {
+      if (!signed && context.get(name)) {
+        result.evidence.push(name + ' (signed by Mozilla)');
+        signed = true;
+      }
+    });
+    if (!manifest) {
+      result.evidence.unshift('install.rdf');
+      return result;
+    }
+    result.evidence.unshift('manifest.json');
+    return context.readText(manifest).then(function(text) {
+      if (text === null) {
+        return signed ? result : null;
+      }
+      var json;
+      try {
+        json = JSON.parse(text);
+      } catch (e) {
+        if (!signed) {
+          return null;
+        }
+        result.problems.push('manifest.json is not valid JSON');
+        return result;
+      }
+      // applications is the deprecated name of browser_specific_settings.
+      var settingsKey = null;
+      ['browser_specific_settings', 'applications'].forEach(function(key) {
+        if (!settingsKey && json && json[key] && json[key].gecko) {
+          settingsKey = key;
+        }
+      });
+      if (settingsKey) {
+        result.evidence.push(settingsKey + '.gecko');
+      } else if (!signed) {
+        return null;
+      }
+      if (json && typeof json.manifest_version === 'number') {
+        result.evidence.push('manifest_version ' + json.manifest_version);
+      } else {
+        result.problems.push('manifest.json does not have a manifest_version');
+      }
+      return result;
+    });
+  },
+
+  // Python wheels: a {distribution}-{version}.dist-info directory.
+  function(context) {
+    var distInfoDirectories = [];
+    context.files.forEach(function(entry) {
+      var match = /^([^\/]+\.dist-info)\//.exec(entry.filename);
+      if (match && distInfoDirectories.indexOf(match[1]) === -1) {
+        distInfoDirectories.push(match[1]);
+      }
+    });
+    if (!distInfoDirectories.length) {
+      return null;
+    }
+    var result = ZipInfo._createIdentification('wheel', 'Python wheel', 'whl',
+      null);
+    result.evidence.push(distInfoDirectories[0] + '/');
+    if (distInfoDirectories.length > 1) {
+      result.problems.push('There are multiple .dist-info directories');
+    }
+    ['WHEEL', 'METADATA', 'RECORD'].forEach(function(name) {
+      var filename = distInfoDirectories[0] + '/' + name;
+      if (context.get(filename)) {
+        result.evidence.push(filename);
+      } else {
+        result.problems.push(filename + ' is missing');
+      }
+    });
+    return result;
+  },
+
+  // JAR and WAR: the JAR manifest.
+  function(context) {
+    var manifest = context.get('META-INF/MANIFEST.MF');
+    if (!manifest) {
+      return null;
+    }
+    var result;
+    var webXml = context.get('WEB-INF/web.xml');
+    if (webXml || context.files.some(function(entry) {
+      return /^WEB-INF\//.test(entry.filename);
+    })) {
+      result = ZipInfo._createIdentification('war', 'Web application archive',
+        'war', 'application/java-archive');
+      result.evidence.push(webXml ? 'WEB-INF/web.xml' : 'WEB-INF/');
+    } else {
+      result = ZipInfo._createIdentification('jar', 'Java archive', 'jar',
+        'application/java-archive');
+    }
+    result.evidence.unshift('META-INF/MANIFEST.MF');
+    // java.util.jar.JarInputStream only finds the manifest if it is the first
+    // entry, or the second entry after META-INF/.
+    var index = context.files.indexOf(manifest);
+    if (index !== 0 &&
+        !(index === 1 && context.files[0].filename === 'META-INF/')) {
+      result.problems.push('META-INF/MANIFEST.MF is not at the start');
+    }
+    return result;
+  },
+];
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
@@ -0,0 +1,159 @@
+/* globals Promise, Uint8Array, module, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * The default file names of entries that are listed as nested archives by
+ * ZipInfo.getNestedEntries.
+ */
+ZipInfo.nestedArchivePattern =
+  /\.(zip|jar|war|ear|aar|apk|xpi|crx|whl|nupkg)$/i;
+
+/**
+ * Lists the entries of a zip file and of the zip files inside it. Stored
+ * (uncompressed) inner archives are read in place with small reads from the
+ * outer file, so only their central directories are fetched. Deflated inner
+ * archives are only read (and decompressed) if the `inflate` option is set.
+ *
+ * @param {Uint8Array|object|Promise} source - The zip file, or a reader (or a
+ *    Promise of one), see ZipInfo.getEntriesFromReader. Use
+ *    ZipInfo.createHttpReader to read a zip file over HTTP.
+ * @param {object} [options] - The options for ZipInfo.getEntries (`verbose`
+ *    is always enabled), and:
+ *    - name (string) - the name of the outer zip file, used as the start of
+ *      the path of each entry, e.g. 'outer.zip'. Defaults to ''.
+ *    - maxDepth (number) - how many levels of nested archives are listed.
+ *      0 lists the outer zip file only. Defaults to 3.
+ *    - pattern (RegExp) - which entries are nested archives, matched against
+ *      the file name. Defaults to ZipInfo.nestedArchivePattern.
+ *    - inflate (boolean) - whether to decompress deflated nested archives.
+ *      Defaults to false.
+ *    - maxInflateSize (number) - the maximum uncompressed size of a deflated
+ *      nested archive to decompress. Defaults to 0x4000000 (64 MB). This
+ *      limits the actual output too, even if the archive declares a wrong
+ *      size.
+ *    - signal (AbortSignal) - Stops reading when triggered.
+ * @returns {Promise} A Promise that resolves with the list of entries of
+ *    ZipInfo.getEntries, with the entries of each nested archive inserted
+ *    after the entry of the nested archive (the artificial '/' entries of
+ *    nested archives are not included). Every entry has two more properties:
+ *    - path (string) - the file name, prefixed with the path of the nested
+ *      archive and '!/', e.g. 'outer.zip!/libs/inner.jar!/META-INF/'.
+ *    - depth (number) - 0 for entries of the outer zip file, 1 for entries of
+ *      archives in the outer zip file, etc.
+ *    Entries of nested archives that are not listed have a `nestedError`
+ *    property (string) with the reason, e.g. if the archive is deflated and
+ *    `inflate` is not set. The `localHeaderOffset` of an entry is relative to
+ *    the start of its archive.
+ *    The Promise is rejected if the outer zip file cannot be read, see
+ *    ZipInfo.getEntriesFromReader.
+ */
+ZipInfo.getNestedEntries = function(source, options) {
+  options = options || {};
+  var entriesOptions = {};
+  Object.keys(options).forEach(function(key) {
+    entriesOptions[key] = options[key];
+  });
+  entriesOptions.verbose = true;
+  var maxDepth = typeof options.maxDepth == 'number' ? options.maxDepth : 3;
+  var pattern = options.pattern || ZipInfo.nestedArchivePattern;
+  var maxInflateSize = typeof options.maxInflateSize == 'number' ?
+    options.maxInflateSize : 0x4000000;
+  var result = [];
+
+  function listArchive(reader, prefix, depth) {
+    return ZipInfo.getEntriesFromReader(reader, entriesOptions)
+    .then(function(entries) {
+      if (depth) {
+        entries = entries.slice(1);  // Skip the artificial '/' entry.
+      }
+      // List the nested archives one by one, to avoid flooding the reader
+      // (e.g. a server) with parallel requests.
+      return entries.reduce(function(promise, entry) {
+        return promise.then(function() {
+          entry.path = entry.filename === '/' && !depth ?
+            prefix || '/' : prefix + entry.filename;
+          entry.depth = depth;
+          result.push(entry);
+          if (entry.directory || depth >= maxDepth ||
+              !pattern.test(entry.filename)) {
+            return;
+          }
+          return ZipInfo._openNestedArchive(entry, reader, maxInflateSize,
+            options).then(function(innerReader) {
+              return listArchive(innerReader, entry.path + '!/', depth + 1);
+            }).catch(function(error) {
+              if (error instanceof ZipInfo.AbortError) {
+                throw error;
+              }
+              entry.nestedError = error instanceof ZipInfo.InvalidZipError ?
+                'Not a zip file' : String(error.message || error);
+            });
+        });
+      }, Promise.resolve());
+    });
+  }
+
+  if (source instanceof Uint8Array) {
+    source = ZipInfo._createArrayReader(source);
+  }
+  return Promise.resolve(source).then(function(reader) {
+    return listArchive(reader, options.name ? options.name + '!/' : '', 0);
+  }).then(function() {
+    return result;
+  });
+};
+
+/**
+ * @param {object} entry - A verbose entry of a nested archive.
+ * @param {object} reader - The reader of the archive that contains the entry.
+ * @param {number} maxInflateSize - See ZipInfo.getNestedEntries.
+ * @param {object} options - See ZipInfo.getNestedEntries.
+ * @returns {Promise} A Promise that resolves with a reader of the nested
+ *    archive, or rejects with an Error if the archive cannot be read.
+ */
+ZipInfo._openNestedArchive = function(entry, reader, maxInflateSize, options) {
+  if (entry.encrypted) {
+    return Promise.reject(new Error('The archive is encrypted'));
+  }
+  if (entry.compressionMethod === 8) {
+    if (!options.inflate) {
+      return Promise.reject(new Error('The archive is compressed'));
+    }
+    if (entry.uncompressedSize > maxInflateSize) {
+      return Promise.reject(new Error('The archive is too large to ' +
+        'decompress (' + entry.uncompressedSize + ' bytes)'));
+    }
+    // readEntryData stops inflating when the output exceeds the declared
+    // size, so a wrong declared size cannot exceed maxInflateSize either.
+    return ZipInfo.readEntryData(entry, reader).then(function(data) {
+      return ZipInfo._createArrayReader(data);
+    });
+  }
+  if (entry.compressionMethod !== 0) {
+    return Promise.reject(new Error('Unsupported compression method: ' +
+      entry.compressionMethodName + ' (' + entry.compressionMethod + ')'));
+  }
+  var offset = entry.localHeaderOffset;
+  return ZipInfo._readFromSource(reader, offset, 30).then(function(header) {
+    var view = ZipInfo._getDataView(header);
+    if (header.length < 30 || view.getUint32(0) !== 0x504b0304) {
+      throw new Error('No local file header at offset ' + offset);
+    }
+    var dataStart = offset + 30 + view.getUint16(26, true) +
+      view.getUint16(28, true);
+    var size = Math.min(entry.compressedSize, reader.size - dataStart);
+    return {
+      size: size,
+      read: function(offset, length) {
+        length = Math.max(0, Math.min(length, size - offset));
+        return ZipInfo._readFromSource(reader, dataStart + offset, length);
+      },
+    };
+  });
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
@@ -0,0 +1,153 @@
+/* jshint node:true */
+'use strict';
+var ZipInfo = require('./zipinfo.js');
+
+var http = require('http');
+var https = require('https');
+var URL = require('url').URL;
+
+/**
+ * Creates a sendHttpRequest function for ZipInfo.runGetEntriesOverHttp that
+ * uses Node.js's http and https modules. Redirects to http: and https: URLs
+ * are followed; the headers and auth of requestOptions are not sent to other
+ * origins.
+ *
+ * @param {string} url - The URL of the zip file (http: or https:).
+ * @param {object} [requestOptions] - Additional options for http.request, e.g.
+ *    agent or headers. The method option is overwritten.
+ * @returns {function} sendHttpRequest.
+ */
+ZipInfo.createNodeRequestSender = function(url, requestOptions) {
+  return function sendHttpRequest(params) {
+    var request;
+    var finished = false;
+
+    function complete(response, error, responseInfo) {
+      if (!finished) {
+        finished = true;
+        params.onCompleted(response, error, responseInfo);
+      }
+    }
+
+    // headers are the headers of requestOptions, or null after a redirect to
+    // another origin, so that e.g. Authorization is not sent to other hosts.
+    function send(url, redirectsLeft, headers) {
+      var parsedUrl = new URL(url);
+      var options = {};
+      Object.keys(requestOptions || {}).forEach(function(key) {
+        options[key] = requestOptions[key];
+      });
+      if (!headers) {
+        delete options.auth;
+      }
+      options.method = 'GET';
+      options.protocol = parsedUrl.protocol;
+      options.hostname = parsedUrl.hostname.replace(/^\[|\]$/g, '');
+      options.port = parsedUrl.port;
+      options.path = parsedUrl.pathname + parsedUrl.search;
+      options.headers = {};
+      Object.keys(headers || {}).forEach(function(key) {
+        options.headers[key] = headers[key];
+      });
+      if (params.rangeHeader) {
+        options.headers.Range = params.rangeHeader;
+      }
+      if (params.ifRangeHeader) {
+        options.headers['If-Range'] = params.ifRangeHeader;
+      }
+      if (params.ifNoneMatchHeader) {
+        options.headers['If-None-Match'] = params.ifNoneMatchHeader;
+      }
+      if (params.ifModifiedSinceHeader) {
+        options.headers['If-Modified-Since'] = params.ifModifiedSinceHeader;
+      }
+      var client = parsedUrl.protocol === 'https:' ? https : http;
+      request = client.request(options, function(response) {
+        var status = response.statusCode;
+        if (status >= 300 && status < 400 && response.headers.location) {
+          response.resume();
+          if (redirectsLeft > 0) {
+            try {
+              var location = new URL(response.headers.location, url);
+              if (location.protocol !== 'http:' &&
+                  location.protocol !== 'https:') {
+                throw new Error('Unsupported redirect to ' + location.href);
+              }
+              send(location.href, redirectsLeft - 1,
+                location.origin === parsedUrl.origin ? headers : null);
+            } catch (error) {
+              complete(new Uint8Array(0),
+                new ZipInfo.RequestError(error.message, status));
+            }
+          } else {
+            complete(new Uint8Array(0),
+              new ZipInfo.RequestError('Too many redirects', status));
+          }
+          return;
+        }
+        function getResponseHeader(header) {
+          var value = response.headers[header.toLowerCase()];
+          return value === undefined ? null : String(value);
+        }
+        if (params.onHeadersReceived) {
+          params.onHeadersReceived(getResponseHeader, status);
+        }
+        if (finished) {
+          return;
+        }
+        var chunks = [];
+        response.on('data', function(chunk) {
+          chunks.push(chunk);
+        });
+        response.on('end', function() {
+          var buffer = Buffer.concat(chunks);
+          var error = null;
+          if (status >= 400) {
+            error = new ZipInfo.RequestError('HTTP status ' + status, status);
+          }
+          complete(new Uint8Array(buffer.buffer, buffer.byteOffset,
+            buffer.length), error, {
+              status: status,
+              getResponseHeader: getResponseHeader,
+            });
+        });
+        response.on('error', function(error) {
+          complete(new Uint8Array(0), new ZipInfo.RequestError(error.message));
+        });
+      });
+      request.on('error', function(error) {
+        complete(new Uint8Array(0), new ZipInfo.RequestError(error.message));
+      });
+      request.end();
+    }
+
+    try {
+      send(url, 5, requestOptions && requestOptions.headers || {});
+    } catch (error) {
+      // E.g. an invalid URL. Report the error asynchronously, like others.
+      process.nextTick(function() {
+        complete(new Uint8Array(0), new ZipInfo.RequestError(error.message));
+      });
+    }
+    return {
+      abort: function() {
+        finished = true;
+        if (request) {
+          request.destroy();
+        }
+      },
+    };
+  };
+};
+
+ZipInfo.getRemoteEntries = function(url, onGotEntries) {
+  ZipInfo.runGetEntriesOverHttp(ZipInfo.createNodeRequestSender(url),
+    onGotEntries);
+};
+
+ZipInfo.getRemoteEntriesAsync = function(url, options) {
+  return ZipInfo._getRemoteEntriesAsync(url,
+    ZipInfo.createNodeRequestSender(url), options);
+};
+
+module.exports = ZipInfo;
@@ -0,0 +1,198 @@
+/* globals Response, TextEncoder, module, require */
+'use strict';
+// Requires zipinfo_tree.js, zipinfo_archive.js and (for the default
+// createRequestSender option) zipinfo_fetch.js.
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo_archive.js') : ZipInfo;
+
+/**
+ * The Content-Type of files served by ZipInfo.createZipRequestHandler, by
+ * (lowercase) file extension.
+ */
+ZipInfo.contentTypes = {
+  css: 'text/css; charset=utf-8',
+  gif: 'image/gif',
+  htm: 'text/html; charset=utf-8',
+  html: 'text/html; charset=utf-8',
+  ico: 'image/x-icon',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  js: 'text/javascript; charset=utf-8',
+  json: 'application/json',
+  map: 'application/json',
+  md: 'text/markdown; charset=utf-8',
+  mjs: 'text/javascript; charset=utf-8',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  svg: 'image/svg+xml',
+  txt: 'text/plain; charset=utf-8',
+  wasm: 'application/wasm',
+  webp: 'image/webp',
+  woff: 'font/woff',
+  woff2: 'font/woff2',
+  xml: 'application/xml',
+};
+
+/**
+ * Creates a function that answers requests for files inside remote zip files,
+ * e.g. in the fetch event of a service worker. For a request of
+ * /docs/bundle.zip/index.html, the list of files of /docs/bundle.zip is
+ * fetched once (see ZipInfo.openArchive), and then only the local file header
+ * and the data of index.html are fetched, with range requests.
+ *
+ * @param {object} [options]
+ *    - match (function) - takes the URL of a request, and returns null if the
+ *      request is not for a file in a zip file. Otherwise an object with the
+ *      zipUrl (the URL of the zip file) and the path of the file in the zip
+ *      file. Defaults to ZipInfo.matchZipUrl.
+ *    - createRequestSender (function) - takes the URL of a zip file, and
+ *      returns sendHttpRequest (see ZipInfo.runGetEntriesOverHttp). Defaults
+ *      to ZipInfo.createFetchRequestSender.
+ *    - indexFile (string) - the file that is served for directories. Defaults
+ *      to 'index.html'.
+ *    - contentTypes (object) - the Content-Type by file extension. Defaults to
+ *      ZipInfo.contentTypes. Other files are served as
+ *      'application/octet-stream'.
+ * @returns {function} A function that takes a Request (or an object with the
+ *    url and method), and returns null if the request is not handled (not a
+ *    GET or HEAD request, or not for a file in a zip file), or a Promise that
+ *    resolves with a Response:
+ *    - 200 with the (decompressed) file.
+ *    - 301 to the URL with a trailing slash for directories without one.
+ *    - 404 if the file does not exist, or if it is a directory without the
+ *      index file.
+ *    - the status of the failed request for the zip file (e.g. 404), or 502
+ *      if the zip file or the file cannot be read.
+ *    If the zip file has changed since its list of files was fetched, the
+ *    list is fetched again. The function has a `forget` method that takes
+ *    the URL of a zip file and removes its list of files from the cache.
+ */
+ZipInfo.createZipRequestHandler = function(options) {
+  options = options || {};
+  var match = options.match || ZipInfo.matchZipUrl;
+  var createRequestSender = options.createRequestSender || function(url) {
+    return ZipInfo.createFetchRequestSender(url);
+  };
+  var indexFile = options.indexFile || 'index.html';
+  var contentTypes = options.contentTypes || ZipInfo.contentTypes;
+  // Promises of archives (see ZipInfo.openArchive) by the URL of the zip file.
+  var archives = {};
+
+  function openArchive(zipUrl) {
+    if (!archives.hasOwnProperty(zipUrl)) {
+      archives[zipUrl] = ZipInfo.openArchive(
+        ZipInfo.createHttpReader(createRequestSender(zipUrl)));
+      // Try again on the next request if the zip file cannot be read.
+      archives[zipUrl].catch(function() {
+        delete archives[zipUrl];
+      });
+    }
+    return archives[zipUrl];
+  }
+
+  function createResponse(status, body, headers, isHead) {
+    headers = headers || {};
+    if (typeof body == 'string') {
+      // Content-Length is the size in bytes.
+      body = new TextEncoder().encode(body);
+    }
+    if (body !== null) {
+      headers['Content-Length'] = String(body.length);
+      if (!headers['Content-Type']) {
+        headers['Content-Type'] = 'text/plain; charset=utf-8';
+      }
+    }
+    return new Response(isHead ? null : body, {
+      status: status,
+      headers: headers,
+    });
+  }
+
+  function handleRequest(request) {
+    var method = request.method || 'GET';
+    if (method !== 'GET' && method !== 'HEAD') {
+      return null;
+    }
+    var location = match(request.url);
+    if (!location) {
+      return null;
+    }
+    var isHead = method === 'HEAD';
+    var path = ZipInfo.normalizeArchivePath(location.path);
+
+    function respond(archive) {
+      if (archive.exists(path) && archive.stat(path).isDirectory) {
+        if (path && !/\/$/.test(location.path)) {
+          // Relative URLs in the index file are relative to the directory.
+          return createResponse(301, null, {
+            Location: request.url.replace(/([?#]|$)/, '/$1'),
+          }, isHead);
+        }
+        path = ZipInfo.normalizeArchivePath(path + '/' + indexFile);
+      }
+      if (!archive.exists(path) || archive.stat(path).isDirectory) {
+        return createResponse(404, 'Not found', null, isHead);
+      }
+      var extension = path.slice(path.lastIndexOf('.') + 1).toLowerCase();
+      var headers = {
+        'Content-Type': contentTypes.hasOwnProperty(extension) ?
+          contentTypes[extension] : 'application/octet-stream',
+      };
+      if (isHead) {
+        // Answer from the list of files, without reading the data.
+        headers['Content-Length'] = String(archive.stat(path).size);
+        return createResponse(200, null, headers, true);
+      }
+      return archive.readFile(path).then(function(data) {
+        return createResponse(200, data, headers, false);
+      });
+    }
+
+    var archive = openArchive(location.zipUrl);
+    return archive.then(respond).catch(function(error) {
+      if (!error.fileChanged) {
+        throw error;
+      }
+      // The zip file has changed since its list of files was fetched, so
+      // fetch the list again (unless another request already did).
+      if (archives[location.zipUrl] === archive) {
+        delete archives[location.zipUrl];
+      }
+      return openArchive(location.zipUrl).then(respond);
+    }).catch(function(error) {
+      var status = error instanceof ZipInfo.RequestError && error.status;
+      return createResponse(status >= 400 ? status : 502,
+        String(error.message || error), null, isHead);
+    });
+  }
+
+  handleRequest.forget = function(zipUrl) {
+    delete archives[zipUrl];
+  };
+  return handleRequest;
+};
+
+/**
+ * The default match option of ZipInfo.createZipRequestHandler: URLs with a
+ * path component that ends with '.zip', followed by a slash.
+ *
+ * @param {string} url - E.g. 'https://example.com/docs/bundle.zip/index.html'.
+ * @returns {object|null} null if the URL does not match. Otherwise an object
+ *    with the zipUrl (e.g. 'https://example.com/docs/bundle.zip') and the path
+ *    (decoded, e.g. 'index.html').
+ */
+ZipInfo.matchZipUrl = function(url) {
+  var result = /^([^?#]*?\.zip)\/([^?#]*)/i.exec(url);
+  if (!result) {
+    return null;
+  }
+  try {
+    return {zipUrl: result[1], path: decodeURIComponent(result[2])};
+  } catch (e) {
+    return null;  // Malformed percent-encoding.
+  }
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
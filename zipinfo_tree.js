@@ -0,0 +1,190 @@
+/* globals module, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * Builds a directory tree from the result of ZipInfo.getEntries. Directories
+ * that are not listed in the zip file but implied by the paths of other
+ * entries are created too.
+ *
+ * @param {object[]} entries - The result of ZipInfo.getEntries. The sizes of
+ *    the compressed data are only aggregated if the verbose option was used.
+ * @param {object} [options]
+ *    - compare (function) - Compares two nodes (of the same directory) for
+ *      sorting. Defaults to sorting directories before files, and then by
+ *      name (by code unit, independent of the locale). Nodes that compare
+ *      equal keep the order of the zip file.
+ * @returns {object} The tree, with the following properties:
+ *    - root (object) - the root directory node.
+ *    - lookup (function) - takes a path, and returns the node at that path,
+ *      or null if not found. The path is normalized like the paths of the
+ *      entries; a trailing slash only matches directories.
+ *    Every node has the following properties:
+ *    - name (string) - the last component of the path ('' for the root).
+ *    - path (string) - the normalized path: components separated by '/', with
+ *      a trailing slash for directories. The path of the root is '/'.
+ *    - directory (boolean) - whether the node is a directory.
+ *    - entry (object|null) - the entry from the entries parameter, or null for
+ *      implied directories. The entry of the root is the artificial '/'
+ *      entry.
+ *    - uncompressedSize (number) - the size of the file, or the total size of
+ *      all files in the directory (recursively).
+ *    - compressedSize (number) - like uncompressedSize, for the compressed
+ *      size (only if the entries have a compressedSize).
+ *    Directory nodes also have the following properties:
+ *    - implicit (boolean) - whether the directory is only implied by the
+ *      paths of other entries.
+ *    - children (object[]) - the sorted child nodes.
+ *    - fileCount (number) - the number of files in the directory
+ *      (recursively).
+ *    - directoryCount (number) - the number of directories in the directory
+ *      (recursively).
+ */
+ZipInfo.buildTree = function(entries, options) {
+  var compare = options && options.compare || ZipInfo._compareTreeNodes;
+  var hasCompressedSize = entries.some(function(entry) {
+    return entry.compressedSize !== undefined;
+  });
+  // Nodes by path, for lookup. Only the first file with a path is indexed.
+  // Without prototype, so that paths such as 'constructor' are not found.
+  var nodes = Object.create(null);
+  // The order of insertion, for stable sorting.
+  var order = 0;
+
+  function createNode(name, path, directory, entry) {
+    var node = {
+      name: name,
+      path: path,
+      directory: directory,
+      entry: entry,
+      uncompressedSize: 0,
+    };
+    if (hasCompressedSize) {
+      node.compressedSize = 0;
+    }
+    if (directory) {
+      node.implicit = !entry;
+      node.children = [];
+      node.fileCount = 0;
+      node.directoryCount = 0;
+    } else if (entry) {
+      node.uncompressedSize = entry.uncompressedSize;
+      if (hasCompressedSize) {
+        node.compressedSize = entry.compressedSize || 0;
+      }
+    }
+    Object.defineProperty(node, '_order', {value: order++});
+    return node;
+  }
+
+  var root = createNode('', '/', true, null);
+  nodes['/'] = root;
+
+  function getDirectory(components) {
+    var directory = root;
+    var path = '';
+    components.forEach(function(name) {
+      path += name + '/';
+      var child = nodes[path];
+      if (!child) {
+        child = createNode(name, path, true, null);
+        nodes[path] = child;
+        directory.children.push(child);
+      }
+      directory = child;
+    });
+    return directory;
+  }
+
+  entries.forEach(function(entry) {
+    if (entry.hasOwnProperty('centralDirectoryStart')) {
+      // The artificial '/' entry.
+      root.entry = entry;
+      return;
+    }
+    var components = ZipInfo._splitTreePath(entry.filename);
+    var isDirectory = entry.directory || /[\/\\]$/.test(entry.filename);
+    if (isDirectory) {
+      var directory = getDirectory(components);
+      if (directory !== root && !directory.entry) {
+        directory.entry = entry;
+        directory.implicit = false;
+      }
+      return;
+    }
+    if (!components.length) {
+      return;
+    }
+    var name = components.pop();
+    var parent = getDirectory(components);
+    var path = (parent === root ? '' : parent.path) + name;
+    var node = createNode(name, path, false, entry);
+    if (!Object.prototype.hasOwnProperty.call(nodes, path)) {
+      nodes[path] = node;
+    }
+    parent.children.push(node);
+  });
+
+  (function aggregate(directory) {
+    directory.children.forEach(function(child) {
+      if (child.directory) {
+        aggregate(child);
+        directory.fileCount += child.fileCount;
+        directory.directoryCount += child.directoryCount + 1;
+      } else {
+        directory.fileCount++;
+      }
+      directory.uncompressedSize += child.uncompressedSize;
+      if (hasCompressedSize) {
+        directory.compressedSize += child.compressedSize;
+      }
+    });
+    directory.children.sort(function(a, b) {
+      return compare(a, b) || a._order - b._order;
+    });
+  })(root);
+
+  return {
+    root: root,
+    lookup: function(path) {
+      var components = ZipInfo._splitTreePath(path);
+      if (!components.length) {
+        return root;
+      }
+      var key = components.join('/');
+      if (/[\/\\]$/.test(path)) {
+        key += '/';
+      }
+      return nodes[key] || nodes[key + '/'] || null;
+    },
+  };
+};
+
+/**
+ * Splits a path in components, after normalizing it: backslashes are treated
+ * as slashes, and empty and '.' components are removed.
+ *
+ * @param {string} path
+ * @returns {string[]} The components of the path.
+ */
+ZipInfo._splitTreePath = function(path) {
+  return path.split(/[\/\\]/).filter(function(name) {
+    return name !== '' && name !== '.';
+  });
+};
+
+/**
+ * The default comparison function of ZipInfo.buildTree: directories first,
+ * then by name.
+ */
+ZipInfo._compareTreeNodes = function(a, b) {
+  if (a.directory !== b.directory) {
+    return a.directory ? -1 : 1;
+  }
+  return a.name < b.name ? -1 : a.name > b.name ? 1 : 0;
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
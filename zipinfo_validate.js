@@ -0,0 +1,490 @@
+/* globals Uint8Array, Promise, module, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * Checks the structure of a zip file. Zip files with issues may still be
+ * listed by ZipInfo.getEntries, but extractors may interpret them differently,
+ * so such zip files should be treated as suspicious.
+ *
+ * @param {Uint8Array|object} source - The zip file, or a reader (see
+ *    ZipInfo.getEntriesFromReader). The reader is used to read the end of the
+ *    zip file and the local file header of every entry.
+ * @param {object} [options]
+ *    - signal (AbortSignal) - Stops reading when triggered.
+ * @returns {Promise} A Promise that resolves with a list of findings (an empty
+ *    list if no issues were found). Every finding is an object with:
+ *    - code (string) - one of the codes below.
+ *    - severity (string) - 'error' or 'warning'.
+ *    - message (string) - a description of the issue.
+ *    - offset (number) - the offset in the zip file of the issue, or -1.
+ *    - filename (string) - the name of the entry, if the issue is specific to
+ *      an entry.
+ *    The codes are:
+ *    - EOCD_NOT_FOUND - the file does not have an EOCD record.
+ *    - MULTI_DISK - the zip file is part of a multi-disk (split) archive,
+ *      which is not supported.
+ *    - COMMENT_LENGTH_MISMATCH - the size of the data after the EOCD record
+ *      differs from the length of the archive comment.
+ *    - CENTRAL_DIRECTORY_OFFSET_MISMATCH - the central directory is not located
+ *      at the declared offset, but directly before the EOCD record. This is
+ *      usually because of data before the zip file (e.g. SFX archives).
+ *    - CENTRAL_DIRECTORY_SIZE_MISMATCH - the size of the parsed central
+ *      directory differs from the size in the EOCD record.
+ *    - ENTRY_COUNT_MISMATCH - the number of parsed entries differs from the
+ *      number of entries in the EOCD record.
+ *    - DUPLICATE_NAME - multiple entries have the same file name.
+ *    - LOCAL_HEADER_MISSING - there is no local file header at the offset
+ *      from the central directory.
+ *    - LOCAL_HEADER_MISMATCH - a field in the local file header differs from
+ *      the central directory. The field property is the name of the field.
+ *    - OVERLAPPING_ENTRIES - the data of multiple entries overlaps.
+ *    - ENTRY_OVERLAPS_CENTRAL_DIRECTORY - the data of an entry overlaps with
+ *      the central directory.
+ *    - PREFIX_DATA - there is data before the first local file header.
+ */
+ZipInfo.validate = function(source, options) {
+  var signal = options && options.signal;
+  var reader = source instanceof Uint8Array ? {
+    size: source.length,
+    read: function(offset, length) {
+      return source.subarray(offset, offset + length);
+    },
+  } : source;
+  var findings = [];
+
+  function report(code, severity, message, offset, filename) {
+    var finding = {
+      code: code,
+      severity: severity,
+      message: message,
+      offset: offset,
+    };
+    if (filename !== undefined) {
+      finding.filename = filename;
+    }
+    findings.push(finding);
+  }
+
+  return ZipInfo._readZipEnd(reader, signal).then(function(result) {
+    reader = result.reader;
+    var records = ZipInfo._validateZipEnd(result.data, result.start,
+      reader.size, report);
+    if (!records) {
+      return findings;
+    }
+    return ZipInfo._validateLocalHeaders(reader, records, signal, report)
+    .then(function() {
+      return findings;
+    });
+  });
+};
+
+/**
+ * Validates the EOCD record and the central directory.
+ *
+ * @param {Uint8Array} data - The end of the zip file, including the central
+ *    directory.
+ * @param {number} start - The offset of data in the zip file.
+ * @param {number} size - The size of the zip file.
+ * @param {function} report - Called for every finding.
+ * @returns {object|null} null if the EOCD is not found. Otherwise an object
+ *    with the following properties:
+ *    - entries (object[]) - the records of the central directory, with the
+ *      properties of the record parameter of the extra field parsers (see
+ *      ZipInfo.registerExtraFieldParser), a name (string), and the
+ *      compressionMethod and crc32.
+ *    - shift (number) - the number of bytes before the zip file, to be added
+ *      to the localHeaderOffset.
+ *    - centralDirectoryStart (number) - the actual offset of the central
+ *      directory in the zip file.
+ */
+ZipInfo._validateZipEnd = function(data, start, size, report) {
+  var eocd = ZipInfo._readEocd(data, start);
+  if (!eocd) {
+    report('EOCD_NOT_FOUND', 'error', 'End of central directory not found', -1);
+    return null;
+  }
+  var eocdStart = start + eocd.offset;
+  if (eocd.diskNumber !== 0 || eocd.centralDirectoryDisk !== 0 ||
+      eocd.entriesOnDisk !== eocd.entryCount) {
+    report('MULTI_DISK', 'error', 'Multi-disk archives are not supported',
+      eocdStart);
+  }
+  if (eocdStart + 22 + eocd.commentLength !== size) {
+    report('COMMENT_LENGTH_MISMATCH', 'warning', 'The archive comment length ' +
+      'is ' + eocd.commentLength + ', but there are ' +
+      (size - eocdStart - 22) + ' bytes after the EOCD record', eocdStart);
+  }
+
+  var view = ZipInfo._getDataView(data);
+  var centralDirectoryEnd = start +
+    (eocd.zip64Offset === -1 ? eocd.offset : eocd.zip64Offset);
+  var centralDirectoryStart = eocd.centralDirectoryStart;
+  var expectedStart = centralDirectoryEnd - eocd.centralDirectorySize;
+  function isCentralDirectoryAt(offset) {
+    offset -= start;
+    return offset >= 0 && offset + 4 <= data.length &&
+      view.getUint32(offset) === 0x504b0102;
+  }
+  var shift = 0;
+  if (expectedStart !== centralDirectoryStart &&
+      !isCentralDirectoryAt(centralDirectoryStart) &&
+      isCentralDirectoryAt(expectedStart)) {
+    shift = expectedStart - centralDirectoryStart;
+    centralDirectoryStart = expectedStart;
+    report('CENTRAL_DIRECTORY_OFFSET_MISMATCH', 'warning', 'The central ' +
+      'directory is at offset ' + expectedStart + ' instead of ' +
+      eocd.centralDirectoryStart, expectedStart);
+  }
+
+  var entries = [];
+  var offset = centralDirectoryStart - start;
+  var end = centralDirectoryEnd - start;
+  while (offset >= 0 && offset + 46 <= end &&
+      view.getUint32(offset) === 0x504b0102) {
+    var bitFlag = view.getUint16(offset + 8, true);
+    var fileNameLength = view.getUint16(offset + 28, true);
+    var extraFieldLength = view.getUint16(offset + 30, true);
+    var fileCommentLength = view.getUint16(offset + 32, true);
+    var record = {
+      uncompressedSize: view.getUint32(offset + 24, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      localHeaderOffset: view.getUint32(offset + 42, true),
+      diskNumberStart: view.getUint16(offset + 34, true),
+      flags: bitFlag,
+      filename: data.subarray(offset + 46, offset + 46 + fileNameLength),
+    };
+    var sizes = ZipInfo._applyZip64ExtraField(ZipInfo._splitExtraFields(data,
+        offset + 46 + fileNameLength, extraFieldLength), record);
+    entries.push({
+      name: ZipInfo._decodeFilename(record.filename,
+        (bitFlag & 0x800) ? 'utf-8' : 'cp437'),
+      rawName: record.filename,
+      offset: start + offset,
+      flags: bitFlag,
+      compressionMethod: view.getUint16(offset + 10, true),
+      crc32: view.getUint32(offset + 16, true),
+      uncompressedSize: sizes.uncompressedSize,
+      compressedSize: sizes.compressedSize,
+      localHeaderOffset: sizes.localHeaderOffset,
+      diskNumberStart: sizes.diskNumberStart,
+    });
+    offset += 46 + fileNameLength + extraFieldLength + fileCommentLength;
+  }
+
+  if (entries.length !== eocd.entryCount) {
+    report('ENTRY_COUNT_MISMATCH', 'error', 'The EOCD record declares ' +
+      eocd.entryCount + ' entries, but ' + entries.length + ' entries were ' +
+      'found', eocdStart);
+  }
+  var parsedSize = start + offset - centralDirectoryStart;
+  if (entries.length && parsedSize !== eocd.centralDirectorySize) {
+    report('CENTRAL_DIRECTORY_SIZE_MISMATCH', 'error', 'The EOCD record ' +
+      'declares a central directory of ' + eocd.centralDirectorySize +
+      ' bytes, but the entries take ' + parsedSize + ' bytes',
+      centralDirectoryStart);
+  }
+
+  // Without prototype, so that duplicate names such as '__proto__' are found.
+  var seenNames = Object.create(null);
+  entries.forEach(function(entry) {
+    if (entry.diskNumberStart !== 0) {
+      report('MULTI_DISK', 'error', 'The entry starts on disk ' +
+        entry.diskNumberStart, entry.offset, entry.name);
+    }
+    if (Object.prototype.hasOwnProperty.call(seenNames, entry.name)) {
+      report('DUPLICATE_NAME', 'error', 'Duplicate file name', entry.offset,
+        entry.name);
+    }
+    seenNames[entry.name] = true;
+  });
+  return {
+    entries: entries,
+    shift: shift,
+    centralDirectoryStart: centralDirectoryStart,
+  };
+};
+
+/**
+ * Validates the local file headers, and checks whether the data of the entries
+ * overlaps.
+ *
+ * @param {object} reader - See ZipInfo.getEntriesFromReader.
+ * @param {object} records - The return value of ZipInfo._validateZipEnd.
+ * @param {AbortSignal} [signal] - Stops reading when triggered.
+ * @param {function} report - Called for every finding.
+ * @returns {Promise} A Promise that resolves when the validation is done.
+ */
+ZipInfo._validateLocalHeaders = function(reader, records, signal, report) {
+  var regions = [];
+
+  function read(offset, length) {
+    if (signal && signal.aborted) {
+      throw new ZipInfo.AbortError('The operation was aborted');
+    }
+    return ZipInfo._readFromSource(reader, offset, length);
+  }
+
+  function validateEntry(entry) {
+    var headerOffset = entry.localHeaderOffset + records.shift;
+    return read(headerOffset, 30).then(function(header) {
+      var view = ZipInfo._getDataView(header);
+      if (header.length < 30 || view.getUint32(0) !== 0x504b0304) {
+        report('LOCAL_HEADER_MISSING', 'error', 'No local file header at ' +
+          'offset ' + headerOffset, headerOffset, entry.name);
+        return;
+      }
+      var fileNameLength = view.getUint16(26, true);
+      var extraFieldLength = view.getUint16(28, true);
+      return read(headerOffset + 30, fileNameLength + extraFieldLength)
+      .then(function(variableData) {
+        var local = {
+          flags: view.getUint16(6, true),
+          compressionMethod: view.getUint16(8, true),
+          crc32: view.getUint32(14, true),
+          compressedSize: view.getUint32(18, true),
+          uncompressedSize: view.getUint32(22, true),
+          localHeaderOffset: 0,
+        };
+        var sizes = ZipInfo._applyZip64ExtraField(ZipInfo._splitExtraFields(
+          variableData, fileNameLength, extraFieldLength), local);
+        local.compressedSize = sizes.compressedSize;
+        local.uncompressedSize = sizes.uncompressedSize;
+
+        function compare(field, localValue, centralValue) {
+          if (localValue !== centralValue) {
+            report('LOCAL_HEADER_MISMATCH', 'error', 'The ' + field + ' in ' +
+              'the local file header (' + localValue + ') differs from the ' +
+              'central directory (' + centralValue + ')', headerOffset,
+              entry.name);
+          }
+        }
+        var localName = variableData.subarray(0, fileNameLength);
+        compare('filename', ZipInfo._decodeFilename(localName,
+          (local.flags & 0x800) ? 'utf-8' : 'cp437'), entry.name);
+        compare('flags', local.flags, entry.flags);
+        compare('compressionMethod', local.compressionMethod,
+          entry.compressionMethod);
+        // If bit 3 is set, the values are in the data descriptor instead.
+        if (!(local.flags & 8)) {
+          compare('crc32', local.crc32, entry.crc32);
+          compare('compressedSize', local.compressedSize,
+            entry.compressedSize);
+          compare('uncompressedSize', local.uncompressedSize,
+            entry.uncompressedSize);
+        }
+        regions.push({
+          start: headerOffset,
+          // 12 = minimum size of a data descriptor.
+          end: headerOffset + 30 + fileNameLength + extraFieldLength +
+            entry.compressedSize + (entry.flags & 8 ? 12 : 0),
+          entry: entry,
+        });
+      });
+    });
+  }
+
+  // Validate the entries one by one, to limit the number of pending reads.
+  return records.entries.reduce(function(promise, entry) {
+    return promise.then(function() {
+      return validateEntry(entry);
+    });
+  }, Promise.resolve()).then(function() {
+    regions.sort(function(a, b) {
+      return a.start - b.start;
+    });
+    if (regions.length && regions[0].start > 0) {
+      report('PREFIX_DATA', 'warning', 'There are ' + regions[0].start +
+        ' bytes before the first local file header', 0);
+    }
+    var previous;
+    regions.forEach(function(region) {
+      if (previous && region.start < previous.end) {
+        report('OVERLAPPING_ENTRIES', 'error', 'The data overlaps with the ' +
+          'data of ' + previous.entry.name, region.start, region.entry.name);
+      }
+      if (region.end > records.centralDirectoryStart) {
+        report('ENTRY_OVERLAPS_CENTRAL_DIRECTORY', 'error', 'The data ' +
+          'overlaps with the central directory', region.start,
+          region.entry.name);
+      }
+      if (!previous || region.end > previous.end) {
+        previous = region;
+      }
+    });
+  });
+};
+
+/**
+ * Default thresholds of ZipInfo.screenEntries.
+ */
+ZipInfo.screenEntriesDefaults = {
+  // The maximum total size of all entries after extraction (1 GiB).
+  maxTotalUncompressedSize: 0x40000000,
+  // The maximum compression ratio (uncompressed size / compressed size) of an
+  // entry, and of all entries together.
+  maxCompressionRatio: 100,
+  // Entries smaller than this size (1 MiB) are not checked for their
+  // compression ratio, because tiny files are often highly compressible.
+  minSizeForCompressionRatio: 0x100000,
+};
+
+/**
+ * Screens the entries of a zip file for entries that are unsafe to extract:
+ * entries that may be written outside the destination directory ("zip slip"),
+ * and zip bombs.
+ *
+ * @param {object[]} entries - The result of ZipInfo.getEntries, with the
+ *    verbose option. Without the verbose option, only the file names and the
+ *    total size are checked.
+ * @param {object} [options] - Thresholds, see ZipInfo.screenEntriesDefaults.
+ * @returns {object} The verdict, with the following properties:
+ *    - safe (boolean) - true if there are no findings with severity 'error'.
+ *    - findings (object[]) - the issues. Every finding has a code, severity
+ *      ('error' or 'warning'), message and filename (except for issues that
+ *      apply to the whole archive). The codes are:
+ *      - ABSOLUTE_PATH - the file name starts with a slash.
+ *      - PATH_TRAVERSAL - the file name contains a '..' path component.
+ *      - BACKSLASH - the file name contains a backslash, which is a path
+ *        separator on Windows.
+ *      - DRIVE_LETTER - the file name starts with a drive letter (e.g. 'C:').
+ *      - CONTROL_CHARACTER - the file name contains a NUL or another control
+ *        character.
+ *      - SYMLINK - the entry is a Unix (or OS X) symbolic link.
+ *      - COMPRESSION_RATIO - the compression ratio exceeds
+ *        maxCompressionRatio (severity 'warning').
+ *      - TOTAL_SIZE - the total uncompressed size exceeds
+ *        maxTotalUncompressedSize.
+ *      - OVERLAPPING_ENTRIES - the data of the entry overlaps with the data of
+ *        another entry. This is used by zip bombs to reuse compressed data.
+ *        The size of the local extra field is unknown, so entries that only
+ *        overlap with the extra field of another entry are not reported.
+ *    - totalUncompressedSize (number) - the total size after extraction.
+ *    - totalCompressedSize (number) - the total compressed size (only if the
+ *      entries are verbose).
+ */
+ZipInfo.screenEntries = function(entries, options) {
+  var thresholds = {};
+  Object.keys(ZipInfo.screenEntriesDefaults).forEach(function(key) {
+    thresholds[key] = options && options[key] !== undefined ?
+      options[key] : ZipInfo.screenEntriesDefaults[key];
+  });
+  var findings = [];
+
+  function report(code, severity, message, filename) {
+    var finding = {
+      code: code,
+      severity: severity,
+      message: message,
+    };
+    if (filename !== undefined) {
+      finding.filename = filename;
+    }
+    findings.push(finding);
+  }
+
+  // Skip the artificial '/' entry.
+  entries = entries.filter(function(entry) {
+    return !entry.hasOwnProperty('centralDirectoryStart');
+  });
+  var verbose = entries.length > 0 && entries.every(function(entry) {
+    return entry.compressedSize !== undefined;
+  });
+  var totalUncompressedSize = 0;
+  var totalCompressedSize = 0;
+
+  entries.forEach(function(entry) {
+    var filename = entry.filename;
+    totalUncompressedSize += entry.uncompressedSize;
+    if (/^\//.test(filename)) {
+      report('ABSOLUTE_PATH', 'error', 'Absolute path', filename);
+    }
+    if (filename.split(/[\/\\]/).indexOf('..') !== -1) {
+      report('PATH_TRAVERSAL', 'error', 'Path traversal', filename);
+    }
+    if (filename.indexOf('\\') !== -1) {
+      report('BACKSLASH', 'error', 'Backslash in file name', filename);
+    }
+    if (/^[a-zA-Z]:/.test(filename)) {
+      report('DRIVE_LETTER', 'error', 'Drive letter in file name', filename);
+    }
+    if (/[\x00-\x1f\x7f]/.test(filename)) {
+      report('CONTROL_CHARACTER', 'error', 'Control character in file name',
+        filename);
+    }
+    if (!verbose) {
+      return;
+    }
+    totalCompressedSize += entry.compressedSize;
+    // 3 = Unix, 19 = OS X, 0xA000 = S_IFLNK (symbolic link),
+    // 0xF000 = S_IFMT.
+    var hostOS = entry.versionMadeBy >> 8;
+    if ((hostOS === 3 || hostOS === 19) &&
+        ((entry.externalAttributes >>> 16) & 0xF000) === 0xA000) {
+      report('SYMLINK', 'error', 'Symbolic link', filename);
+    }
+    if (entry.uncompressedSize >= thresholds.minSizeForCompressionRatio &&
+        entry.uncompressedSize >
+        entry.compressedSize * thresholds.maxCompressionRatio) {
+      var ratio = Math.round(entry.uncompressedSize / entry.compressedSize);
+      report('COMPRESSION_RATIO', 'warning', 'Compression ratio of ' + ratio +
+        ' exceeds ' + thresholds.maxCompressionRatio, filename);
+    }
+  });
+
+  if (totalUncompressedSize > thresholds.maxTotalUncompressedSize) {
+    report('TOTAL_SIZE', 'error', 'Total uncompressed size of ' +
+      totalUncompressedSize + ' bytes exceeds ' +
+      thresholds.maxTotalUncompressedSize);
+  }
+
+  if (verbose) {
+    if (totalUncompressedSize >= thresholds.minSizeForCompressionRatio &&
+        totalUncompressedSize >
+        totalCompressedSize * thresholds.maxCompressionRatio) {
+      report('COMPRESSION_RATIO', 'warning', 'Total compression ratio of ' +
+        Math.round(totalUncompressedSize / totalCompressedSize) +
+        ' exceeds ' + thresholds.maxCompressionRatio);
+    }
+
+    // The data of an entry starts with a local file header of 30 bytes and
+    // the file name, followed by the compressed data. Every character of the
+    // name takes at least one byte. The extra field of the local file header
+    // may differ from the one in the central directory, so it is not counted
+    // and the end of the data is a lower bound. Entries of zip bombs such as
+    // https://www.bamsoftware.com/hacks/zipbomb/ overlap.
+    var sorted = entries.slice().sort(function(a, b) {
+      return a.localHeaderOffset - b.localHeaderOffset;
+    });
+    var previous;
+    sorted.forEach(function(entry) {
+      if (previous && entry.localHeaderOffset < previous.localHeaderOffset +
+          30 + previous.filename.length + previous.compressedSize) {
+        report('OVERLAPPING_ENTRIES', 'error', 'The data overlaps with the ' +
+          'data of ' + previous.filename, entry.filename);
+      }
+      if (!previous || entry.localHeaderOffset + entry.compressedSize >
+          previous.localHeaderOffset + previous.compressedSize) {
+        previous = entry;
+      }
+    });
+  }
+
+  var verdict = {
+    safe: findings.every(function(finding) {
+      return finding.severity !== 'error';
+    }),
+    findings: findings,
+    totalUncompressedSize: totalUncompressedSize,
+  };
+  if (verbose) {
+    verdict.totalCompressedSize = totalCompressedSize;
+  }
+  return verdict;
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}
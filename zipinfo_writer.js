@@ -0,0 +1,473 @@
+/* globals Buffer, CompressionStream, DataView, Promise, Response, TextEncoder,
+   Uint8Array, module, require */
+'use strict';
+var ZipInfo = typeof module === 'object' && module.exports ?
+  require('./zipinfo.js') : ZipInfo;
+
+/**
+ * Creates a zip file in memory, e.g. to create test data with exactly the
+ * features (or defects) that are needed.
+ *
+ * @param {object[]} files - The entries of the zip file, in order. Every item
+ *    is an object with the following properties:
+ *    - name (string|Uint8Array) - the file name. Directories end with a '/'.
+ *      Strings are encoded as UTF-8, and then the UTF-8 flag (bit 11) is set
+ *      if the name is not ASCII. A Uint8Array is written as is, e.g. to create
+ *      a name in a legacy encoding such as CP437.
+ *    - data (Uint8Array|string) - the content. Strings are encoded as UTF-8.
+ *      Defaults to an empty file.
+ *    - method (number) - the compression method: 0 (stored) or 8 (deflate).
+ *      For other methods, the data is written as is. Defaults to 8, or 0 for
+ *      directories and empty files.
+ *    - mtime (Date) - the modification time. Defaults to 1980-01-01 00:00,
+ *      the earliest DOS time, so that the output is reproducible.
+ *    - extra (Uint8Array) - raw extra fields, for the local file header and
+ *      the central directory record.
+ *    - comment (string|Uint8Array) - the file comment.
+ *    - mode (number) - the Unix file mode, e.g. 0x1ED (0755). Then the host OS
+ *      is Unix, and the file type is added if the mode does not contain it.
+ *    - dataDescriptor (boolean) - whether the CRC-32 and sizes are written in
+ *      a data descriptor after the data, instead of in the local file header.
+ *    - zip64 (boolean) - whether to write the ZIP64 extended information extra
+ *      field, even if the values fit in 32 bits.
+ *    - flags, versionMadeBy, internalAttributes, externalAttributes (number) -
+ *      overrides the value that is derived from the above.
+ * @param {object} [options]
+ *    - comment (string|Uint8Array) - the archive comment.
+ *    - zip64 (boolean) - whether to write ZIP64 records for all entries and
+ *      the ZIP64 EOCD record, even if the values fit in 32 bits.
+ *    - prefix (Uint8Array) - data before the zip file, e.g. an executable.
+ *    - adjustOffsets (boolean) - whether the offsets in the zip file include
+ *      the prefix (like `zip -A`). By default, the offsets are relative to the
+ *      start of the zip data, as in Chrome extension packages.
+ *    - onLocalHeader, onDataDescriptor, onCentralDirectoryRecord, onZip64Eocd,
+ *      onZip64EocdLocator, onEocd (function) - hooks to corrupt the output.
+ *      Each hook is called with an object with the fields of the record (see
+ *      ZipInfo.zipRecordLayouts) before it is written, and the item of
+ *      `files` (if any). Change the fields to write other values. The lengths
+ *      of the file name, extra field and comment are derived from the data,
+ *      unless set. Set a field to null to leave it out, e.g. the signature of
+ *      a data descriptor.
+ * @returns {Promise} A Promise that resolves with the zip file (Uint8Array).
+ */
+ZipInfo.createZip = function(files, options) {
+  options = options || {};
+  return Promise.all(files.map(function(file) {
+    return ZipInfo._prepareZipEntry(file);
+  })).then(function(entries) {
+    return ZipInfo._writeZip(entries, options);
+  });
+};
+
+/**
+ * The fields of the records that ZipInfo.createZip writes, in order. Every
+ * field has a name and a size in bytes (0 = variable length).
+ */
+ZipInfo.zipRecordLayouts = {
+  localHeader: [
+    ['signature', 4],
+    ['versionNeeded', 2],
+    ['flags', 2],
+    ['compressionMethod', 2],
+    ['dosTime', 2],
+    ['dosDate', 2],
+    ['crc32', 4],
+    ['compressedSize', 4],
+    ['uncompressedSize', 4],
+    ['filenameLength', 2],
+    ['extraFieldLength', 2],
+    ['filename', 0],
+    ['extraField', 0],
+  ],
+  dataDescriptor: [
+    ['signature', 4],
+    ['crc32', 4],
+    ['compressedSize', 4],
+    ['uncompressedSize', 4],
+  ],
+  zip64DataDescriptor: [
+    ['signature', 4],
+    ['crc32', 4],
+    ['compressedSize', 8],
+    ['uncompressedSize', 8],
+  ],
+  centralDirectoryRecord: [
+    ['signature', 4],
+    ['versionMadeBy', 2],
+    ['versionNeeded', 2],
+    ['flags', 2],
+    ['compressionMethod', 2],
+    ['dosTime', 2],
+    ['dosDate', 2],
+    ['crc32', 4],
+    ['compressedSize', 4],
+    ['uncompressedSize', 4],
+    ['filenameLength', 2],
+    ['extraFieldLength', 2],
+    ['commentLength', 2],
+    ['diskNumberStart', 2],
+    ['internalAttributes', 2],
+    ['externalAttributes', 4],
+    ['localHeaderOffset', 4],
+    ['filename', 0],
+    ['extraField', 0],
+    ['comment', 0],
+  ],
+  zip64Eocd: [
+    ['signature', 4],
+    ['recordSize', 8],
+    ['versionMadeBy', 2],
+    ['versionNeeded', 2],
+    ['diskNumber', 4],
+    ['centralDirectoryDisk', 4],
+    ['entriesOnDisk', 8],
+    ['entryCount', 8],
+    ['centralDirectorySize', 8],
+    ['centralDirectoryStart', 8],
+  ],
+  zip64EocdLocator: [
+    ['signature', 4],
+    ['zip64EocdDisk', 4],
+    ['zip64EocdStart', 8],
+    ['diskCount', 4],
+  ],
+  eocd: [
+    ['signature', 4],
+    ['diskNumber', 2],
+    ['centralDirectoryDisk', 2],
+    ['entriesOnDisk', 2],
+    ['entryCount', 2],
+    ['centralDirectorySize', 4],
+    ['centralDirectoryStart', 4],
+    ['commentLength', 2],
+    ['comment', 0],
+  ],
+};
+
+/**
+ * @param {object} file - An item of the files of ZipInfo.createZip.
+ * @returns {Promise} A Promise that resolves with an object with the file,
+ *    the encoded name, the compression method, the CRC-32 and size of the
+ *    data, and the (compressed) data to write.
+ */
+ZipInfo._prepareZipEntry = function(file) {
+  var name = ZipInfo._encodeZipString(file.name);
+  var data = ZipInfo._encodeZipString(file.data || '');
+  var directory = name[name.length - 1] === 0x2F;  // '/'
+  var method = typeof file.method == 'number' ? file.method :
+    directory || !data.length ? 0 : 8;
+  return Promise.resolve(method === 8 ? ZipInfo._deflateRaw(data) : data)
+  .then(function(compressedData) {
+    return {
+      file: file,
+      name: name,
+      utf8: typeof file.name == 'string' && /[^\x00-\x7F]/.test(file.name),
+      directory: directory,
+      method: method,
+      crc32: ZipInfo._crc32(data),
+      uncompressedSize: data.length,
+      compressedData: compressedData,
+    };
+  });
+};
+
+/**
+ * @param {object[]} entries - The results of ZipInfo._prepareZipEntry.
+ * @param {object} options - See ZipInfo.createZip.
+ * @returns {Uint8Array} The zip file.
+ */
+ZipInfo._writeZip = function(entries, options) {
+  var chunks = [];
+  var offset = 0;
+  function write(layoutName, record, file) {
+    var hookName = 'on' + (layoutName === 'zip64DataDescriptor' ?
+      'DataDescriptor' : layoutName[0].toUpperCase() + layoutName.slice(1));
+    if (options[hookName]) {
+      options[hookName](record, file);
+    }
+    var data = ZipInfo._serializeZipRecord(
+      ZipInfo.zipRecordLayouts[layoutName], record);
+    chunks.push(data);
+    offset += data.length;
+  }
+  var prefix = options.prefix || new Uint8Array(0);
+  chunks.push(prefix);
+  offset += prefix.length;
+  var base = options.adjustOffsets ? 0 : prefix.length;
+
+  var records = entries.map(function(entry) {
+    var file = entry.file;
+    var localHeaderOffset = offset - base;
+    var compressedSize = entry.compressedData.length;
+    var zip64 = !!(options.zip64 || file.zip64) ||
+      entry.uncompressedSize >= 0xFFFFFFFF || compressedSize >= 0xFFFFFFFF;
+    var dataDescriptor = !!file.dataDescriptor;
+    var flags = typeof file.flags == 'number' ? file.flags :
+      (entry.utf8 ? 0x800 : 0) | (dataDescriptor ? 8 : 0);
+    var versionNeeded = zip64 ? 45 :
+      entry.method === 8 || entry.directory ? 20 : 10;
+    var dosDateTime = ZipInfo._dateToDosDateTime(file.mtime);
+    var extra = file.extra || new Uint8Array(0);
+
+    // The local file header has both sizes in the ZIP64 extra field.
+    write('localHeader', {
+      signature: 0x04034b50,
+      versionNeeded: versionNeeded,
+      flags: flags,
+      compressionMethod: entry.method,
+      dosTime: dosDateTime.time,
+      dosDate: dosDateTime.date,
+      crc32: dataDescriptor ? 0 : entry.crc32,
+      compressedSize: zip64 ? 0xFFFFFFFF : dataDescriptor ? 0 : compressedSize,
+      uncompressedSize: zip64 ? 0xFFFFFFFF :
+        dataDescriptor ? 0 : entry.uncompressedSize,
+      filename: entry.name,
+      extraField: zip64 ? ZipInfo._concatZipData([
+        ZipInfo._createZip64ExtraField(dataDescriptor ? [0, 0] :
+          [entry.uncompressedSize, compressedSize]),
+        extra,
+      ]) : extra,
+    }, file);
+    chunks.push(entry.compressedData);
+    offset += compressedSize;
+    if (dataDescriptor) {
+      write(zip64 ? 'zip64DataDescriptor' : 'dataDescriptor', {
+        signature: 0x08074b50,
+        crc32: entry.crc32,
+        compressedSize: compressedSize,
+        uncompressedSize: entry.uncompressedSize,
+      }, file);
+    }
+
+    // The central directory record only has the values in the ZIP64 extra
+    // field that do not fit in the record (or all of them if forced).
+    var values = [entry.uncompressedSize, compressedSize, localHeaderOffset];
+    var inZip64 = values.map(function(value) {
+      return zip64 || value >= 0xFFFFFFFF;
+    });
+    var zip64Values = values.filter(function(value, i) {
+      return inZip64[i];
+    });
+    var mode = file.mode;
+    if (typeof mode == 'number' && mode < 0x1000) {
+      mode |= entry.directory ? 0x4000 : 0x8000;
+    }
+    var dosAttributes = entry.directory ? 0x10 : 0;
+    return {
+      file: file,
+      record: {
+        signature: 0x02014b50,
+        versionMadeBy: typeof file.versionMadeBy == 'number' ?
+          file.versionMadeBy :
+          (typeof mode == 'number' ? 0x300 : 0) | (zip64 ? 45 : 20),
+        versionNeeded: versionNeeded,
+        flags: flags,
+        compressionMethod: entry.method,
+        dosTime: dosDateTime.time,
+        dosDate: dosDateTime.date,
+        crc32: entry.crc32,
+        compressedSize: inZip64[1] ? 0xFFFFFFFF : compressedSize,
+        uncompressedSize: inZip64[0] ? 0xFFFFFFFF : entry.uncompressedSize,
+        diskNumberStart: 0,
+        internalAttributes: file.internalAttributes || 0,
+        externalAttributes: typeof file.externalAttributes == 'number' ?
+          file.externalAttributes : typeof mode == 'number' ?
+          mode * 0x10000 + dosAttributes : dosAttributes,
+        localHeaderOffset: inZip64[2] ? 0xFFFFFFFF : localHeaderOffset,
+        filename: entry.name,
+        extraField: zip64Values.length ? ZipInfo._concatZipData([
+          ZipInfo._createZip64ExtraField(zip64Values),
+          extra,
+        ]) : extra,
+        comment: ZipInfo._encodeZipString(file.comment || ''),
+      },
+    };
+  });
+
+  var centralDirectoryStart = offset - base;
+  records.forEach(function(item) {
+    write('centralDirectoryRecord', item.record, item.file);
+  });
+  var centralDirectorySize = offset - base - centralDirectoryStart;
+  var entryCount = records.length;
+  var zip64 = !!options.zip64 || entryCount >= 0xFFFF ||
+    centralDirectoryStart >= 0xFFFFFFFF || centralDirectorySize >= 0xFFFFFFFF;
+  if (zip64) {
+    var zip64EocdStart = offset - base;
+    write('zip64Eocd', {
+      signature: 0x06064b50,
+      recordSize: 44,  // The size of the remaining record.
+      versionMadeBy: 45,
+      versionNeeded: 45,
+      diskNumber: 0,
+      centralDirectoryDisk: 0,
+      entriesOnDisk: entryCount,
+      entryCount: entryCount,
+      centralDirectorySize: centralDirectorySize,
+      centralDirectoryStart: centralDirectoryStart,
+    });
+    write('zip64EocdLocator', {
+      signature: 0x07064b50,
+      zip64EocdDisk: 0,
+      zip64EocdStart: zip64EocdStart,
+      diskCount: 1,
+    });
+  }
+  write('eocd', {
+    signature: 0x06054b50,
+    diskNumber: 0,
+    centralDirectoryDisk: 0,
+    entriesOnDisk: zip64 ? 0xFFFF : entryCount,
+    entryCount: zip64 ? 0xFFFF : entryCount,
+    centralDirectorySize: zip64 ? 0xFFFFFFFF : centralDirectorySize,
+    centralDirectoryStart: zip64 ? 0xFFFFFFFF : centralDirectoryStart,
+    comment: ZipInfo._encodeZipString(options.comment || ''),
+  });
+  return ZipInfo._concatZipData(chunks);
+};
+
+/**
+ * @param {object[]} layout - An item of ZipInfo.zipRecordLayouts.
+ * @param {object} record - The values of the fields. Missing lengths are
+ *    derived from the data that they describe (e.g. filenameLength from
+ *    filename), and fields that are null are left out.
+ * @returns {Uint8Array}
+ */
+ZipInfo._serializeZipRecord = function(layout, record) {
+  var parts = layout.filter(function(field) {
+    return record[field[0]] !== null;
+  }).map(function(field) {
+    var value = record[field[0]];
+    if (field[1] === 0) {
+      return value || new Uint8Array(0);
+    }
+    if (value === undefined && /Length$/.test(field[0])) {
+      var data = record[field[0].replace(/Length$/, '')];
+      value = data ? data.length : 0;
+    }
+    var part = new Uint8Array(field[1]);
+    var view = new DataView(part.buffer);
+    if (field[1] === 2) {
+      view.setUint16(0, value, true);
+    } else if (field[1] === 4) {
+      view.setUint32(0, value, true);
+    } else {
+      view.setUint32(0, value % 0x100000000, true);
+      view.setUint32(4, Math.floor(value / 0x100000000), true);
+    }
+    return part;
+  });
+  return ZipInfo._concatZipData(parts);
+};
+
+/**
+ * @param {number[]} values - The 64-bit values, in the order of the field.
+ * @returns {Uint8Array} The ZIP64 extended information extra field (0x0001).
+ */
+ZipInfo._createZip64ExtraField = function(values) {
+  var field = new Uint8Array(4 + values.length * 8);
+  var view = new DataView(field.buffer);
+  view.setUint16(0, 0x0001, true);
+  view.setUint16(2, values.length * 8, true);
+  values.forEach(function(value, i) {
+    view.setUint32(4 + i * 8, value % 0x100000000, true);
+    view.setUint32(8 + i * 8, Math.floor(value / 0x100000000), true);
+  });
+  return field;
+};
+
+/**
+ * Converts a Date to a MS-DOS date and time (in local time), the inverse of
+ * ZipInfo._dosDateTimeToDate. Dates before 1980 and invalid dates are stored
+ * as 1980-01-01, and dates after 2107 (which do not fit in the 7-bit year) as
+ * 2107-12-31 23:59:58.
+ *
+ * @param {Date} [date] - Defaults to 1980-01-01 00:00.
+ * @returns {object} The date and time (numbers).
+ */
+ZipInfo._dateToDosDateTime = function(date) {
+  if (!date || isNaN(date.getTime()) || date.getFullYear() < 1980) {
+    return {date: 0x21, time: 0};
+  }
+  if (date.getFullYear() > 2107) {
+    date = new Date(2107, 11, 31, 23, 59, 58);
+  }
+  return {
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) |
+      (date.getSeconds() >> 1),
+  };
+};
+
+/**
+ * @param {string|Uint8Array} value
+ * @returns {Uint8Array} The value, encoded as UTF-8 if it is a string.
+ */
+ZipInfo._encodeZipString = function(value) {
+  if (value instanceof Uint8Array) {
+    return value;
+  }
+  if (typeof TextEncoder == 'function') {
+    return new TextEncoder().encode(value);
+  }
+  return new Uint8Array(new Buffer(value, 'utf-8'));  // Node.js
+};
+
+/**
+ * @param {Uint8Array[]} chunks
+ * @returns {Uint8Array} The concatenated chunks.
+ */
+ZipInfo._concatZipData = function(chunks) {
+  var length = chunks.reduce(function(sum, chunk) {
+    return sum + chunk.length;
+  }, 0);
+  var result = new Uint8Array(length);
+  var offset = 0;
+  chunks.forEach(function(chunk) {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+/**
+ * Compresses data with raw deflate, with zlib in Node.js and CompressionStream
+ * in browsers.
+ *
+ * @param {Uint8Array} data
+ * @returns {Promise} A Promise that resolves with a Uint8Array.
+ */
+ZipInfo._deflateRaw = function(data) {
+  var zlib = ZipInfo._getZlib();
+  if (zlib) {
+    return new Promise(function(resolve, reject) {
+      zlib.deflateRaw(data, function(error, result) {
+        if (error) {
+          reject(error);
+        } else {
+          resolve(new Uint8Array(result.buffer, result.byteOffset,
+            result.length));
+        }
+      });
+    });
+  }
+  if (typeof CompressionStream != 'function') {
+    return Promise.reject(new Error('CompressionStream is not supported'));
+  }
+  var stream = new CompressionStream('deflate-raw');
+  var writer = stream.writable.getWriter();
+  // Invalid input rejects the writes, but does not always error the readable
+  // side of the stream.
+  return Promise.all([
+    writer.write(data),
+    writer.close(),
+    new Response(stream.readable).arrayBuffer(),
+  ]).then(function(results) {
+    return new Uint8Array(results[2]);
+  });
+};
+
+if (typeof module === 'object' && module.exports) {
+  module.exports = ZipInfo;
+}